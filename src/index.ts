@@ -1,12 +1,43 @@
 #!/usr/bin/env node
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, RegisteredTool, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { CallToolResult, ErrorCode, McpError, RequestId, isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
 import { z } from "zod";
 import twilio from "twilio";
+import type { MessageListInstanceCreateOptions } from "twilio/lib/rest/api/v2010/account/message.js";
 import http from "http";
+import { randomBytes, randomUUID, createHash, timingSafeEqual } from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRemoteJWKSet, jwtVerify } from "jose";
+import { CountryCode, ParseError, PhoneNumber, isSupportedCountry, parsePhoneNumberWithError } from "libphonenumber-js/max";
 
-// Environment variables validation
-const requiredEnvVars = ["ACCOUNT_SID", "AUTH_TOKEN", "FROM_NUMBER"];
+// SMS backend: "twilio" and "vonage" send through those services, "http" posts to any JSON API
+// (see the HTTP_PROVIDER_* settings) and "mock" records messages locally without any network
+// access. DRY_RUN=true is shorthand for SMS_PROVIDER=mock.
+const smsProviderNames = ["twilio", "vonage", "http", "mock"] as const;
+type SmsProviderName = typeof smsProviderNames[number];
+
+const requestedProvider = process.env.DRY_RUN === 'true' ? "mock" : (process.env.SMS_PROVIDER ?? "twilio");
+if (!smsProviderNames.includes(requestedProvider as SmsProviderName)) {
+  console.error(`Error: Invalid SMS_PROVIDER: ${requestedProvider}`);
+  console.error(`Use one of: ${smsProviderNames.join(", ")}.`);
+  process.exit(1);
+}
+const SMS_PROVIDER = requestedProvider as SmsProviderName;
+
+// Environment variables validation: each provider needs its own credentials
+const providerEnvVars: Record<SmsProviderName, string[]> = {
+  twilio: ["ACCOUNT_SID", "AUTH_TOKEN"],
+  vonage: ["VONAGE_API_KEY", "VONAGE_API_SECRET"],
+  http: ["HTTP_PROVIDER_URL"],
+  mock: []
+};
+const requiredEnvVars = providerEnvVars[SMS_PROVIDER];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     console.error(`Error: Missing required environment variable ${envVar}`);
@@ -16,114 +47,4285 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+// Phone numbers are parsed with libphonenumber's full metadata, so numbers are checked
+// against real numbering plans rather than just a leading "+". DEFAULT_REGION is the
+// ISO country code assumed for numbers written without one, e.g. "(415) 555-0100".
+const DEFAULT_REGION = process.env.DEFAULT_REGION?.toUpperCase();
+if (DEFAULT_REGION && !isSupportedCountry(DEFAULT_REGION)) {
+  console.error(`Error: Invalid DEFAULT_REGION: ${process.env.DEFAULT_REGION}`);
+  console.error(`DEFAULT_REGION must be a two-letter ISO country code such as US or GB.`);
+  process.exit(1);
+}
+
+interface NormalizedPhoneNumber {
+  number: string;
+  country?: CountryCode;
+  countryCallingCode: string;
+}
+
+type PhoneNumberResult =
+  | { ok: true; phone: NormalizedPhoneNumber }
+  | { ok: false; reason: string };
+
+const phoneParseErrorReasons: Record<string, string> = {
+  INVALID_COUNTRY: DEFAULT_REGION
+    ? "Unknown country calling code"
+    : "Missing country code; use E.164 format (e.g., +11234567890) or set DEFAULT_REGION",
+  NOT_A_NUMBER: "Not a phone number",
+  TOO_SHORT: "Too short to be a phone number",
+  TOO_LONG: "Too long to be a phone number",
+  INVALID_LENGTH: "Wrong number of digits"
+};
+
+function normalizePhoneNumber(input: string): PhoneNumberResult {
+  let parsed: PhoneNumber;
+  try {
+    parsed = parsePhoneNumberWithError(input, DEFAULT_REGION as CountryCode | undefined);
+  } catch (error) {
+    if (error instanceof ParseError) {
+      return { ok: false, reason: phoneParseErrorReasons[error.message] ?? error.message };
+    }
+    throw error;
+  }
+
+  const region = parsed.country ?? `country code +${parsed.countryCallingCode}`;
+  if (!parsed.isPossible()) {
+    return { ok: false, reason: `Wrong number of digits for ${region}` };
+  }
+  if (!parsed.isValid()) {
+    return { ok: false, reason: `Not a valid number for ${region}` };
+  }
+  return { ok: true, phone: { number: parsed.number, country: parsed.country, countryCallingCode: parsed.countryCallingCode } };
+}
+
+// Zod schema for phone number arguments that resolves to the E.164 form
+const phoneNumberSchema = z.string().transform((value, ctx) => {
+  const result = normalizePhoneNumber(value);
+  if (!result.ok) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid phone number: ${result.reason}` });
+    return z.NEVER;
+  }
+  return result.phone.number;
+});
+
+// Identities messages can be sent from: phone numbers from FROM_NUMBER and the comma-separated
+// FROM_NUMBERS, and with Twilio a Messaging Service (MESSAGING_SERVICE_SID) that sends from its
+// own pool of numbers. The first of these is the default sender.
+type Sender =
+  | { type: "number"; id: string; country?: CountryCode; countryCallingCode: string }
+  | { type: "messaging_service"; id: string };
+
+function loadSenders(): Sender[] {
+  const numbers = [process.env.FROM_NUMBER, ...(process.env.FROM_NUMBERS ?? "").split(",")]
+    .map((value) => value?.trim())
+    .filter((value): value is string => !!value);
+  const messagingServiceSid = process.env.MESSAGING_SERVICE_SID?.trim();
+
+  if (numbers.length === 0 && !messagingServiceSid) {
+    console.error(`Error: Missing required environment variable FROM_NUMBER`);
+    console.error(`Set FROM_NUMBER (or FROM_NUMBERS${SMS_PROVIDER === "twilio" ? " or MESSAGING_SERVICE_SID" : ""}) to the sender to use.`);
+    console.error(`For Railway deployment, ensure it is set in your Railway project environment variables.`);
+    process.exit(1);
+  }
+
+  const senders: Sender[] = [];
+  for (const value of numbers) {
+    const result = normalizePhoneNumber(value);
+    if (!result.ok) {
+      console.error(`Error: Invalid sender number ${value}: ${result.reason}`);
+      console.error(`FROM_NUMBER and FROM_NUMBERS must be your SMS provider phone numbers, e.g. +11234567890.`);
+      process.exit(1);
+    }
+    if (!senders.some((sender) => sender.id === result.phone.number)) {
+      senders.push({
+        type: "number",
+        id: result.phone.number,
+        country: result.phone.country,
+        countryCallingCode: result.phone.countryCallingCode
+      });
+    }
+  }
+
+  if (messagingServiceSid) {
+    if (SMS_PROVIDER !== "twilio" && SMS_PROVIDER !== "mock") {
+      console.error(`Error: MESSAGING_SERVICE_SID is only supported with SMS_PROVIDER=twilio`);
+      process.exit(1);
+    }
+    if (!/^MG[0-9a-fA-F]{32}$/.test(messagingServiceSid)) {
+      console.error(`Error: Invalid MESSAGING_SERVICE_SID: ${messagingServiceSid}`);
+      console.error(`A Messaging Service SID looks like MG followed by 32 hex characters.`);
+      process.exit(1);
+    }
+    senders.push({ type: "messaging_service", id: messagingServiceSid });
+  }
+  return senders;
+}
+
+const SENDERS = loadSenders();
+const DEFAULT_SENDER = SENDERS[0];
+
+// Sender for a recipient when the caller didn't choose one: a number in the recipient's country,
+// else one sharing its calling code (e.g. +1 across the US and Canada), else the Messaging
+// Service, which picks from its own pool, else the default sender
+function routeSender(recipient: NormalizedPhoneNumber): Sender {
+  const numbers = SENDERS.filter((sender) => sender.type === "number");
+  return (recipient.country ? numbers.find((sender) => sender.country === recipient.country) : undefined) ??
+    numbers.find((sender) => sender.countryCallingCode === recipient.countryCallingCode) ??
+    SENDERS.find((sender) => sender.type === "messaging_service") ??
+    DEFAULT_SENDER;
+}
+
+// With just one sender number, message history defaults to that number's side of the conversation
+const SOLE_SENDER_NUMBER = SENDERS.length === 1 && DEFAULT_SENDER.type === "number" ? DEFAULT_SENDER.id : undefined;
+
+function describeSender(sender: Sender): string {
+  return sender.type === "messaging_service" ? `Messaging Service ${sender.id}` : sender.id;
+}
+
+// The configured sender a caller asked for by number or Messaging Service SID
+function findSender(value: string): Sender | undefined {
+  const normalized = normalizePhoneNumber(value);
+  const id = normalized.ok ? normalized.phone.number : value.trim();
+  return SENDERS.find((sender) => sender.id === id);
+}
+
+// Transport selection: --transport flag takes precedence over the MCP_TRANSPORT env var.
+// "stdio" is for local clients like Claude Desktop, "http" serves both /mcp and /message,
+// "sse" serves only the legacy /message endpoint.
+const transportModes = ["stdio", "sse", "http"] as const;
+type TransportMode = typeof transportModes[number];
+
+function parseTransportArg(argv: string[]): string | undefined {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--transport") {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith("--transport=")) {
+      return argv[i].slice("--transport=".length);
+    }
+  }
+  return undefined;
+}
+
+const requestedTransport = parseTransportArg(process.argv.slice(2)) ?? process.env.MCP_TRANSPORT ?? "http";
+if (!transportModes.includes(requestedTransport as TransportMode)) {
+  console.error(`Error: Invalid transport: ${requestedTransport}`);
+  console.error(`Use --transport (or MCP_TRANSPORT) with one of: ${transportModes.join(", ")}.`);
+  process.exit(1);
+}
+const TRANSPORT = requestedTransport as TransportMode;
+
 // PORT environment variable handling with Railway support and default fallback
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 3000;
 
-// Validate PORT is a valid number
-if (isNaN(PORT) || PORT <= 0 || PORT > 65535) {
+// Validate PORT is a valid number (only relevant when listening on HTTP)
+if (TRANSPORT !== "stdio" && (isNaN(PORT) || PORT <= 0 || PORT > 65535)) {
   console.error(`Error: Invalid PORT environment variable: ${process.env.PORT}`);
   console.error(`PORT must be a valid number between 1 and 65535.`);
   console.error(`Railway automatically provides a PORT variable - ensure it's not being overridden.`);
   process.exit(1);
 }
 
-// Initialize Twilio client
-const client = twilio(process.env.ACCOUNT_SID, process.env.AUTH_TOKEN);
+// Return JSON bodies from /mcp instead of SSE streams when MCP_JSON_RESPONSE=true
+const MCP_JSON_RESPONSE = process.env.MCP_JSON_RESPONSE === 'true';
+
+// Streamable HTTP sessions with no request for MCP_SESSION_IDLE_MINUTES are closed, so clients that
+// went away without ending their session don't keep it, and its notifications, around forever
+const MCP_SESSION_IDLE_MINUTES = process.env.MCP_SESSION_IDLE_MINUTES ? Number(process.env.MCP_SESSION_IDLE_MINUTES) : 30;
+if (isNaN(MCP_SESSION_IDLE_MINUTES) || MCP_SESSION_IDLE_MINUTES <= 0) {
+  console.error(`Error: Invalid MCP_SESSION_IDLE_MINUTES: ${process.env.MCP_SESSION_IDLE_MINUTES}`);
+  console.error(`MCP_SESSION_IDLE_MINUTES must be a positive number of minutes.`);
+  process.exit(1);
+}
+
+// API key authentication for the HTTP endpoints. Keys come from MCP_API_KEYS
+// (comma-separated, unrestricted) and/or MCP_API_KEYS_FILE (JSON, optionally limited to tools).
+const apiKeyFileSchema = z.array(z.object({
+  key: z.string().min(1),
+  name: z.string().optional(),
+  tools: z.array(z.string()).optional()
+}));
+
+interface ApiKey {
+  name: string;
+  digest: Buffer;
+  tools?: string[];
+}
+
+function digestKey(key: string): Buffer {
+  return createHash("sha256").update(key).digest();
+}
+
+function loadApiKeys(): ApiKey[] {
+  const keys: ApiKey[] = [];
+
+  const envKeys = (process.env.MCP_API_KEYS ?? "").split(",").map((key) => key.trim()).filter(Boolean);
+  envKeys.forEach((key, index) => {
+    keys.push({ name: `env-key-${index + 1}`, digest: digestKey(key) });
+  });
+
+  const keysFile = process.env.MCP_API_KEYS_FILE;
+  if (keysFile) {
+    try {
+      const entries = apiKeyFileSchema.parse(JSON.parse(fs.readFileSync(keysFile, "utf8")));
+      entries.forEach((entry, index) => {
+        keys.push({ name: entry.name ?? `file-key-${index + 1}`, digest: digestKey(entry.key), tools: entry.tools });
+      });
+    } catch (error) {
+      console.error(`Error: Could not load MCP_API_KEYS_FILE ${keysFile}: ${error instanceof Error ? error.message : error}`);
+      console.error(`The file must be a JSON array of { "key": "...", "name": "...", "tools": ["..."] } entries.`);
+      process.exit(1);
+    }
+  }
+
+  return keys;
+}
+
+const API_KEYS = loadApiKeys();
+
+// Public base URL of this deployment (e.g. https://my-app.up.railway.app). Behind proxies
+// like Railway the externally visible URL differs from what the server sees in req.url.
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, "");
+
+// Authentication mode for the HTTP endpoints: "none", "apikey" or "oauth".
+// Defaults to "apikey" when keys are configured and "none" otherwise.
+const authModes = ["none", "apikey", "oauth"] as const;
+type AuthMode = typeof authModes[number];
+
+const requestedAuthMode = process.env.MCP_AUTH_MODE ?? (API_KEYS.length > 0 ? "apikey" : "none");
+if (!authModes.includes(requestedAuthMode as AuthMode)) {
+  console.error(`Error: Invalid MCP_AUTH_MODE: ${requestedAuthMode}`);
+  console.error(`MCP_AUTH_MODE must be one of: ${authModes.join(", ")}.`);
+  process.exit(1);
+}
+const AUTH_MODE = requestedAuthMode as AuthMode;
+
+if (AUTH_MODE === "apikey" && API_KEYS.length === 0) {
+  console.error(`Error: MCP_AUTH_MODE=apikey requires MCP_API_KEYS or MCP_API_KEYS_FILE`);
+  process.exit(1);
+}
+
+// OAuth 2.1 protected resource settings: access tokens are JWTs issued by OAUTH_ISSUER
+// and verified against its JWKS (OAUTH_JWKS_URL, defaulting to <issuer>/.well-known/jwks.json)
+const OAUTH_ISSUER = process.env.OAUTH_ISSUER?.replace(/\/+$/, "");
+if (AUTH_MODE === "oauth" && !OAUTH_ISSUER) {
+  console.error(`Error: MCP_AUTH_MODE=oauth requires OAUTH_ISSUER`);
+  console.error(`Set OAUTH_ISSUER to your authorization server's issuer URL.`);
+  process.exit(1);
+}
+const OAUTH_AUDIENCE = process.env.OAUTH_AUDIENCE ?? (PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/mcp` : undefined);
+// Without an audience any token from the issuer would do, including ones meant for other resources
+if (AUTH_MODE === "oauth" && !OAUTH_AUDIENCE) {
+  console.error(`Error: MCP_AUTH_MODE=oauth requires OAUTH_AUDIENCE or PUBLIC_BASE_URL`);
+  console.error(`Set OAUTH_AUDIENCE to the aud claim your authorization server puts in tokens for this server.`);
+  process.exit(1);
+}
+const oauthJwks = AUTH_MODE === "oauth"
+  ? createRemoteJWKSet(new URL(process.env.OAUTH_JWKS_URL ?? `${OAUTH_ISSUER}/.well-known/jwks.json`))
+  : undefined;
+
+// OAuth scope required for each tool
+const TOOL_SCOPES: Record<string, string> = {
+  "send-message": "sms:send",
+  "send-bulk-messages": "sms:send",
+  "estimate-message": "sms:send",
+  "list-senders": "sms:send",
+  "find-contact": "sms:read",
+  "list-opt-outs": "sms:read",
+  "upsert-contact": "sms:contacts",
+  "delete-contact": "sms:contacts",
+  "schedule-message": "sms:send",
+  "list-scheduled-messages": "sms:read",
+  "cancel-scheduled-message": "sms:send",
+  "get-message-status": "sms:read",
+  "list-messages": "sms:read",
+  "approve-message": "sms:approve",
+  "reject-message": "sms:approve"
+};
+const SUPPORTED_SCOPES = ["sms:send", "sms:read", "sms:approve", "sms:contacts"];
+
+type AuthenticatedRequest = http.IncomingMessage & { auth?: AuthInfo };
+
+// Find the configured key matching a presented bearer token, comparing digests in constant time
+function findApiKey(token: string): ApiKey | undefined {
+  const digest = digestKey(token);
+  return API_KEYS.find((apiKey) => timingSafeEqual(apiKey.digest, digest));
+}
+
+// Base URL clients use to reach this server, preferring PUBLIC_BASE_URL over the Host header
+function publicBaseUrl(req: http.IncomingMessage): string {
+  return PUBLIC_BASE_URL ?? `http://${req.headers.host}`;
+}
+
+function protectedResourceMetadataUrl(req: http.IncomingMessage): string {
+  return `${publicBaseUrl(req)}/.well-known/oauth-protected-resource`;
+}
+
+// Serve RFC 9728 protected resource metadata so MCP clients can discover the authorization server
+function handleProtectedResourceMetadata(req: http.IncomingMessage, res: http.ServerResponse): void {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    resource: OAUTH_AUDIENCE,
+    authorization_servers: [OAUTH_ISSUER],
+    scopes_supported: SUPPORTED_SCOPES,
+    bearer_methods_supported: ["header"],
+    resource_name: "Twilio SMS MCP Server"
+  }));
+}
+
+function sendUnauthorized(res: http.ServerResponse, challenge: string, error: string, statusCode = 401): void {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'WWW-Authenticate': challenge });
+  res.end(JSON.stringify({ error }));
+}
+
+// Verify a JWT access token and map its scopes to the tools it unlocks
+async function verifyAccessToken(token: string): Promise<AuthInfo> {
+  const { payload } = await jwtVerify(token, oauthJwks!, {
+    issuer: OAUTH_ISSUER,
+    audience: OAUTH_AUDIENCE
+  });
+
+  const scopes = typeof payload.scope === "string"
+    ? payload.scope.split(" ").filter(Boolean)
+    : Array.isArray(payload.scp) ? payload.scp.map(String) : [];
+  const clientId = [payload.client_id, payload.azp, payload.sub].find((value) => typeof value === "string") as string | undefined;
+
+  return {
+    token,
+    clientId: clientId ?? "unknown",
+    scopes,
+    expiresAt: payload.exp,
+    extra: {
+      allowedTools: Object.keys(TOOL_SCOPES).filter((tool) => scopes.includes(TOOL_SCOPES[tool]))
+    }
+  };
+}
+
+// Authenticate a request to an MCP route according to AUTH_MODE. When the caller is
+// rejected this writes a 401/403 and returns false. On success the caller is attached
+// as req.auth so the transports pass it through to request handlers.
+async function authenticateRequest(req: AuthenticatedRequest, res: http.ServerResponse): Promise<boolean> {
+  if (AUTH_MODE === "none") {
+    return true;
+  }
+
+  const header = req.headers.authorization ?? "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  const token = match ? match[1].trim() : undefined;
+
+  if (AUTH_MODE === "oauth") {
+    const challenge = `Bearer resource_metadata="${protectedResourceMetadataUrl(req)}"`;
+    if (!token) {
+      sendUnauthorized(res, challenge, 'Missing bearer token');
+      return false;
+    }
+
+    let auth: AuthInfo;
+    try {
+      auth = await verifyAccessToken(token);
+    } catch (error) {
+      console.error('Access token rejected:', error instanceof Error ? error.message : error);
+      sendUnauthorized(res, `${challenge}, error="invalid_token"`, 'Invalid access token');
+      return false;
+    }
+
+    if (!auth.scopes.some((scope) => SUPPORTED_SCOPES.includes(scope))) {
+      sendUnauthorized(res, `${challenge}, error="insufficient_scope", scope="${SUPPORTED_SCOPES.join(" ")}"`, 'Insufficient scope', 403);
+      return false;
+    }
+
+    req.auth = auth;
+    return true;
+  }
+
+  const apiKey = token ? findApiKey(token) : undefined;
+  if (!token || !apiKey) {
+    const challenge = token ? 'Bearer realm="twilio-sms", error="invalid_token"' : 'Bearer realm="twilio-sms"';
+    sendUnauthorized(res, challenge, token ? 'Invalid API key' : 'Missing bearer token');
+    return false;
+  }
+
+  req.auth = {
+    token,
+    clientId: apiKey.name,
+    scopes: [],
+    extra: apiKey.tools ? { allowedTools: apiKey.tools } : undefined
+  };
+  return true;
+}
+
+// Tools the caller may use, or undefined when unrestricted
+function allowedToolsFor(auth: AuthInfo | undefined): ReadonlySet<string> | undefined {
+  const allowedTools = auth?.extra?.allowedTools;
+  return Array.isArray(allowedTools) ? new Set(allowedTools as string[]) : undefined;
+}
+
+// Twilio accepts at most 10 media URLs per message
+const MAX_MEDIA_URLS = 10;
+
+// Twilio message SIDs: SM for SMS, MM for MMS, followed by 32 hex characters
+const messageSidSchema = z.string().regex(/^(SM|MM)[0-9a-fA-F]{32}$/, "Message SID must look like SM followed by 32 hex characters");
+
+const dateFilterSchema = z.string().refine((value) => !isNaN(Date.parse(value)), { message: "Must be an ISO 8601 date or date-time" });
+
+// Arguments describing one message, shared by the tools that send or schedule messages
+const messageArgsShape = {
+  to: z.string().describe("Recipient phone number in E.164 format (e.g., +11234567890), a local number when DEFAULT_REGION is set, or a contact's name"),
+  from: z.string().optional().describe("Sender to use, one of the numbers or Messaging Service SID from list-senders (default: a sender in the recipient's country)"),
+  message: z.string().optional().describe("Message content to send (optional when mediaUrls are provided)"),
+  mediaUrls: z.array(
+    z.string().url().refine((url) => /^https?:\/\//i.test(url), { message: "Media URL must use http or https" })
+  ).max(MAX_MEDIA_URLS).optional().describe(`Publicly reachable http(s) URLs of images or other media to send as MMS (up to ${MAX_MEDIA_URLS})`),
+  urgent: z.boolean().optional().describe("Send even outside the recipient's send window (quiet hours), where the server allows it. Only for messages that can't wait.")
+};
+
+// Recipient policy checked before every send. Number rules are exact E.164 numbers or
+// prefixes ending in "*"; country codes are calling codes such as 1 or 44. Rules come
+// from SMS_ALLOWLIST, SMS_DENYLIST and SMS_ALLOWED_COUNTRY_CODES (comma-separated)
+// and/or SMS_POLICY_FILE (JSON), and the two sources are merged.
+const numberRuleSchema = z.string().regex(/^\+\d+\*?$/, 'Number rules must be E.164 numbers or prefixes ending in "*", e.g. +14155550100 or +1900*');
+const countryCodeRuleSchema = z.string().regex(/^\+?\d{1,3}$/, "Country codes must be calling codes such as 1 or +44").transform((code) => code.replace(/^\+/, ""));
+
+const recipientPolicySchema = z.object({
+  allow: z.array(numberRuleSchema).default([]),
+  deny: z.array(numberRuleSchema).default([]),
+  countryCodes: z.array(countryCodeRuleSchema).default([])
+});
+
+type RecipientPolicy = z.infer<typeof recipientPolicySchema>;
+
+function splitList(value: string | undefined): string[] {
+  return (value ?? "").split(",").map((entry) => entry.trim()).filter(Boolean);
+}
+
+function loadRecipientPolicy(): RecipientPolicy {
+  let policy: RecipientPolicy;
+  try {
+    policy = recipientPolicySchema.parse({
+      allow: splitList(process.env.SMS_ALLOWLIST),
+      deny: splitList(process.env.SMS_DENYLIST),
+      countryCodes: splitList(process.env.SMS_ALLOWED_COUNTRY_CODES)
+    });
+  } catch (error) {
+    console.error(`Error: Invalid recipient policy environment variables: ${error instanceof Error ? error.message : error}`);
+    process.exit(1);
+  }
+
+  const policyFile = process.env.SMS_POLICY_FILE;
+  if (policyFile) {
+    try {
+      const filePolicy = recipientPolicySchema.parse(JSON.parse(fs.readFileSync(policyFile, "utf8")));
+      policy.allow.push(...filePolicy.allow);
+      policy.deny.push(...filePolicy.deny);
+      policy.countryCodes.push(...filePolicy.countryCodes);
+    } catch (error) {
+      console.error(`Error: Could not load SMS_POLICY_FILE ${policyFile}: ${error instanceof Error ? error.message : error}`);
+      console.error(`The file must be a JSON object like { "allow": ["+1415*"], "deny": ["+1900*"], "countryCodes": ["1"] }.`);
+      process.exit(1);
+    }
+  }
+
+  return policy;
+}
+
+const RECIPIENT_POLICY = loadRecipientPolicy();
+
+function matchesNumberRule(number: string, rule: string): boolean {
+  return rule.endsWith("*") ? number.startsWith(rule.slice(0, -1)) : number === rule;
+}
+
+// Returns a description of the rule that blocks this recipient, or undefined when allowed.
+// The denylist wins over everything; country codes and the allowlist must both pass when set.
+function recipientPolicyViolation(phone: NormalizedPhoneNumber): string | undefined {
+  const denied = RECIPIENT_POLICY.deny.find((rule) => matchesNumberRule(phone.number, rule));
+  if (denied) {
+    return `matches denylist rule ${denied}`;
+  }
+  if (RECIPIENT_POLICY.countryCodes.length > 0 && !RECIPIENT_POLICY.countryCodes.includes(phone.countryCallingCode)) {
+    return `country calling code +${phone.countryCallingCode} is not in the permitted list (${RECIPIENT_POLICY.countryCodes.map((code) => `+${code}`).join(", ")})`;
+  }
+  if (RECIPIENT_POLICY.allow.length > 0 && !RECIPIENT_POLICY.allow.some((rule) => matchesNumberRule(phone.number, rule))) {
+    return "does not match any allowlist rule";
+  }
+  return undefined;
+}
+
+// Directory for local state that must survive restarts. On Railway, point this at a mounted volume.
+const DATA_DIR = process.env.DATA_DIR ?? path.join(os.homedir(), ".sms-mcp-server");
+
+// Small JSON file store under DATA_DIR. Writes go to a temp file first so a crash
+// mid-write never leaves a truncated store behind. A store that can't be read starts empty,
+// unless it's `required`, in which case the server refuses to start instead. A `shared` store
+// is read again whenever the file has changed, so servers sharing a DATA_DIR see each other's writes.
+class JsonFileStore<T> {
+  private readonly filePath: string;
+  private readonly shared: boolean;
+  private data: T;
+  // Inode and modification time of the file as last read or written. Every write replaces the
+  // file, so a change in either means another process wrote it
+  private version: string | undefined;
+
+  constructor(fileName: string, initial: T, options: { required?: boolean; shared?: boolean } = {}) {
+    this.filePath = path.join(DATA_DIR, fileName);
+    this.shared = options.shared ?? false;
+    this.data = initial;
+    try {
+      this.read();
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return;
+      }
+      if (options.required) {
+        console.error(`Error: Couldn't read ${this.filePath}:`, error);
+        console.error(`Fix or restore the file before starting the server; it won't run without it.`);
+        process.exit(1);
+      }
+      console.error(`Error reading ${this.filePath}, starting with an empty store:`, error);
+    }
+  }
+
+  private fileVersion(filePath = this.filePath): string {
+    const stats = fs.statSync(filePath);
+    return `${stats.ino}:${stats.mtimeMs}`;
+  }
+
+  private read(): void {
+    const version = this.fileVersion();
+    this.data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    this.version = version;
+  }
+
+  // Pick up another process's writes. If the file can't be read now, the data read before is kept
+  private refresh(): void {
+    if (!this.shared) {
+      return;
+    }
+    try {
+      if (this.fileVersion() !== this.version) {
+        this.read();
+      }
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        console.error(`Error re-reading ${this.filePath}, using the data read before:`, error);
+      }
+    }
+  }
+
+  get(): T {
+    this.refresh();
+    return this.data;
+  }
+
+  update(mutate: (data: T) => void): void {
+    this.refresh();
+    mutate(this.data);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    // Renaming keeps the inode and modification time, so this is the version being written
+    this.version = this.fileVersion(tempPath);
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+// Token-bucket rate limits on send-message. Each limit is a bucket holding up to `limit`
+// tokens that refills continuously over its window, so bursts are allowed up to the quota
+// but sustained sending can't exceed it. Configure with RATE_LIMIT_<SCOPE>_PER_<WINDOW>,
+// e.g. RATE_LIMIT_RECIPIENT_PER_MINUTE=5; unset limits don't apply.
+const rateLimitScopes = ["recipient", "client", "global"] as const;
+type RateLimitScope = typeof rateLimitScopes[number];
+
+const rateLimitWindows = { minute: 60_000, day: 86_400_000 } as const;
+type RateLimitWindow = keyof typeof rateLimitWindows;
+
+interface RateLimitRule {
+  scope: RateLimitScope;
+  window: RateLimitWindow;
+  limit: number;
+}
+
+function loadRateLimitRules(): RateLimitRule[] {
+  const rules: RateLimitRule[] = [];
+  for (const scope of rateLimitScopes) {
+    for (const window of Object.keys(rateLimitWindows) as RateLimitWindow[]) {
+      const envVar = `RATE_LIMIT_${scope.toUpperCase()}_PER_${window.toUpperCase()}`;
+      const value = process.env[envVar];
+      if (!value) {
+        continue;
+      }
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit <= 0) {
+        console.error(`Error: Invalid ${envVar}: ${value}`);
+        console.error(`${envVar} must be a positive whole number of messages.`);
+        process.exit(1);
+      }
+      rules.push({ scope, window, limit });
+    }
+  }
+  return rules;
+}
+
+const RATE_LIMIT_RULES = loadRateLimitRules();
+
+interface TokenBucket {
+  tokens: number;
+  updatedAt: number;
+  // When the bucket will be full again; past this point it is equivalent to no bucket at all
+  fullAt: number;
+}
+
+// Storage for token buckets. transact must apply `mutate` atomically so two concurrent
+// sends can't both spend the last token; an external store would wrap it in a transaction.
+interface RateLimitStore {
+  transact<R>(mutate: (buckets: Record<string, TokenBucket>) => R): Promise<R>;
+}
+
+class MemoryRateLimitStore implements RateLimitStore {
+  private readonly buckets: Record<string, TokenBucket> = {};
+
+  async transact<R>(mutate: (buckets: Record<string, TokenBucket>) => R): Promise<R> {
+    return mutate(this.buckets);
+  }
+}
+
+// Keeps buckets in DATA_DIR so quotas, in particular daily ones, survive restarts
+class FileRateLimitStore implements RateLimitStore {
+  private readonly store = new JsonFileStore<{ buckets: Record<string, TokenBucket> }>("rate-limits.json", { buckets: {} });
+
+  async transact<R>(mutate: (buckets: Record<string, TokenBucket>) => R): Promise<R> {
+    let result!: R;
+    this.store.update((data) => {
+      result = mutate(data.buckets);
+    });
+    return result;
+  }
+}
+
+const rateLimitStores: Record<string, () => RateLimitStore> = {
+  memory: () => new MemoryRateLimitStore(),
+  file: () => new FileRateLimitStore()
+};
+
+const rateLimitStoreName = process.env.RATE_LIMIT_STORE ?? "memory";
+if (!rateLimitStores[rateLimitStoreName]) {
+  console.error(`Error: Invalid RATE_LIMIT_STORE: ${rateLimitStoreName}`);
+  console.error(`Use one of: ${Object.keys(rateLimitStores).join(", ")}.`);
+  process.exit(1);
+}
+const rateLimitStore = rateLimitStores[rateLimitStoreName]();
+
+interface RateLimitExceeded {
+  rule: RateLimitRule;
+  retryAfterSeconds: number;
+}
+
+function describeRateLimitRule(rule: RateLimitRule): string {
+  const scopeText = { recipient: "per recipient", client: "per client", global: "across the server" }[rule.scope];
+  return `${rule.limit} message${rule.limit === 1 ? "" : "s"} per ${rule.window} ${scopeText}`;
+}
+
+// Spends one token from every bucket that applies to this send, or none if any bucket is
+// empty, in which case the limit with the longest wait is returned.
+async function consumeRateLimits(recipient: string, clientKey: string): Promise<RateLimitExceeded | undefined> {
+  if (RATE_LIMIT_RULES.length === 0) {
+    return undefined;
+  }
+
+  const subjects: Record<RateLimitScope, string> = { recipient, client: clientKey, global: "*" };
+  return rateLimitStore.transact((buckets) => {
+    const now = Date.now();
+    for (const [key, bucket] of Object.entries(buckets)) {
+      if (bucket.fullAt <= now) {
+        delete buckets[key];
+      }
+    }
+
+    const refilled = RATE_LIMIT_RULES.map((rule) => {
+      const key = `${rule.scope}:${rule.window}:${subjects[rule.scope]}`;
+      const refillPerMs = rule.limit / rateLimitWindows[rule.window];
+      const bucket = buckets[key];
+      const tokens = bucket ? Math.min(rule.limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs) : rule.limit;
+      return { rule, key, refillPerMs, tokens };
+    });
+
+    const exceeded = refilled
+      .filter(({ tokens }) => tokens < 1)
+      .map(({ rule, refillPerMs, tokens }) => ({ rule, retryAfterSeconds: Math.ceil((1 - tokens) / refillPerMs / 1000) }))
+      .sort((a, b) => b.retryAfterSeconds - a.retryAfterSeconds);
+    if (exceeded.length > 0) {
+      return exceeded[0];
+    }
+
+    for (const { rule, key, refillPerMs, tokens } of refilled) {
+      const remaining = tokens - 1;
+      buckets[key] = { tokens: remaining, updatedAt: now, fullAt: now + Math.ceil((rule.limit - remaining) / refillPerMs) };
+    }
+    return undefined;
+  });
+}
+
+interface InboundMessage {
+  sid: string;
+  from: string;
+  to: string;
+  body: string;
+  mediaUrls: string[];
+  receivedAt: string;
+}
+
+// Received messages grouped by the sender's number, keeping the most recent per conversation
+const MAX_MESSAGES_PER_CONVERSATION = 500;
+const inboundStore = new JsonFileStore<{ conversations: Record<string, InboundMessage[]> }>(
+  "inbound-messages.json",
+  { conversations: {} }
+);
+
+function conversationUri(phone: string): string {
+  return `sms://conversations/${encodeURIComponent(phone)}`;
+}
+
+// Every live MCP server with the tools its session may use (undefined when unrestricted), so events
+// like inbound messages can be pushed to the sessions allowed to see them
+const connectedServers = new Map<McpServer, ReadonlySet<string> | undefined>();
+
+// Resources hold the same data as a tool, and are only served to sessions allowed that tool:
+// contacts with find-contact, and messages with list-messages
+function resourceTool(uri: string): string {
+  return uri.startsWith("contacts://") ? "find-contact" : "list-messages";
+}
+
+interface StatusUpdate {
+  status: string;
+  errorCode: string | null;
+  receivedAt: string;
+}
+
+// Delivery status updates reported by the provider's status callbacks, keyed by message ID
+const MAX_TRACKED_MESSAGES = 5000;
+const statusStore = new JsonFileStore<{ messages: Record<string, StatusUpdate[]> }>(
+  "message-status.json",
+  { messages: {} }
+);
+
+// The MCP server whose session sent each message, so its status updates reach that session.
+// Entries are dropped once a message reaches a final status, or when that session closes.
+const messageSenders = new Map<string, McpServer>();
+const FINAL_MESSAGE_STATUSES = ["delivered", "undelivered", "failed", "read", "canceled"];
+
+// Providers only call back when given a public URL, so status callbacks need PUBLIC_BASE_URL
+function statusCallbackUrl(): string | undefined {
+  return provider.webhookUrl("status");
+}
+
+// Read a provider webhook, answering with the provider's error when it is rejected
+async function readWebhook<T>(
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+  parse: (request: WebhookRequest) => WebhookResult<T>
+): Promise<T | null> {
+  const request: WebhookRequest = {
+    url: `${publicBaseUrl(req)}${req.url ?? '/'}`,
+    headers: req.headers,
+    body: await readRequestBody(req, 64 * 1024)
+  };
+  const result = parse(request);
+  if (!result.ok) {
+    if (result.statusCode === 403) {
+      console.error(`Rejected ${SMS_PROVIDER} webhook to ${new URL(request.url).pathname}: ${result.error}`);
+    }
+    res.writeHead(result.statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: result.error }));
+    return null;
+  }
+  return result.value;
+}
+
+// Handle the provider's message status callback: record the update and notify the sending session
+async function handleStatusCallback(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+  const update = await readWebhook(req, res, (request) => provider.parseStatusWebhook(request));
+  if (!update) {
+    return;
+  }
+
+  recordStatusUpdate(update.sid, update.to, {
+    status: update.status,
+    errorCode: update.errorCode,
+    receivedAt: new Date().toISOString()
+  });
+
+  res.writeHead(204);
+  res.end();
+}
+
+// Record a delivery status update and notify the session that sent the message
+function recordStatusUpdate(sid: string, to: string | null, update: StatusUpdate): void {
+  const { status } = update;
+  statusStore.update((data) => {
+    data.messages[sid] = [...(data.messages[sid] ?? []), update];
+    // Forget the oldest messages once the store grows past its bound
+    const sids = Object.keys(data.messages);
+    for (const oldSid of sids.slice(0, Math.max(0, sids.length - MAX_TRACKED_MESSAGES))) {
+      delete data.messages[oldSid];
+    }
+  });
+  console.error(`Message ${sid} status: ${status}`);
+
+  const sender = messageSenders.get(sid);
+  if (sender?.isConnected()) {
+    const failed = status === "failed" || status === "undelivered";
+    sender.sendLoggingMessage({
+      level: failed ? "error" : "info",
+      logger: "twilio-status",
+      data: {
+        sid,
+        to,
+        ...update,
+        message: `Message ${sid} is ${status}${update.errorCode ? ` (error ${update.errorCode})` : ""}`
+      }
+    }).catch((error) => {
+      console.error(`Error sending status notification for ${sid}:`, error);
+    });
+  }
+  if (FINAL_MESSAGE_STATUSES.includes(status)) {
+    messageSenders.delete(sid);
+  }
+}
+
+function notifyResourceUpdated(uri: string, listChanged: boolean): void {
+  for (const [server, allowedTools] of connectedServers) {
+    if (!server.isConnected() || (allowedTools && !allowedTools.has(resourceTool(uri)))) {
+      continue;
+    }
+    server.server.sendResourceUpdated({ uri }).catch((error) => {
+      console.error(`Error sending resource update for ${uri}:`, error);
+    });
+    if (listChanged) {
+      server.sendResourceListChanged();
+    }
+  }
+}
+
+// Opt-outs: a recipient who texts a STOP keyword, or whom the provider refuses as unsubscribed,
+// is not texted again until they text START. Every change is also logged for auditing.
+const OPT_OUT_KEYWORDS = ["STOP", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
+const OPT_IN_KEYWORDS = ["START", "UNSTOP"];
+const MAX_OPT_OUT_EVENTS = 5000;
+
+interface OptOutEvent {
+  number: string;
+  optedOut: boolean;
+  source: "keyword" | "provider";
+  // The keyword the recipient texted, or the provider's error
+  detail: string;
+  at: string;
+}
+
+// optedOut holds the event that opted out each number that is still opted out. Starting without
+// it would text everyone who opted out, so an unreadable file stops the server instead. It is shared,
+// so a STOP received by one server is honored by every server using the same DATA_DIR
+const optOutStore = new JsonFileStore<{ optedOut: Record<string, OptOutEvent>; events: OptOutEvent[] }>(
+  "opt-outs.json",
+  { optedOut: {}, events: [] },
+  { required: true, shared: true }
+);
+
+function findOptOut(number: string): OptOutEvent | undefined {
+  return optOutStore.get().optedOut[number];
+}
+
+function recordOptOutChange(change: Omit<OptOutEvent, "at">): void {
+  const event: OptOutEvent = { ...change, at: new Date().toISOString() };
+  optOutStore.update((data) => {
+    if (event.optedOut) {
+      data.optedOut[event.number] = event;
+    } else {
+      delete data.optedOut[event.number];
+    }
+    data.events = [...data.events, event].slice(-MAX_OPT_OUT_EVENTS);
+  });
+  console.error(`${event.number} opted ${event.optedOut ? "out" : "back in"} (${event.detail})`);
+}
+
+// Keywords only count as the whole message, as carriers treat them
+function optOutKeyword(body: string): { keyword: string; optedOut: boolean } | undefined {
+  const word = body.trim().replace(/[.!]+$/, "").toUpperCase();
+  if (OPT_OUT_KEYWORDS.includes(word)) {
+    return { keyword: word, optedOut: true };
+  }
+  if (OPT_IN_KEYWORDS.includes(word)) {
+    return { keyword: word, optedOut: false };
+  }
+  return undefined;
+}
+
+// The provider refused a recipient as unsubscribed: remember it so they aren't tried again
+function providerOptOutResult(number: string, error: RecipientOptedOutError): CallToolResult {
+  recordOptOutChange({ number, optedOut: true, source: "provider", detail: error.message });
+  return optedOutResult(findOptOut(number)!);
+}
+
+function optedOutResult(optOut: OptOutEvent): CallToolResult {
+  const reason = optOut.source === "keyword" ? `texted ${optOut.detail}` : optOut.detail;
+  return {
+    content: [{
+      type: "text",
+      text: `Error: ${optOut.number} has opted out of text messages since ${optOut.at} (${reason}). ` +
+        `They can't be texted again until they text START.`
+    }],
+    structuredContent: { error: "opted_out", to: optOut.number, optedOutAt: optOut.at },
+    isError: true
+  };
+}
+
+// Handle the provider's inbound message webhook: store the message and notify connected sessions
+async function handleInboundMessage(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+  const inbound = await readWebhook(req, res, (request) => provider.parseInboundWebhook(request));
+  if (!inbound) {
+    return;
+  }
+
+  const { from } = inbound;
+  const message: InboundMessage = { ...inbound, receivedAt: new Date().toISOString() };
+
+  const isNewConversation = !inboundStore.get().conversations[from];
+  inboundStore.update((data) => {
+    const conversation = data.conversations[from] ?? [];
+    conversation.push(message);
+    data.conversations[from] = conversation.slice(-MAX_MESSAGES_PER_CONVERSATION);
+  });
+  console.error(`Inbound message ${message.sid} received from ${from}`);
+
+  const keyword = optOutKeyword(message.body);
+  const sender = normalizePhoneNumber(from);
+  const number = sender.ok ? sender.phone.number : from;
+  if (keyword && keyword.optedOut !== Boolean(findOptOut(number))) {
+    recordOptOutChange({ number, optedOut: keyword.optedOut, source: "keyword", detail: keyword.keyword });
+  }
+
+  notifyResourceUpdated(conversationUri(from), isNewConversation);
+
+  res.writeHead(200, { 'Content-Type': provider.inboundAck.contentType });
+  res.end(provider.inboundAck.body);
+}
+
+// What the tools need from an SMS backend: sending, looking up one message and searching history
+interface SendMessageRequest {
+  // Only Twilio and the mock accept Messaging Services; other providers always get a number
+  sender: Sender;
+  to: string;
+  body?: string;
+  mediaUrls: string[];
+  statusCallback?: string;
+}
+
+interface MessageDetails {
+  sid: string;
+  status: string;
+  to: string;
+  from: string | null;
+  errorCode: number | null;
+  errorMessage: string | null;
+  price: string | null;
+  priceUnit: string | null;
+  numSegments: number | null;
+  dateSent: string | null;
+  dateUpdated: string | null;
+}
+
+interface MessageSummary {
+  sid: string;
+  direction: string;
+  from: string | null;
+  to: string;
+  status: string;
+  body: string;
+  numMedia: number;
+  dateSent: string | null;
+}
+
+interface MessageQuery {
+  to?: string;
+  from?: string;
+  direction?: "inbound" | "outbound";
+  sentAfter?: Date;
+  sentBefore?: Date;
+  pageSize: number;
+}
+
+interface MessagePage {
+  messages: MessageSummary[];
+  nextCursor: string | null;
+}
+
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+// The provider refused a message because the recipient has unsubscribed
+class RecipientOptedOutError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RecipientOptedOutError';
+  }
+}
+
+// A webhook call from the provider: the public URL it called (which signatures cover), its
+// headers and raw body
+interface WebhookRequest {
+  url: string;
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+// A parsed webhook, or the HTTP status and error to answer a rejected one with
+type WebhookResult<T> = { ok: true; value: T } | { ok: false; statusCode: number; error: string };
+
+type WebhookKind = "inbound" | "status";
+
+type InboundWebhookMessage = Omit<InboundMessage, "receivedAt">;
+
+interface StatusWebhookUpdate {
+  sid: string;
+  to: string | null;
+  // In Twilio's vocabulary (queued, sending, sent, delivered, undelivered, failed), which other
+  // providers' statuses are mapped onto
+  status: string;
+  errorCode: string | null;
+}
+
+interface SmsProvider {
+  // Shape of this provider's message IDs, checked before asking the provider about one
+  readonly messageIdSchema: z.ZodString;
+  // Response to an accepted inbound message webhook
+  readonly inboundAck: { contentType: string; body: string };
+  // Throws RecipientOptedOutError when the provider refuses an unsubscribed recipient, as does scheduleMessage
+  sendMessage(request: SendMessageRequest): Promise<{ sid: string }>;
+  fetchMessage(sid: string): Promise<MessageDetails>;
+  // With a cursor, returns the page after it (direction still applies, other filters come from
+  // the cursor). Throws InvalidCursorError for cursors this provider didn't issue.
+  listMessages(query: MessageQuery, cursor?: string): Promise<MessagePage>;
+  // Native scheduling, for providers that have it: whether the provider can hold a message from
+  // this sender until sendAt, scheduling it, and canceling it by SID. Other messages are scheduled locally.
+  canSchedule?(sender: Sender, sendAt: Date): boolean;
+  scheduleMessage?(request: SendMessageRequest, sendAt: Date): Promise<{ sid: string }>;
+  cancelScheduledMessage?(sid: string): Promise<void>;
+  // The URL webhooks of this kind should be sent to, or undefined when they can't be received
+  webhookUrl(kind: WebhookKind): string | undefined;
+  // Webhooks are served at /<SMS_PROVIDER>/inbound and /<SMS_PROVIDER>/status
+  parseInboundWebhook(request: WebhookRequest): WebhookResult<InboundWebhookMessage>;
+  parseStatusWebhook(request: WebhookRequest): WebhookResult<StatusWebhookUpdate>;
+}
+
+// Twilio's "Attempt to send to unsubscribed recipient"
+const TWILIO_UNSUBSCRIBED_ERROR = 21610;
+
+class TwilioSmsProvider implements SmsProvider {
+  readonly messageIdSchema = messageSidSchema;
+  // Empty TwiML: acknowledge without auto-replying
+  readonly inboundAck = { contentType: "text/xml", body: '<?xml version="1.0" encoding="UTF-8"?><Response></Response>' };
+  private readonly client: ReturnType<typeof twilio>;
+  // Paging cursors wrap Twilio's next page URL; only URLs for this account's message list
+  // are accepted back so a cursor can't redirect our credentials
+  private readonly pageUrlPrefix: string;
+
+  constructor(accountSid: string, private readonly authToken: string) {
+    this.client = twilio(accountSid, authToken);
+    this.pageUrlPrefix = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json?`;
+  }
+
+  private createOptions(request: SendMessageRequest): MessageListInstanceCreateOptions {
+    return {
+      ...(request.body ? { body: request.body } : {}),
+      ...(request.mediaUrls.length > 0 ? { mediaUrl: request.mediaUrls } : {}),
+      ...(request.statusCallback ? { statusCallback: request.statusCallback } : {}),
+      ...(request.sender.type === "messaging_service" ? { messagingServiceSid: request.sender.id } : { from: request.sender.id }),
+      to: request.to
+    };
+  }
+
+  async sendMessage(request: SendMessageRequest): Promise<{ sid: string }> {
+    return this.create(this.createOptions(request));
+  }
+
+  private async create(options: MessageListInstanceCreateOptions): Promise<{ sid: string }> {
+    try {
+      const response = await this.client.messages.create(options);
+      return { sid: response.sid };
+    } catch (error) {
+      if ((error as { code?: number }).code === TWILIO_UNSUBSCRIBED_ERROR) {
+        throw new RecipientOptedOutError(`Twilio error ${TWILIO_UNSUBSCRIBED_ERROR}: ${(error as Error).message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Twilio only schedules messages sent through a Messaging Service, 15 minutes to 35 days ahead
+  canSchedule(sender: Sender, sendAt: Date): boolean {
+    const lead = sendAt.getTime() - Date.now();
+    return sender.type === "messaging_service" && lead >= 15 * 60_000 && lead <= 35 * 86_400_000;
+  }
+
+  async scheduleMessage(request: SendMessageRequest, sendAt: Date): Promise<{ sid: string }> {
+    return this.create({ ...this.createOptions(request), scheduleType: "fixed", sendAt });
+  }
+
+  async cancelScheduledMessage(sid: string): Promise<void> {
+    await this.client.messages(sid).update({ status: "canceled" });
+  }
+
+  async fetchMessage(sid: string): Promise<MessageDetails> {
+    const message = await this.client.messages(sid).fetch();
+    return {
+      sid: message.sid,
+      status: message.status,
+      to: message.to,
+      from: message.from ?? null,
+      errorCode: message.errorCode ?? null,
+      errorMessage: message.errorMessage ?? null,
+      price: message.price ?? null,
+      priceUnit: message.priceUnit ?? null,
+      numSegments: message.numSegments ? Number(message.numSegments) : null,
+      dateSent: message.dateSent ? message.dateSent.toISOString() : null,
+      dateUpdated: message.dateUpdated ? message.dateUpdated.toISOString() : null
+    };
+  }
+
+  async listMessages(query: MessageQuery, cursor?: string): Promise<MessagePage> {
+    let page;
+    if (cursor) {
+      const nextPageUrl = Buffer.from(cursor, "base64url").toString("utf8");
+      if (!nextPageUrl.startsWith(this.pageUrlPrefix)) {
+        throw new InvalidCursorError();
+      }
+      page = await this.client.messages.getPage(nextPageUrl);
+    } else {
+      page = await this.client.messages.page({
+        to: query.to,
+        from: query.from,
+        dateSentAfter: query.sentAfter,
+        dateSentBefore: query.sentBefore,
+        pageSize: query.pageSize
+      });
+    }
+
+    // Twilio has no direction filter; outbound covers outbound-api, outbound-call and outbound-reply
+    const messages = page.instances
+      .filter((message) => !query.direction || message.direction.startsWith(query.direction))
+      .map((message) => ({
+        sid: message.sid,
+        direction: message.direction,
+        from: message.from ?? null,
+        to: message.to,
+        status: message.status,
+        body: message.body ?? "",
+        numMedia: Number(message.numMedia ?? 0),
+        dateSent: message.dateSent ? message.dateSent.toISOString() : null
+      }));
+    return {
+      messages,
+      nextCursor: page.nextPageUrl ? Buffer.from(page.nextPageUrl).toString("base64url") : null
+    };
+  }
+
+  webhookUrl(kind: WebhookKind): string | undefined {
+    return PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/twilio/${kind}` : undefined;
+  }
+
+  // Twilio webhooks are form-encoded and signed with X-Twilio-Signature. The signature covers
+  // the URL Twilio called, so behind a proxy PUBLIC_BASE_URL must match the externally visible URL.
+  private verifyWebhook(request: WebhookRequest): WebhookResult<URLSearchParams> {
+    const params = new URLSearchParams(request.body);
+    const signature = request.headers['x-twilio-signature'];
+    if (typeof signature !== 'string' ||
+        !twilio.validateRequest(this.authToken, signature, request.url, Object.fromEntries(params))) {
+      return { ok: false, statusCode: 403, error: 'Invalid Twilio signature' };
+    }
+    return { ok: true, value: params };
+  }
+
+  parseInboundWebhook(request: WebhookRequest): WebhookResult<InboundWebhookMessage> {
+    const verified = this.verifyWebhook(request);
+    if (!verified.ok) {
+      return verified;
+    }
+
+    const params = verified.value;
+    const from = params.get("From");
+    const to = params.get("To");
+    if (!from || !to) {
+      return { ok: false, statusCode: 400, error: 'Missing From or To parameter' };
+    }
+
+    const numMedia = parseInt(params.get("NumMedia") ?? "0", 10) || 0;
+    return {
+      ok: true,
+      value: {
+        sid: params.get("MessageSid") ?? params.get("SmsSid") ?? "",
+        from,
+        to,
+        body: params.get("Body") ?? "",
+        mediaUrls: Array.from({ length: numMedia }, (_, i) => params.get(`MediaUrl${i}`)).filter((url): url is string => !!url)
+      }
+    };
+  }
+
+  parseStatusWebhook(request: WebhookRequest): WebhookResult<StatusWebhookUpdate> {
+    const verified = this.verifyWebhook(request);
+    if (!verified.ok) {
+      return verified;
+    }
+
+    const params = verified.value;
+    const sid = params.get("MessageSid") ?? params.get("SmsSid");
+    const status = params.get("MessageStatus") ?? params.get("SmsStatus");
+    if (!sid || !status) {
+      return { ok: false, statusCode: 400, error: 'Missing MessageSid or MessageStatus parameter' };
+    }
+    return { ok: true, value: { sid, to: params.get("To"), status, errorCode: params.get("ErrorCode") } };
+  }
+}
+
+// Filter and page messages kept by this server, given newest first. Cursors carry the filters
+// and offset of the next page.
+function pageLocalMessages(all: MessageSummary[], query: MessageQuery, cursor?: string): MessagePage {
+  let filters = query;
+  let offset = 0;
+  if (cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+      throw new InvalidCursorError();
+    }
+    offset = Number(decoded?.offset);
+    if (!Number.isInteger(offset) || offset < 0 || typeof decoded.query !== "object" || decoded.query === null) {
+      throw new InvalidCursorError();
+    }
+    filters = {
+      ...decoded.query,
+      direction: query.direction,
+      sentAfter: decoded.query.sentAfter ? new Date(decoded.query.sentAfter) : undefined,
+      sentBefore: decoded.query.sentBefore ? new Date(decoded.query.sentBefore) : undefined
+    };
+  }
+
+  const matches = all.filter((message) =>
+    (!filters.to || message.to === filters.to) &&
+    (!filters.from || message.from === filters.from) &&
+    (!filters.direction || message.direction.startsWith(filters.direction)) &&
+    (!filters.sentAfter || (message.dateSent !== null && new Date(message.dateSent) >= filters.sentAfter)) &&
+    (!filters.sentBefore || (message.dateSent !== null && new Date(message.dateSent) <= filters.sentBefore)));
+
+  const messages = matches.slice(offset, offset + filters.pageSize).map((message) => ({
+    sid: message.sid,
+    direction: message.direction,
+    from: message.from,
+    to: message.to,
+    status: message.status,
+    body: message.body,
+    numMedia: message.numMedia,
+    dateSent: message.dateSent
+  }));
+  const nextOffset = offset + filters.pageSize;
+  return {
+    messages,
+    nextCursor: nextOffset < matches.length
+      ? Buffer.from(JSON.stringify({ query: filters, offset: nextOffset })).toString("base64url")
+      : null
+  };
+}
+
+interface SentMessage {
+  sid: string;
+  from: string;
+  to: string;
+  body: string;
+  numMedia: number;
+  dateSent: string;
+}
+
+// Messages sent through providers that can't look messages up. Their status comes from the
+// delivery receipts in statusStore, and list-messages pairs them with the received messages.
+const sentMessageStore = new JsonFileStore<{ messages: Record<string, SentMessage> }>(
+  "sent-messages.json",
+  { messages: {} }
+);
+
+function recordSentMessage(message: SentMessage): void {
+  sentMessageStore.update((data) => {
+    data.messages[message.sid] = message;
+    const sids = Object.keys(data.messages);
+    for (const oldSid of sids.slice(0, Math.max(0, sids.length - MAX_TRACKED_MESSAGES))) {
+      delete data.messages[oldSid];
+    }
+  });
+}
+
+function latestStatusUpdate(sid: string): StatusUpdate | undefined {
+  return statusStore.get().messages[sid]?.at(-1);
+}
+
+function fetchSentMessage(sid: string): MessageDetails {
+  const message = sentMessageStore.get().messages[sid];
+  if (!message) {
+    throw new Error(`Message ${sid} was not found`);
+  }
+  const update = latestStatusUpdate(sid);
+  const errorCode = update?.errorCode ? Number(update.errorCode) : NaN;
+  return {
+    sid,
+    status: update?.status ?? "queued",
+    to: message.to,
+    from: message.from,
+    errorCode: isNaN(errorCode) ? null : errorCode,
+    errorMessage: null,
+    price: null,
+    priceUnit: null,
+    numSegments: null,
+    dateSent: message.dateSent,
+    dateUpdated: update?.receivedAt ?? message.dateSent
+  };
+}
+
+function listStoredMessages(query: MessageQuery, cursor?: string): MessagePage {
+  const sent = Object.values(sentMessageStore.get().messages).map((message) => ({
+    ...message,
+    direction: "outbound-api",
+    status: latestStatusUpdate(message.sid)?.status ?? "queued"
+  }));
+  const received = Object.values(inboundStore.get().conversations).flat().map((message) => ({
+    sid: message.sid,
+    direction: "inbound",
+    from: message.from,
+    to: message.to,
+    status: "received",
+    body: message.body,
+    numMedia: message.mediaUrls.length,
+    dateSent: message.receivedAt
+  }));
+  const newestFirst = [...sent, ...received].sort((a, b) => b.dateSent.localeCompare(a.dateSent));
+  return pageLocalMessages(newestFirst, query, cursor);
+}
+
+// Vonage and generic HTTP webhooks aren't signed, so their URLs carry SMS_WEBHOOK_SECRET as a
+// "secret" query parameter instead. Without it set, these webhooks are rejected.
+const SMS_WEBHOOK_SECRET = process.env.SMS_WEBHOOK_SECRET;
+
+// Response to webhooks from JSON providers, which just need a 2xx
+const JSON_WEBHOOK_ACK = { contentType: "application/json", body: "{}" };
+
+// Bound on each call to a provider's REST API
+const PROVIDER_REQUEST_TIMEOUT_MS = 15_000;
+
+function secretWebhookUrl(providerName: SmsProviderName, kind: WebhookKind): string | undefined {
+  if (!PUBLIC_BASE_URL || !SMS_WEBHOOK_SECRET) {
+    return undefined;
+  }
+  return `${PUBLIC_BASE_URL}/${providerName}/${kind}?secret=${encodeURIComponent(SMS_WEBHOOK_SECRET)}`;
+}
+
+// Check a webhook's secret and parse its JSON or form-encoded body with the given schema
+function parseSecretWebhook<S extends z.ZodTypeAny>(request: WebhookRequest, schema: S): WebhookResult<z.output<S>> {
+  const secret = new URL(request.url).searchParams.get("secret");
+  if (!SMS_WEBHOOK_SECRET || !secret || !timingSafeEqual(digestKey(secret), digestKey(SMS_WEBHOOK_SECRET))) {
+    return { ok: false, statusCode: 403, error: 'Invalid webhook secret' };
+  }
+
+  let fields: unknown;
+  if ((request.headers['content-type'] ?? '').startsWith('application/json')) {
+    try {
+      fields = JSON.parse(request.body);
+    } catch {
+      return { ok: false, statusCode: 400, error: 'Invalid JSON body' };
+    }
+  } else {
+    fields = Object.fromEntries(new URLSearchParams(request.body));
+  }
+
+  const parsed = schema.safeParse(fields);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue: z.ZodIssue) => `${issue.path.join(".") || "body"}: ${issue.message}`);
+    return { ok: false, statusCode: 400, error: `Invalid webhook: ${issues.join("; ")}` };
+  }
+  return { ok: true, value: parsed.data };
+}
+
+// Vonage writes numbers without the leading "+"
+const vonageNumberSchema = z.string().regex(/^\d+$/, "Expected digits only").transform((digits) => `+${digits}`);
+
+const vonageInboundSchema = z.object({
+  messageId: z.string(),
+  msisdn: vonageNumberSchema,
+  to: vonageNumberSchema,
+  text: z.string().default("")
+});
+
+const vonageStatusSchema = z.object({
+  messageId: z.string(),
+  msisdn: vonageNumberSchema.optional(),
+  status: z.string(),
+  "err-code": z.coerce.string().optional()
+});
+
+// Vonage delivery receipt statuses in Twilio's vocabulary
+const vonageStatuses: Record<string, string> = {
+  accepted: "sent",
+  buffered: "sending",
+  delivered: "delivered",
+  expired: "undelivered",
+  failed: "failed",
+  rejected: "failed",
+  unknown: "unknown"
+};
+
+// Sends through Vonage's SMS API (SMS only; it has no MMS). Vonage can't look messages up, so
+// status and history come from this server's record of sends and delivery receipts. Configure
+// the account's inbound and delivery receipt webhooks to POST JSON to /vonage/inbound and
+// /vonage/status with ?secret=<SMS_WEBHOOK_SECRET>.
+class VonageSmsProvider implements SmsProvider {
+  readonly messageIdSchema = z.string().regex(/^[0-9A-Za-z-]{8,40}$/, "Message ID must be a Vonage message-id");
+  readonly inboundAck = JSON_WEBHOOK_ACK;
+
+  constructor(private readonly apiKey: string, private readonly apiSecret: string, private readonly apiUrl: string) {}
+
+  async sendMessage(request: SendMessageRequest): Promise<{ sid: string }> {
+    if (request.mediaUrls.length > 0) {
+      throw new Error("Vonage SMS does not support media attachments");
+    }
+
+    const text = request.body ?? "";
+    const response = await fetch(`${this.apiUrl}/sms/json`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        api_key: this.apiKey,
+        api_secret: this.apiSecret,
+        from: request.sender.id.slice(1),
+        to: request.to.slice(1),
+        text,
+        // Text outside the GSM-7 alphabet has to be sent as a Unicode message; the same check as
+        // estimate-message, so a text like "£5 café" stays GSM-7 and isn't billed as more segments
+        ...(measureMessage(text).encoding === "UCS-2" ? { type: "unicode" } : {}),
+        ...(request.statusCallback ? { callback: request.statusCallback, "status-report-req": true } : {})
+      }),
+      signal: AbortSignal.timeout(PROVIDER_REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Vonage API responded with HTTP ${response.status}`);
+    }
+
+    // Long messages are sent in parts, each with a status; the first part's ID stands for the message
+    const result = await response.json() as { messages?: { status?: string; "message-id"?: string; "error-text"?: string }[] };
+    const parts = result.messages ?? [];
+    const failed = parts.find((part) => part.status !== "0");
+    if (failed) {
+      throw new Error(`Vonage rejected the message: ${failed["error-text"] ?? `status ${failed.status}`}`);
+    }
+    const sid = parts[0]?.["message-id"];
+    if (!sid) {
+      throw new Error("Vonage API response did not include a message-id");
+    }
+
+    recordSentMessage({ sid, from: request.sender.id, to: request.to, body: text, numMedia: 0, dateSent: new Date().toISOString() });
+    return { sid };
+  }
+
+  async fetchMessage(sid: string): Promise<MessageDetails> {
+    return fetchSentMessage(sid);
+  }
+
+  async listMessages(query: MessageQuery, cursor?: string): Promise<MessagePage> {
+    return listStoredMessages(query, cursor);
+  }
+
+  webhookUrl(kind: WebhookKind): string | undefined {
+    return secretWebhookUrl("vonage", kind);
+  }
+
+  parseInboundWebhook(request: WebhookRequest): WebhookResult<InboundWebhookMessage> {
+    const parsed = parseSecretWebhook(request, vonageInboundSchema);
+    if (!parsed.ok) {
+      return parsed;
+    }
+    const { messageId, msisdn, to, text } = parsed.value;
+    return { ok: true, value: { sid: messageId, from: msisdn, to, body: text, mediaUrls: [] } };
+  }
+
+  parseStatusWebhook(request: WebhookRequest): WebhookResult<StatusWebhookUpdate> {
+    const parsed = parseSecretWebhook(request, vonageStatusSchema);
+    if (!parsed.ok) {
+      return parsed;
+    }
+    const { messageId, msisdn, status } = parsed.value;
+    const errorCode = parsed.value["err-code"];
+    return {
+      ok: true,
+      value: {
+        sid: messageId,
+        to: msisdn ?? null,
+        status: vonageStatuses[status] ?? status,
+        errorCode: errorCode && errorCode !== "0" ? errorCode : null
+      }
+    };
+  }
+}
+
+// Webhook bodies the generic HTTP provider (and the mock provider) accept
+const httpInboundSchema = z.object({
+  id: z.string().optional(),
+  from: z.string(),
+  to: z.string(),
+  body: z.string().default(""),
+  mediaUrls: z.array(z.string()).default([])
+});
+
+const httpStatusSchema = z.object({
+  id: z.string(),
+  status: z.string(),
+  to: z.string().optional(),
+  errorCode: z.coerce.string().optional()
+});
+
+function parseHttpInboundWebhook(request: WebhookRequest): WebhookResult<InboundWebhookMessage> {
+  const parsed = parseSecretWebhook(request, httpInboundSchema);
+  if (!parsed.ok) {
+    return parsed;
+  }
+  const { id, ...message } = parsed.value;
+  return { ok: true, value: { sid: id ?? randomUUID(), ...message } };
+}
+
+function parseHttpStatusWebhook(request: WebhookRequest): WebhookResult<StatusWebhookUpdate> {
+  const parsed = parseSecretWebhook(request, httpStatusSchema);
+  if (!parsed.ok) {
+    return parsed;
+  }
+  const { id, status, to, errorCode } = parsed.value;
+  return { ok: true, value: { sid: id, to: to ?? null, status, errorCode: errorCode ?? null } };
+}
+
+// Generic provider for SMS gateways with a JSON API. Each message is POSTed to
+// HTTP_PROVIDER_URL as {from, to, body, mediaUrls, statusCallback?} with the headers in
+// HTTP_PROVIDER_HEADERS, and its ID is read from the response at HTTP_PROVIDER_ID_FIELD, a dot
+// path defaulting to "id". The gateway reports back by posting {id, status, errorCode?, to?}
+// to /http/status and {id?, from, to, body, mediaUrls?} to /http/inbound, with
+// ?secret=<SMS_WEBHOOK_SECRET>. Like Vonage, status and history come from this server's records.
+class HttpSmsProvider implements SmsProvider {
+  readonly messageIdSchema = z.string().regex(/^[\w.:-]{1,128}$/, "Message ID may only contain letters, digits, '_', '.', ':' and '-'");
+  readonly inboundAck = JSON_WEBHOOK_ACK;
+
+  constructor(
+    private readonly url: string,
+    private readonly headers: Record<string, string>,
+    private readonly idField: string
+  ) {}
+
+  async sendMessage(request: SendMessageRequest): Promise<{ sid: string }> {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...this.headers },
+      body: JSON.stringify({
+        from: request.sender.id,
+        to: request.to,
+        body: request.body ?? "",
+        mediaUrls: request.mediaUrls,
+        ...(request.statusCallback ? { statusCallback: request.statusCallback } : {})
+      }),
+      signal: AbortSignal.timeout(PROVIDER_REQUEST_TIMEOUT_MS)
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+    }
+
+    let id: unknown;
+    try {
+      id = this.idField.split(".").reduce<unknown>(
+        (value, key) => typeof value === "object" && value !== null ? (value as Record<string, unknown>)[key] : undefined,
+        JSON.parse(text)
+      );
+    } catch {
+      id = undefined;
+    }
+    if (typeof id !== "string" && typeof id !== "number") {
+      throw new Error(`SMS gateway response has no message ID at "${this.idField}"`);
+    }
+
+    const sid = String(id);
+    recordSentMessage({
+      sid,
+      from: request.sender.id,
+      to: request.to,
+      body: request.body ?? "",
+      numMedia: request.mediaUrls.length,
+      dateSent: new Date().toISOString()
+    });
+    return { sid };
+  }
+
+  async fetchMessage(sid: string): Promise<MessageDetails> {
+    return fetchSentMessage(sid);
+  }
+
+  async listMessages(query: MessageQuery, cursor?: string): Promise<MessagePage> {
+    return listStoredMessages(query, cursor);
+  }
+
+  webhookUrl(kind: WebhookKind): string | undefined {
+    return secretWebhookUrl("http", kind);
+  }
+
+  parseInboundWebhook(request: WebhookRequest): WebhookResult<InboundWebhookMessage> {
+    return parseHttpInboundWebhook(request);
+  }
+
+  parseStatusWebhook(request: WebhookRequest): WebhookResult<StatusWebhookUpdate> {
+    return parseHttpStatusWebhook(request);
+  }
+}
+
+interface MockMessage extends MessageSummary {
+  mediaUrls: string[];
+  dateUpdated: string;
+  statusHistory: { status: string; at: string }[];
+}
+
+// URI of the resource listing everything the mock provider has "sent"
+const MOCK_OUTBOX_URI = "sms://mock/outbox";
+// Refused as unsubscribed, like Twilio's test credentials do for this number
+const MOCK_UNSUBSCRIBED_NUMBER = "+15005550004";
+
+// Records messages in memory with fake SIDs instead of sending them. Each message moves
+// queued -> sent -> delivered, MOCK_STATUS_DELAY_MS apart, and reports those transitions like
+// Twilio's status callbacks would, so agent workflows can be built and tested end to end.
+class MockSmsProvider implements SmsProvider {
+  readonly messageIdSchema = messageSidSchema;
+  readonly inboundAck = JSON_WEBHOOK_ACK;
+  private readonly messages = new Map<string, MockMessage>();
+
+  constructor(private readonly statusDelayMs: number) {}
+
+  async sendMessage(request: SendMessageRequest): Promise<{ sid: string }> {
+    if (request.to === MOCK_UNSUBSCRIBED_NUMBER) {
+      throw new RecipientOptedOutError(`Twilio error ${TWILIO_UNSUBSCRIBED_ERROR}: Attempt to send to unsubscribed recipient`);
+    }
+    const sid = `${request.mediaUrls.length > 0 ? "MM" : "SM"}${randomBytes(16).toString("hex")}`;
+    const now = new Date().toISOString();
+    this.messages.set(sid, {
+      sid,
+      direction: "outbound-api",
+      from: request.sender.id,
+      to: request.to,
+      status: "queued",
+      body: request.body ?? "",
+      numMedia: request.mediaUrls.length,
+      mediaUrls: request.mediaUrls,
+      dateSent: null,
+      dateUpdated: now,
+      statusHistory: [{ status: "queued", at: now }]
+    });
+    console.error(`Mock provider recorded message ${sid} to ${request.to}`);
+    notifyResourceUpdated(MOCK_OUTBOX_URI, false);
+
+    ["sent", "delivered"].forEach((status, index) => {
+      setTimeout(() => this.advance(sid, status, request.statusCallback !== undefined), this.statusDelayMs * (index + 1)).unref();
+    });
+    return { sid };
+  }
+
+  private advance(sid: string, status: string, reportStatus: boolean): void {
+    const message = this.messages.get(sid);
+    if (!message) {
+      return;
+    }
+    const now = new Date().toISOString();
+    message.status = status;
+    message.dateUpdated = now;
+    message.dateSent = message.dateSent ?? (status === "sent" ? now : null);
+    message.statusHistory.push({ status, at: now });
+    notifyResourceUpdated(MOCK_OUTBOX_URI, false);
+
+    // Like Twilio, only report status when the send asked for callbacks
+    if (reportStatus) {
+      recordStatusUpdate(sid, message.to, { status, errorCode: null, receivedAt: now });
+    }
+  }
+
+  async fetchMessage(sid: string): Promise<MessageDetails> {
+    const message = this.messages.get(sid);
+    if (!message) {
+      throw new Error(`Message ${sid} was not found`);
+    }
+    return {
+      sid: message.sid,
+      status: message.status,
+      to: message.to,
+      from: message.from,
+      errorCode: null,
+      errorMessage: null,
+      price: null,
+      priceUnit: null,
+      numSegments: Math.max(1, measureMessage(message.body).segments),
+      dateSent: message.dateSent,
+      dateUpdated: message.dateUpdated
+    };
+  }
+
+  async listMessages(query: MessageQuery, cursor?: string): Promise<MessagePage> {
+    return pageLocalMessages([...this.messages.values()].reverse(), query, cursor);
+  }
+
+  // The mock reports status itself, but like Twilio only for sends given a callback URL
+  webhookUrl(kind: WebhookKind): string | undefined {
+    return PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/mock/${kind}` : undefined;
+  }
+
+  // Webhooks in the generic HTTP format can simulate replies and delivery failures
+  parseInboundWebhook(request: WebhookRequest): WebhookResult<InboundWebhookMessage> {
+    return parseHttpInboundWebhook(request);
+  }
+
+  parseStatusWebhook(request: WebhookRequest): WebhookResult<StatusWebhookUpdate> {
+    return parseHttpStatusWebhook(request);
+  }
+
+  outbox(): MockMessage[] {
+    return [...this.messages.values()];
+  }
+}
+
+const MOCK_STATUS_DELAY_MS = process.env.MOCK_STATUS_DELAY_MS ? Number(process.env.MOCK_STATUS_DELAY_MS) : 1000;
+if (isNaN(MOCK_STATUS_DELAY_MS) || MOCK_STATUS_DELAY_MS < 0) {
+  console.error(`Error: Invalid MOCK_STATUS_DELAY_MS: ${process.env.MOCK_STATUS_DELAY_MS}`);
+  console.error(`MOCK_STATUS_DELAY_MS must be a non-negative number of milliseconds.`);
+  process.exit(1);
+}
+
+// Settings of the generic HTTP provider, read only when it is selected
+function createHttpProvider(): HttpSmsProvider {
+  const url = process.env.HTTP_PROVIDER_URL!;
+  if (!/^https?:\/\//.test(url) || !URL.canParse(url)) {
+    console.error(`Error: Invalid HTTP_PROVIDER_URL: ${url}`);
+    console.error(`HTTP_PROVIDER_URL must be the http(s) URL messages are POSTed to.`);
+    process.exit(1);
+  }
+
+  let headers: Record<string, string> = {};
+  try {
+    headers = z.record(z.string()).parse(JSON.parse(process.env.HTTP_PROVIDER_HEADERS ?? "{}"));
+  } catch {
+    console.error(`Error: Invalid HTTP_PROVIDER_HEADERS`);
+    console.error(`HTTP_PROVIDER_HEADERS must be a JSON object of header names and values, e.g. {"Authorization": "Bearer ..."}.`);
+    process.exit(1);
+  }
+
+  return new HttpSmsProvider(url, headers, process.env.HTTP_PROVIDER_ID_FIELD ?? "id");
+}
+
+function createProvider(): SmsProvider {
+  switch (SMS_PROVIDER) {
+    case "twilio":
+      return new TwilioSmsProvider(process.env.ACCOUNT_SID!, process.env.AUTH_TOKEN!);
+    case "vonage":
+      return new VonageSmsProvider(
+        process.env.VONAGE_API_KEY!,
+        process.env.VONAGE_API_SECRET!,
+        (process.env.VONAGE_API_URL ?? "https://rest.nexmo.com").replace(/\/+$/, "")
+      );
+    case "http":
+      return createHttpProvider();
+    case "mock":
+      return new MockSmsProvider(MOCK_STATUS_DELAY_MS);
+  }
+}
+
+const provider = createProvider();
+if (SMS_PROVIDER === "mock") {
+  console.error(`Dry run: messages are recorded by the mock provider and never sent (see ${MOCK_OUTBOX_URI})`);
+}
+
+// Contact book: named recipients kept in DATA_DIR. Anywhere a recipient is given, a contact's
+// name works in place of its number, and send-message also takes a tag to text every contact
+// with it. A contact's preferred sender is used unless the caller picks one.
+interface Contact {
+  id: string;
+  name: string;
+  number: string;
+  tags: string[];
+  timezone: string | null;
+  preferredSender: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+const contactStore = new JsonFileStore<{ contacts: Record<string, Contact> }>("contacts.json", { contacts: {} });
+
+function contactUri(id: string): string {
+  return `contacts://${id}`;
+}
+
+function allContacts(): Contact[] {
+  return Object.values(contactStore.get().contacts).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Names are unique regardless of case, so a name always means one contact
+function findContactByName(name: string): Contact | undefined {
+  const wanted = name.trim().toLowerCase();
+  return allContacts().find((contact) => contact.name.toLowerCase() === wanted);
+}
+
+function findContactByNumber(number: string): Contact | undefined {
+  return allContacts().find((contact) => contact.number === number);
+}
+
+function contactsWithTag(tag: string): Contact[] {
+  const wanted = tag.trim().toLowerCase();
+  return allContacts().filter((contact) => contact.tags.includes(wanted));
+}
+
+function isValidTimezone(timezone: string): boolean {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+type ResolvedRecipient = { ok: true; phone: NormalizedPhoneNumber; contact?: Contact } | { ok: false; reason: string };
+
+// A recipient given as a phone number or a contact's name
+function resolveRecipient(to: string): ResolvedRecipient {
+  const normalized = normalizePhoneNumber(to);
+  if (normalized.ok) {
+    return { ...normalized, contact: findContactByNumber(normalized.phone.number) };
+  }
+  const contact = findContactByName(to);
+  if (!contact) {
+    return normalized;
+  }
+  const number = normalizePhoneNumber(contact.number);
+  return number.ok ? { ...number, contact } : { ok: false, reason: `Contact ${contact.name} has an invalid number: ${number.reason}` };
+}
+
+// Zod schema for prompt arguments naming a recipient: a phone number, resolved to E.164, or a contact name or tag
+const recipientSchema = z.string().transform((value, ctx) => {
+  const normalized = normalizePhoneNumber(value);
+  if (normalized.ok) {
+    return normalized.phone.number;
+  }
+  if (findContactByName(value) || contactsWithTag(value).length > 0) {
+    return value.trim();
+  }
+  ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid phone number, and not a contact name or tag: ${normalized.reason}` });
+  return z.NEVER;
+});
+
+interface ContactChanges {
+  id?: string;
+  name: string;
+  number?: string;
+  tags?: string[];
+  timezone?: string | null;
+  preferredSender?: string | null;
+}
+
+type UpsertedContact = { ok: true; created: boolean; contact: Contact } | { ok: false; error: string };
+
+// Update the contact with the given ID, else the one with the same name, else create one.
+// Fields left out keep their current values; null clears an optional one.
+function upsertContact(changes: ContactChanges): UpsertedContact {
+  const existing = changes.id ? contactStore.get().contacts[changes.id] : findContactByName(changes.name);
+  if (changes.id && !existing) {
+    return { ok: false, error: `No contact with ID ${changes.id}` };
+  }
+
+  // Matching by name leaves the name as it was; renaming takes the ID
+  const name = changes.id || !existing ? changes.name.trim() : existing.name;
+  const namesake = findContactByName(name);
+  if (namesake && namesake.id !== existing?.id) {
+    return { ok: false, error: `Another contact is already named ${namesake.name}` };
+  }
+
+  const numberInput = changes.number ?? existing?.number;
+  if (!numberInput) {
+    return { ok: false, error: "A number is required for a new contact" };
+  }
+  const number = normalizePhoneNumber(numberInput);
+  if (!number.ok) {
+    return { ok: false, error: `Invalid phone number "${numberInput}": ${number.reason}` };
+  }
+
+  const timezone = changes.timezone === undefined ? existing?.timezone ?? null : changes.timezone;
+  if (timezone && !isValidTimezone(timezone)) {
+    return { ok: false, error: `Unknown timezone "${timezone}". Use an IANA name such as America/New_York.` };
+  }
+
+  let preferredSender = changes.preferredSender === undefined ? existing?.preferredSender ?? null : changes.preferredSender;
+  if (changes.preferredSender) {
+    const sender = findSender(changes.preferredSender);
+    if (!sender) {
+      return { ok: false, error: `"${changes.preferredSender}" is not a configured sender. Use list-senders to see the senders available.` };
+    }
+    preferredSender = sender.id;
+  }
+
+  const now = new Date().toISOString();
+  const contact: Contact = {
+    id: existing?.id ?? randomUUID(),
+    name,
+    number: number.phone.number,
+    tags: changes.tags
+      ? [...new Set(changes.tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean))]
+      : existing?.tags ?? [],
+    timezone,
+    preferredSender,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now
+  };
+  contactStore.update((data) => {
+    data.contacts[contact.id] = contact;
+  });
+  notifyResourceUpdated(contactUri(contact.id), !existing);
+  return { ok: true, created: !existing, contact };
+}
+
+function deleteContact(contact: Contact): void {
+  contactStore.update((data) => {
+    delete data.contacts[contact.id];
+  });
+  notifyResourceUpdated(contactUri(contact.id), true);
+}
+
+function describeContact(contact: Contact): string {
+  const details = [
+    contact.tags.length > 0 ? `tags: ${contact.tags.join(", ")}` : null,
+    contact.timezone,
+    contact.preferredSender ? `sends from ${contact.preferredSender}` : null
+  ].filter(Boolean).join("; ");
+  return `${contact.name} ${contact.number}${details ? ` (${details})` : ""} | ${contact.id}`;
+}
+
+// Send window ("quiet hours"): with SEND_WINDOW=08:00-21:00, messages only go out while it is
+// between those times where the recipient is. Their timezone comes from their contact, else from
+// the number: the area code for the US and Canada, else the country. When a country spans several
+// timezones the message has to fit the window in all of them. Outside the window a message is
+// refused, or scheduled for the window's next opening with SEND_WINDOW_MODE=defer. urgent
+// messages skip the window only when SEND_WINDOW_ALLOW_URGENT=true.
+const sendWindowModes = ["reject", "defer"] as const;
+type SendWindowMode = typeof sendWindowModes[number];
+
+interface SendWindow {
+  // Minutes after local midnight. A window whose end is before its start runs past midnight.
+  start: number;
+  end: number;
+  label: string;
+  mode: SendWindowMode;
+  allowUrgent: boolean;
+  // For numbers that don't tell us where they are, such as non-geographic ones
+  defaultTimezone: string;
+}
+
+function loadSendWindow(): SendWindow | undefined {
+  const value = process.env.SEND_WINDOW;
+  if (!value) {
+    return undefined;
+  }
+
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const [startHour, startMinute, endHour, endMinute] = (match ?? []).slice(1).map(Number);
+  if (!match || startHour > 23 || endHour > 24 || startMinute > 59 || endMinute > 59 ||
+      startHour * 60 + startMinute === endHour * 60 + endMinute) {
+    console.error(`Error: Invalid SEND_WINDOW: ${value}`);
+    console.error(`SEND_WINDOW must be a range of local times like 08:00-21:00.`);
+    process.exit(1);
+  }
+
+  const mode = (process.env.SEND_WINDOW_MODE ?? "reject") as SendWindowMode;
+  if (!sendWindowModes.includes(mode)) {
+    console.error(`Error: Invalid SEND_WINDOW_MODE: ${mode}`);
+    console.error(`SEND_WINDOW_MODE must be one of: ${sendWindowModes.join(", ")}`);
+    process.exit(1);
+  }
+
+  const defaultTimezone = process.env.SEND_WINDOW_DEFAULT_TIMEZONE ?? Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!isValidTimezone(defaultTimezone)) {
+    console.error(`Error: Invalid SEND_WINDOW_DEFAULT_TIMEZONE: ${defaultTimezone}`);
+    console.error(`Use an IANA timezone name such as America/New_York.`);
+    process.exit(1);
+  }
+
+  const pad = (number: number) => String(number).padStart(2, "0");
+  return {
+    start: startHour * 60 + startMinute,
+    end: (endHour * 60 + endMinute) % 1440,
+    label: `${pad(startHour)}:${pad(startMinute)}-${pad(endHour)}:${pad(endMinute)}`,
+    mode,
+    allowUrgent: process.env.SEND_WINDOW_ALLOW_URGENT === "true",
+    defaultTimezone
+  };
+}
+
+const SEND_WINDOW = loadSendWindow();
+
+// Timezones of US and Canadian area codes. Area codes that straddle a boundary get the zone
+// most of their numbers are in.
+const NANP_AREA_CODE_TIMEZONES: Record<string, string> = Object.fromEntries(Object.entries({
+  "America/New_York":
+    "201 202 203 207 212 215 216 220 223 226 227 229 231 234 239 240 248 249 252 260 263 267 269 272 276 283 289 " +
+    "301 302 304 305 313 315 317 321 324 326 329 330 332 336 339 343 347 351 352 354 363 365 367 380 382 386 " +
+    "401 404 407 410 412 413 416 418 419 423 434 436 437 438 440 443 445 450 463 468 470 472 475 478 484 " +
+    "502 508 513 514 516 517 518 519 540 548 551 561 567 570 571 574 579 581 582 585 586 603 606 607 609 610 " +
+    "613 614 616 617 624 631 640 646 647 656 667 678 679 680 681 683 686 689 703 704 705 706 716 717 718 724 " +
+    "727 732 734 740 742 743 753 754 757 762 765 770 772 774 781 786 802 803 804 807 810 812 813 814 815 819 " +
+    "826 828 835 838 839 843 845 848 854 856 857 859 860 862 863 864 865 873 878 904 905 906 908 910 912 914 " +
+    "917 919 929 934 937 941 942 943 947 948 954 959 973 978 980 984 989",
+  "America/Chicago":
+    "204 205 210 214 217 218 219 224 225 228 251 254 256 262 270 274 281 308 309 312 314 316 318 319 320 " +
+    "325 327 331 334 337 346 353 361 364 402 405 409 414 417 430 431 432 447 448 464 469 479 501 504 " +
+    "507 512 515 531 534 539 557 563 572 573 580 584 601 605 608 612 615 618 620 629 630 636 641 651 659 " +
+    "660 662 682 701 708 712 713 715 726 730 731 737 763 769 773 779 785 806 816 817 830 832 847 850 861 870 " +
+    "872 901 903 913 918 920 931 936 938 940 945 952 956 972 975 979 985",
+  "America/Regina": "306 474 639",
+  "America/Denver": "208 303 307 368 385 403 406 435 505 575 587 719 720 780 801 825 867 915 970 983 986",
+  "America/Phoenix": "480 520 602 623 928",
+  "America/Los_Angeles":
+    "206 209 213 236 250 253 257 279 310 323 341 350 360 369 408 415 424 425 442 458 503 509 510 530 541 559 " +
+    "562 564 604 619 626 628 650 657 661 669 672 702 707 714 725 747 760 775 778 805 818 820 831 840 858 909 " +
+    "916 925 949 951 971",
+  "America/Halifax": "428 506 782 902",
+  "America/St_Johns": "709 879",
+  "America/Anchorage": "907",
+  "Pacific/Honolulu": "808"
+}).flatMap(([timezone, areaCodes]) => areaCodes.split(" ").filter(Boolean).map((areaCode) => [areaCode, timezone])));
+
+function countryTimezones(country: string): string[] {
+  // Node exposes a region's timezones as Intl.Locale#timeZones, or getTimeZones() in newer versions
+  const locale = new Intl.Locale(`und-${country}`) as Intl.Locale & { timeZones?: string[]; getTimeZones?: () => string[] };
+  return locale.getTimeZones?.() ?? locale.timeZones ?? [];
+}
+
+// Where a recipient may be: one timezone when we know it, else every timezone of their country
+function recipientTimezones(number: string, country: string | undefined): string[] {
+  const timezone = findContactByNumber(number)?.timezone;
+  if (timezone) {
+    return [timezone];
+  }
+  const areaCodeTimezone = country === "US" || country === "CA" ? NANP_AREA_CODE_TIMEZONES[number.slice(2, 5)] : undefined;
+  if (areaCodeTimezone) {
+    return [areaCodeTimezone];
+  }
+  const timezones = country ? countryTimezones(country) : [];
+  return timezones.length > 0 ? timezones : [SEND_WINDOW?.defaultTimezone ?? "UTC"];
+}
+
+const localTimeFormats = new Map<string, Intl.DateTimeFormat>();
+
+// Minutes after midnight at this instant in the given timezone
+function localMinutes(at: Date, timezone: string): number {
+  let format = localTimeFormats.get(timezone);
+  if (!format) {
+    format = new Intl.DateTimeFormat("en-US", { timeZone: timezone, hour: "numeric", minute: "numeric", hourCycle: "h23" });
+    localTimeFormats.set(timezone, format);
+  }
+  const parts = format.formatToParts(at);
+  const part = (type: string) => Number(parts.find((entry) => entry.type === type)?.value ?? 0);
+  return part("hour") * 60 + part("minute");
+}
+
+function inSendWindow(window: SendWindow, at: Date, timezone: string): boolean {
+  const minutes = localMinutes(at, timezone);
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end;
+}
+
+// The first time the window opens in one of the timezones while it is open in all of them, within
+// the next few days. Undefined when the timezones are too far apart for the window to overlap.
+function nextSendWindowOpening(window: SendWindow, after: Date, timezones: string[]): Date | undefined {
+  const from = Math.ceil(after.getTime() / 60_000) * 60_000;
+  const candidates = timezones.flatMap((timezone) => {
+    const untilStart = (window.start - localMinutes(new Date(from), timezone) + 1440) % 1440;
+    return [0, 1, 2].map((days) => from + (untilStart + days * 1440) * 60_000);
+  });
+  return candidates
+    .sort((a, b) => a - b)
+    .map((time) => new Date(time))
+    .find((time) => timezones.every((timezone) => inSendWindow(window, time, timezone)));
+}
+
+type SendPlan = { ok: true; sendAt: Date | undefined; deferred: boolean } | { ok: false; result: CallToolResult };
+
+// When a message may go out: at sendAt (or now) if that is inside the send window for the recipient,
+// else at the window's next opening in defer mode. Urgent messages skip the window when allowed.
+function planSendTime(message: OutgoingMessage, sendAt: Date | undefined): SendPlan {
+  if (!SEND_WINDOW || (message.urgent && SEND_WINDOW.allowUrgent)) {
+    return { ok: true, sendAt, deferred: false };
+  }
+
+  const at = sendAt ?? new Date();
+  const timezones = recipientTimezones(message.to, message.country);
+  const closedIn = timezones.find((timezone) => !inSendWindow(SEND_WINDOW, at, timezone));
+  if (!closedIn) {
+    return { ok: true, sendAt, deferred: false };
+  }
+
+  const opening = nextSendWindowOpening(SEND_WINDOW, at, timezones);
+  if (opening && SEND_WINDOW.mode === "defer") {
+    return { ok: true, sendAt: opening, deferred: true };
+  }
+
+  const localTime = at.toLocaleString("en-US", { timeZone: closedIn, dateStyle: "medium", timeStyle: "short" });
+  const urgentHint = message.urgent
+    ? " This server doesn't let urgent messages skip the send window."
+    : SEND_WINDOW.allowUrgent ? " Set urgent only if the message can't wait." : "";
+  return {
+    ok: false,
+    result: {
+      content: [{
+        type: "text",
+        text: `Error: ${sendAt ? "sendAt is" : "It is"} ${localTime} for ${message.to} (${closedIn}), outside the send window ` +
+          `of ${SEND_WINDOW.label} in the recipient's local time. ` +
+          (!opening
+            ? `The recipient's possible timezones (${timezones.join(", ")}) never share the window; set their contact's timezone.`
+            : sendAt
+              ? `Pick a sendAt inside the window, such as ${opening.toISOString()}.`
+              : `The window next opens at ${opening.toISOString()}; use schedule-message to send then.`) +
+          urgentHint
+      }],
+      structuredContent: {
+        error: "outside_send_window",
+        to: message.to,
+        timezone: closedIn,
+        window: SEND_WINDOW.label,
+        nextOpening: opening?.toISOString() ?? null
+      },
+      isError: true
+    }
+  };
+}
+
+// Message size and cost. Texts that fit the GSM-7 alphabet take 160 characters per message, or 153
+// per part once split into several. One character outside it, such as a smart quote or an emoji,
+// switches the whole message to UCS-2 at 70, or 67 per part, and carriers bill every part.
+const GSM7_CHARACTERS = new Set(
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà"
+);
+// Characters of the GSM-7 extension table, which take two characters' room each
+const GSM7_EXTENSION_CHARACTERS = new Set("^{}\\[~]|€\f");
+
+const SEGMENT_LIMITS = {
+  "GSM-7": { single: 160, multipart: 153 },
+  "UCS-2": { single: 70, multipart: 67 }
+} as const;
+
+type MessageEncoding = keyof typeof SEGMENT_LIMITS;
+
+// GSM-7 stand-ins for common characters that would otherwise force UCS-2
+const GSM7_REPLACEMENTS: Record<string, string> = {
+  "‘": "'", "’": "'", "‚": "'", "‛": "'", "′": "'",
+  "“": "\"", "”": "\"", "„": "\"", "‟": "\"", "″": "\"",
+  "–": "-", "—": "-", "−": "-", "…": "...", "\u00a0": " ", "•": "*"
+};
+
+interface MessageSize {
+  encoding: MessageEncoding;
+  // Characters as carriers count them: GSM-7 extension characters and characters outside the Basic
+  // Multilingual Plane, such as most emoji, count twice
+  length: number;
+  segments: number;
+  // Each character that forces UCS-2, once, in order of appearance
+  ucs2Characters: { character: string; codePoint: string; replacement: string | null }[];
+}
+
+function measureMessage(body: string): MessageSize {
+  const characters = [...body];
+  const ucs2Characters = [...new Set(characters.filter((character) => !GSM7_CHARACTERS.has(character) && !GSM7_EXTENSION_CHARACTERS.has(character)))]
+    .map((character) => ({
+      character,
+      codePoint: `U+${character.codePointAt(0)!.toString(16).toUpperCase().padStart(4, "0")}`,
+      replacement: GSM7_REPLACEMENTS[character] ?? null
+    }));
+  const encoding: MessageEncoding = ucs2Characters.length > 0 ? "UCS-2" : "GSM-7";
+  const widths = characters.map((character) =>
+    encoding === "GSM-7" ? (GSM7_EXTENSION_CHARACTERS.has(character) ? 2 : 1) : character.length);
+  const length = widths.reduce((sum, width) => sum + width, 0);
+
+  // Parts are filled greedily, as a two-unit character can't be split across two parts
+  const limits = SEGMENT_LIMITS[encoding];
+  let segments = length === 0 ? 0 : 1;
+  if (length > limits.single) {
+    let used = 0;
+    for (const width of widths) {
+      if (used + width > limits.multipart) {
+        segments++;
+        used = 0;
+      }
+      used += width;
+    }
+  }
+  return { encoding, length, segments, ucs2Characters };
+}
+
+// Prices per segment by ISO country code, from SMS_PRICES such as "US=0.0079,GB=0.0463,*=0.05",
+// where "*" is the price for every other country, in SMS_PRICE_CURRENCY (default USD)
+function loadPriceTable(): Record<string, number> {
+  const prices: Record<string, number> = {};
+  for (const entry of splitList(process.env.SMS_PRICES)) {
+    const [country, value] = entry.split("=").map((part) => part.trim());
+    const price = Number(value);
+    if (!/^([A-Z]{2}|\*)$/.test(country) || !value || isNaN(price) || price < 0) {
+      console.error(`Error: Invalid SMS_PRICES entry: ${entry}`);
+      console.error(`SMS_PRICES must be comma-separated COUNTRY=price pairs, such as US=0.0079,GB=0.0463,*=0.05`);
+      process.exit(1);
+    }
+    prices[country] = price;
+  }
+  return prices;
+}
+
+const SMS_PRICES = loadPriceTable();
+const SMS_PRICE_CURRENCY = process.env.SMS_PRICE_CURRENCY ?? "USD";
+
+// The most segments one message may take, from MAX_SEGMENTS; unset means no limit
+const MAX_SEGMENTS = process.env.MAX_SEGMENTS ? Number(process.env.MAX_SEGMENTS) : undefined;
+if (MAX_SEGMENTS !== undefined && (!Number.isInteger(MAX_SEGMENTS) || MAX_SEGMENTS <= 0)) {
+  console.error(`Error: Invalid MAX_SEGMENTS: ${process.env.MAX_SEGMENTS}`);
+  console.error(`MAX_SEGMENTS must be a positive whole number of segments.`);
+  process.exit(1);
+}
+
+interface MessageEstimate extends MessageSize {
+  pricePerSegment: number | null;
+  estimatedCost: number | null;
+  currency: string;
+}
+
+function estimateMessage(body: string, country: string | undefined): MessageEstimate {
+  const size = measureMessage(body);
+  const pricePerSegment = (country ? SMS_PRICES[country] : undefined) ?? SMS_PRICES["*"] ?? null;
+  return {
+    ...size,
+    pricePerSegment,
+    // Rounded to keep floating point noise out of the result
+    estimatedCost: pricePerSegment === null ? null : Number((pricePerSegment * size.segments).toFixed(6)),
+    currency: SMS_PRICE_CURRENCY
+  };
+}
+
+// One line summing up an estimate, e.g. "2 segments (UCS-2 because of “ ”), about 0.0158 USD"
+function describeEstimate(estimate: MessageEstimate): string {
+  const ucs2 = estimate.ucs2Characters.map(({ character }) => character).join(" ");
+  return `${estimate.segments} segment${estimate.segments === 1 ? "" : "s"} (${estimate.encoding}` +
+    `${ucs2 ? ` because of ${ucs2}` : ""})` +
+    (estimate.estimatedCost !== null ? `, about ${estimate.estimatedCost} ${estimate.currency}` : "");
+}
+
+function tooManySegmentsResult(estimate: MessageEstimate, maxSegments: number): CallToolResult {
+  const replaceable = estimate.ucs2Characters.filter(({ replacement }) => replacement !== null);
+  return {
+    content: [{
+      type: "text",
+      text: `Error: Message is ${describeEstimate(estimate)}, more than the ${maxSegments} allowed. Shorten it` +
+        (estimate.encoding === "UCS-2"
+          ? `, or remove the characters that force UCS-2` +
+            (replaceable.length > 0 ? ` (replace ${replaceable.map(({ character, replacement }) => `${character} with ${replacement}`).join(", ")})` : "")
+          : "") +
+        ". Use estimate-message to check a message before sending it."
+    }],
+    structuredContent: {
+      error: "too_many_segments",
+      segments: estimate.segments,
+      maxSegments,
+      encoding: estimate.encoding,
+      ucs2Characters: estimate.ucs2Characters.map(({ character }) => character)
+    },
+    isError: true
+  };
+}
+
+// A validated message ready to hand to the SMS provider. clientKey is who quotas are charged to.
+interface OutgoingMessage {
+  to: string;
+  country?: string;
+  from: Sender;
+  body?: string;
+  mediaUrls: string[];
+  clientKey: string;
+  // Allowed to skip the send window, if the server permits it
+  urgent?: boolean;
+}
+
+// Quotas are charged to the API key or OAuth client when authenticated, else the session
+function clientKeyFor(extra: { authInfo?: AuthInfo; sessionId?: string }): string {
+  return extra.authInfo?.clientId ?? extra.sessionId ?? "local";
+}
+
+interface MessageRequest {
+  to: string;
+  from?: string;
+  message?: string;
+  mediaUrls?: string[];
+  urgent?: boolean;
+}
+
+type PreparedMessage = { ok: true; message: OutgoingMessage } | { ok: false; result: CallToolResult };
+
+// The checks every send path runs before a message goes anywhere: a valid recipient that the
+// recipient policy allows, a configured sender and some content
+function prepareOutgoingMessage(request: MessageRequest, clientKey: string): PreparedMessage {
+  const { to, from, message, mediaUrls, urgent } = request;
+  const recipient = resolveRecipient(to);
+  if (!recipient.ok) {
+    return {
+      ok: false,
+      result: {
+        content: [{
+          type: "text",
+          text: `Error: Invalid phone number "${to}": ${recipient.reason}`
+        }],
+        isError: true
+      }
+    };
+  }
+
+  const violation = recipientPolicyViolation(recipient.phone);
+  if (violation) {
+    return {
+      ok: false,
+      result: {
+        content: [{
+          type: "text",
+          text: `Error: Recipient ${recipient.phone.number} blocked by recipient policy: ${violation}`
+        }],
+        isError: true
+      }
+    };
+  }
+
+  const optOut = findOptOut(recipient.phone.number);
+  if (optOut) {
+    return { ok: false, result: optedOutResult(optOut) };
+  }
+
+  // A contact's preferred sender wins over routing, unless it is no longer configured
+  const preferredSender = recipient.contact?.preferredSender ? findSender(recipient.contact.preferredSender) : undefined;
+  const sender = from === undefined ? preferredSender ?? routeSender(recipient.phone) : findSender(from);
+  if (!sender) {
+    return {
+      ok: false,
+      result: {
+        content: [{
+          type: "text",
+          text: `Error: "${from}" is not a configured sender. Use list-senders to see the senders available.`
+        }],
+        isError: true
+      }
+    };
+  }
+
+  // A message needs a body, media, or both
+  const media = mediaUrls ?? [];
+  if (!message && media.length === 0) {
+    return {
+      ok: false,
+      result: {
+        content: [{
+          type: "text",
+          text: "Error: Provide a message, mediaUrls, or both"
+        }],
+        isError: true
+      }
+    };
+  }
+
+  if (MAX_SEGMENTS !== undefined && message) {
+    const estimate = estimateMessage(message, recipient.phone.country);
+    if (estimate.segments > MAX_SEGMENTS) {
+      return { ok: false, result: tooManySegmentsResult(estimate, MAX_SEGMENTS) };
+    }
+  }
+
+  return {
+    ok: true,
+    message: {
+      to: recipient.phone.number,
+      country: recipient.phone.country,
+      from: sender,
+      body: message,
+      mediaUrls: media,
+      clientKey,
+      ...(urgent ? { urgent } : {})
+    }
+  };
+}
+
+function rateLimitedResult(rateLimited: RateLimitExceeded): CallToolResult {
+  const retryAt = new Date(Date.now() + rateLimited.retryAfterSeconds * 1000).toISOString();
+  return {
+    content: [{
+      type: "text",
+      text: `Error: Rate limit exceeded (${describeRateLimitRule(rateLimited.rule)}). Retry after ${rateLimited.retryAfterSeconds} seconds (${retryAt}).`
+    }],
+    structuredContent: {
+      error: "rate_limited",
+      scope: rateLimited.rule.scope,
+      window: rateLimited.rule.window,
+      limit: rateLimited.rule.limit,
+      retryAfterSeconds: rateLimited.retryAfterSeconds,
+      retryAt
+    },
+    isError: true
+  };
+}
+
+function resultText(result: CallToolResult): string {
+  return result.content[0]?.type === "text" ? result.content[0].text : "Unknown error";
+}
+
+// Send a message through the provider, subject to the rate limits, and describe the outcome as a tool result.
+// The sender, when given, is the MCP server whose session receives the delivery status updates.
+async function deliverMessage(message: OutgoingMessage, sender: McpServer | undefined): Promise<CallToolResult> {
+  // Checked again here, as drafts and scheduled messages wait while the recipient may opt out
+  const optOut = findOptOut(message.to);
+  if (optOut) {
+    return optedOutResult(optOut);
+  }
+
+  try {
+    const rateLimited = await consumeRateLimits(message.to, message.clientKey);
+    if (rateLimited) {
+      return rateLimitedResult(rateLimited);
+    }
+
+    const statusCallback = statusCallbackUrl();
+    const response = await provider.sendMessage({
+      sender: message.from,
+      to: message.to,
+      body: message.body,
+      mediaUrls: message.mediaUrls,
+      statusCallback
+    });
+
+    // Route this message's delivery updates back to the session that sent it
+    if (statusCallback && sender) {
+      messageSenders.set(response.sid, sender);
+    }
+
+    const media = message.mediaUrls.length;
+    const mediaNote = media > 0 ? ` (${media} media attachment${media === 1 ? "" : "s"} queued)` : "";
+    const estimate = estimateMessage(message.body ?? "", message.country);
+    return {
+      content: [{
+        type: "text",
+        text: `Message sent successfully to ${message.to}${message.country ? ` (${message.country})` : ""} from ${describeSender(message.from)}! Message SID: ${response.sid}${mediaNote}` +
+          (message.body ? `\nSize: ${describeEstimate(estimate)}` : "")
+      }],
+      structuredContent: {
+        status: "sent",
+        sid: response.sid,
+        to: message.to,
+        from: message.from.id,
+        encoding: estimate.encoding,
+        segments: estimate.segments,
+        estimatedCost: estimate.estimatedCost,
+        currency: estimate.currency
+      }
+    };
+  } catch (error) {
+    if (error instanceof RecipientOptedOutError) {
+      return providerOptOutResult(message.to, error);
+    }
+    console.error("Error sending message:", error);
+    return {
+      content: [{
+        type: "text",
+        text: `Error sending message: ${error instanceof Error ? error.message : "Unknown error"}`
+      }],
+      isError: true
+    };
+  }
+}
+
+// Approval mode: with REQUIRE_APPROVAL=true, send-message holds messages as drafts until a person
+// approves them, either inline through MCP elicitation or later with approve-message or the
+// /drafts HTTP routes. Drafts that nobody approves expire after APPROVAL_TTL_MINUTES.
+const REQUIRE_APPROVAL = process.env.REQUIRE_APPROVAL === 'true';
+const APPROVAL_TTL_MINUTES = process.env.APPROVAL_TTL_MINUTES ? Number(process.env.APPROVAL_TTL_MINUTES) : 60;
+if (isNaN(APPROVAL_TTL_MINUTES) || APPROVAL_TTL_MINUTES <= 0) {
+  console.error(`Error: Invalid APPROVAL_TTL_MINUTES: ${process.env.APPROVAL_TTL_MINUTES}`);
+  console.error(`APPROVAL_TTL_MINUTES must be a positive number of minutes.`);
+  process.exit(1);
+}
+// Without credentials anyone who can reach /drafts could read every draft and approve it
+if (REQUIRE_APPROVAL && AUTH_MODE === "none" && TRANSPORT !== "stdio") {
+  console.error(`Error: REQUIRE_APPROVAL=true needs authentication on the ${TRANSPORT} transport`);
+  console.error(`Set MCP_API_KEYS, MCP_API_KEYS_FILE or MCP_AUTH_MODE=oauth so drafts can only be reviewed with a credential.`);
+  process.exit(1);
+}
+// Over stdio the client sending messages is the only one there is, so nobody else could approve a
+// draft: messages have to be confirmed inline, and approve-message and reject-message aren't offered
+const DRAFTS_ENABLED = TRANSPORT !== "stdio";
+
+// How long send-message waits for the user to answer an inline confirmation before leaving a draft
+const ELICITATION_TIMEOUT_MS = 5 * 60_000;
+
+interface Draft extends OutgoingMessage {
+  id: string;
+  createdAt: string;
+  expiresAt: string;
+  // Drafts from schedule-message are scheduled for this time, rather than sent, once approved
+  sendAt?: string;
+  // Set when the send window was closed as the draft was written. sendAt is then only the window's
+  // next opening, and approving the draft sends it as soon as the window allows
+  deferred?: boolean;
+}
+
+const draftStore = new JsonFileStore<{ drafts: Record<string, Draft> }>("drafts.json", { drafts: {} });
+
+// The MCP server whose session drafted each message, so it gets the status updates once approved
+const draftSenders = new Map<string, McpServer>();
+// Drafts being sent right now, so two approvals can't both send the same draft
+const approvingDrafts = new Set<string>();
+
+function pendingDrafts(): Draft[] {
+  const now = new Date().toISOString();
+  const expired = Object.values(draftStore.get().drafts).filter((draft) => draft.expiresAt <= now);
+  if (expired.length > 0) {
+    draftStore.update((data) => {
+      for (const draft of expired) {
+        delete data.drafts[draft.id];
+        draftSenders.delete(draft.id);
+      }
+    });
+    console.error(`Expired ${expired.length} unapproved draft(s)`);
+  }
+  return Object.values(draftStore.get().drafts);
+}
+
+function findDraft(id: string): Draft | undefined {
+  return pendingDrafts().find((draft) => draft.id === id);
+}
+
+function createDraft(message: OutgoingMessage, sender: McpServer, plan: { sendAt: Date | undefined; deferred: boolean }): Draft {
+  const createdAt = new Date();
+  const draft: Draft = {
+    ...message,
+    id: randomUUID(),
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + APPROVAL_TTL_MINUTES * 60_000).toISOString(),
+    ...(plan.sendAt ? { sendAt: plan.sendAt.toISOString() } : {}),
+    ...(plan.deferred ? { deferred: true } : {})
+  };
+  draftStore.update((data) => {
+    data.drafts[draft.id] = draft;
+  });
+  draftSenders.set(draft.id, sender);
+  console.error(`Draft ${draft.id} to ${draft.to} is pending approval`);
+  return draft;
+}
+
+function discardDraft(id: string): void {
+  draftStore.update((data) => {
+    delete data.drafts[id];
+  });
+  draftSenders.delete(id);
+}
+
+function draftNotFoundResult(id: string): CallToolResult {
+  return {
+    content: [{
+      type: "text",
+      text: `Error: No pending draft ${id}. It may have expired or already been approved or rejected.`
+    }],
+    isError: true
+  };
+}
+
+// Send (or schedule) a pending draft. The draft is only discarded once that succeeds, so a draft
+// that hits a rate limit or a provider error can be approved again. approverKey identifies the
+// client approving it, like clientKey does for the one that wrote it; nobody approves their own drafts.
+async function approveDraft(id: string, approver: McpServer | undefined, approverKey: string): Promise<CallToolResult> {
+  const draft = findDraft(id);
+  if (!draft || approvingDrafts.has(id)) {
+    return draftNotFoundResult(id);
+  }
+  if (draft.clientKey === approverKey) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: Draft ${id} can't be approved by the client that wrote it. Someone else has to approve it.`
+      }],
+      structuredContent: { error: "self_approval", draftId: id },
+      isError: true
+    };
+  }
+
+  approvingDrafts.add(id);
+  try {
+    const sender = draftSenders.get(id) ?? approver;
+    // The window is checked again, as a draft may be approved hours after it was written. A deferred
+    // draft is planned from now, so it goes out at once if the window has opened since
+    const sendAt = draft.sendAt && !draft.deferred ? new Date(draft.sendAt) : undefined;
+    const result = await releaseWithinWindow(draft, sendAt, sender);
+    if (!result.isError) {
+      discardDraft(id);
+      console.error(`Draft ${id} approved and ${result.structuredContent?.scheduleId ? "scheduled" : "sent"}`);
+    }
+    return result;
+  } finally {
+    approvingDrafts.delete(id);
+  }
+}
+
+function rejectDraft(id: string, reason: string | undefined): CallToolResult {
+  const draft = findDraft(id);
+  if (!draft || approvingDrafts.has(id)) {
+    return draftNotFoundResult(id);
+  }
+
+  discardDraft(id);
+  console.error(`Draft ${id} rejected${reason ? `: ${reason}` : ""}`);
+  return {
+    content: [{
+      type: "text",
+      text: `Draft ${id} rejected. The message to ${draft.to} was not sent.`
+    }],
+    structuredContent: { status: "rejected", draftId: id, to: draft.to }
+  };
+}
+
+function draftPendingResult(draft: Draft): CallToolResult {
+  return {
+    content: [{
+      type: "text",
+      text: `Message to ${draft.to}${draft.country ? ` (${draft.country})` : ""} is pending approval and has not been sent. ` +
+        `Draft ID: ${draft.id}. It expires at ${draft.expiresAt} unless approved with approve-message` +
+        (draft.deferred
+          ? `, which sends it once the send window opens (next at ${draft.sendAt}).`
+          : draft.sendAt ? `, which schedules it for ${draft.sendAt}.` : ".")
+    }],
+    structuredContent: {
+      status: "pending_approval",
+      draftId: draft.id,
+      to: draft.to,
+      expiresAt: draft.expiresAt,
+      ...(draft.sendAt ? { sendAt: draft.sendAt } : {}),
+      ...(draft.deferred ? { deferred: true } : {})
+    }
+  };
+}
+
+// Ask the user a yes/no approval question inline. Returns undefined when the client can't ask, or the
+// user dismissed the prompt without deciding, so the caller falls back to pending drafts.
+async function elicitApproval(
+  server: McpServer,
+  requestId: RequestId,
+  message: string,
+  title: string,
+  description: string
+): Promise<boolean | undefined> {
+  if (!server.server.getClientCapabilities()?.elicitation?.form) {
+    return undefined;
+  }
+
+  try {
+    const result = await server.server.elicitInput({
+      mode: "form",
+      message,
+      requestedSchema: {
+        type: "object",
+        properties: {
+          approve: { type: "boolean", title, description }
+        },
+        required: ["approve"]
+      }
+    }, { relatedRequestId: requestId, timeout: ELICITATION_TIMEOUT_MS });
+
+    if (result.action === "accept") {
+      return result.content?.approve === true;
+    }
+    return result.action === "decline" ? false : undefined;
+  } catch (error) {
+    console.error("Inline confirmation failed, leaving a draft instead:", error);
+    return undefined;
+  }
+}
+
+// For a message the user couldn't confirm inline where there are no drafts to fall back on
+function unconfirmedResult(to: string): CallToolResult {
+  return {
+    content: [{
+      type: "text",
+      text: `Error: The message to ${to} was not sent. Approval mode needs the user to confirm it, and this client ` +
+        `can't ask them, or they closed the prompt. Over stdio there is nobody else to approve a draft, ` +
+        `so use a client that supports elicitation.`
+    }],
+    structuredContent: { error: "confirmation_unavailable", to },
+    isError: true
+  };
+}
+
+// Ask the user to confirm one message inline
+async function confirmWithUser(
+  server: McpServer,
+  message: OutgoingMessage,
+  requestId: RequestId,
+  sendAt: Date | undefined
+): Promise<boolean | undefined> {
+  const media = message.mediaUrls.length;
+  return elicitApproval(
+    server,
+    requestId,
+    `${sendAt ? "Schedule" : "Send"} this text message to ${message.to} from ${describeSender(message.from)}` +
+      `${sendAt ? ` for ${sendAt.toISOString()}` : ""}?\n\n${message.body ?? ""}` +
+      (media > 0 ? `\n\n(${media} media attachment${media === 1 ? "" : "s"})` : ""),
+    sendAt ? "Schedule this message" : "Send this message",
+    sendAt ? "Choose true to schedule the message" : "Choose true to send the message now"
+  );
+}
+
+// Send a message now or schedule it for sendAt, following a plan from planSendTime
+async function executeSendPlan(
+  message: OutgoingMessage,
+  plan: { sendAt: Date | undefined; deferred: boolean },
+  sender: McpServer | undefined
+): Promise<CallToolResult> {
+  if (!plan.sendAt) {
+    return deliverMessage(message, sender);
+  }
+
+  const result = await scheduleOutgoingMessage(message, plan.sendAt, sender);
+  if (!plan.deferred || result.isError) {
+    return result;
+  }
+  return {
+    ...result,
+    content: [{
+      type: "text",
+      text: `Outside the send window of ${SEND_WINDOW?.label} in the recipient's local time, so deferred. ${resultText(result)}`
+    }],
+    structuredContent: { ...result.structuredContent, deferred: true }
+  };
+}
+
+// Send or schedule a message that has already been approved, if the send window allows
+async function releaseWithinWindow(message: OutgoingMessage, sendAt: Date | undefined, sender: McpServer | undefined): Promise<CallToolResult> {
+  const plan = planSendTime(message, sendAt);
+  return plan.ok ? executeSendPlan(message, plan, sender) : plan.result;
+}
+
+// Send a checked message now, or schedule it when given sendAt, keeping to the send window. In approval
+// mode the user confirms it first: inline when the client can ask, otherwise by approving the draft left for them
+// (over stdio, where there are no drafts, the message isn't sent).
+async function releaseMessage(
+  server: McpServer,
+  message: OutgoingMessage,
+  requestId: RequestId,
+  requestedSendAt: Date | undefined
+): Promise<CallToolResult> {
+  const plan = planSendTime(message, requestedSendAt);
+  if (!plan.ok) {
+    return plan.result;
+  }
+  const sendAt = plan.sendAt;
+  const release = () => executeSendPlan(message, plan, server);
+  if (!REQUIRE_APPROVAL) {
+    return release();
+  }
+
+  const confirmed = await confirmWithUser(server, message, requestId, sendAt);
+  if (confirmed === true) {
+    return release();
+  }
+  if (confirmed === false) {
+    return {
+      content: [{
+        type: "text",
+        text: `The user declined to send this message to ${message.to}. It was not ${sendAt ? "scheduled" : "sent"}.`
+      }],
+      structuredContent: { status: "rejected", to: message.to }
+    };
+  }
+  if (!DRAFTS_ENABLED) {
+    return unconfirmedResult(message.to);
+  }
+  return draftPendingResult(createDraft(message, server, plan));
+}
+
+// HTTP approval routes for reviewers outside an MCP client:
+// GET /drafts lists pending drafts, POST /drafts/{id}/approve and /drafts/{id}/reject decide one.
+async function handleDraftsRequest(req: AuthenticatedRequest, res: http.ServerResponse, pathname: string): Promise<void> {
+  const allowedTools = allowedToolsFor(req.auth);
+  const match = pathname.match(/^\/drafts\/([^/]+)\/(approve|reject)$/);
+
+  if (pathname === '/drafts' && req.method === 'GET') {
+    if (allowedTools && !allowedTools.has("approve-message") && !allowedTools.has("reject-message")) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Credential may not review drafts' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ drafts: pendingDrafts() }));
+    return;
+  }
+
+  if (!match) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'text/plain' });
+    res.end('Method Not Allowed');
+    return;
+  }
+
+  const [, id, action] = match;
+  const tool = `${action}-message`;
+  if (allowedTools && !allowedTools.has(tool)) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Credential may not ${action} drafts` }));
+    return;
+  }
+
+  const body = await readRequestBody(req, 64 * 1024);
+  let reason: string | undefined;
+  if (body.trim()) {
+    try {
+      const parsed = JSON.parse(body);
+      reason = typeof parsed.reason === "string" ? parsed.reason : undefined;
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+  }
+
+  const result = action === "approve" ? await approveDraft(id, undefined, req.auth?.clientId ?? "local") : rejectDraft(id, reason);
+  const text = result.content[0]?.type === "text" ? result.content[0].text : "";
+  const structured = result.structuredContent ?? {};
+
+  let statusCode = 200;
+  const headers: http.OutgoingHttpHeaders = { 'Content-Type': 'application/json' };
+  if (result.isError) {
+    if (!findDraft(id)) {
+      statusCode = 404;
+    } else if (structured.error === "self_approval") {
+      statusCode = 403;
+    } else if (structured.error === "rate_limited") {
+      statusCode = 429;
+      headers['Retry-After'] = String(structured.retryAfterSeconds);
+    } else if (structured.error === "outside_send_window") {
+      statusCode = 409;
+    } else {
+      statusCode = 502;
+    }
+  }
+  res.writeHead(statusCode, headers);
+  res.end(JSON.stringify({ draftId: id, ...structured, message: text }));
+}
+
+// Scheduled messages: schedule-message hands a message to the provider's own scheduler when it can
+// take it (Twilio, for Messaging Service senders) and otherwise keeps it in a job store in
+// DATA_DIR, which a local scheduler sends from when it falls due, including after a restart.
+type ScheduledMessageStatus = "scheduled" | "sending" | "sent" | "failed" | "canceled";
+
+interface ScheduledMessage extends OutgoingMessage {
+  id: string;
+  sendAt: string;
+  createdAt: string;
+  status: ScheduledMessageStatus;
+  // "provider" messages are held by the provider under sid; "local" ones are sent by this server
+  scheduler: "provider" | "local";
+  sid: string | null;
+  error: string | null;
+}
+
+const scheduleStore = new JsonFileStore<{ jobs: Record<string, ScheduledMessage> }>(
+  "scheduled-messages.json",
+  { jobs: {} }
+);
+
+// Finished jobs kept for list-scheduled-messages
+const MAX_FINISHED_SCHEDULED_MESSAGES = 500;
+// The scheduler wakes at least this often, which also keeps long waits within timer limits
+const SCHEDULER_MAX_SLEEP_MS = 60_000;
+
+// The MCP server whose session scheduled each local job, so it gets the status updates once sent
+const scheduleSenders = new Map<string, McpServer>();
+let schedulerTimer: NodeJS.Timeout | undefined;
+
+function updateScheduledMessages(changes: Record<string, Partial<ScheduledMessage>>): void {
+  scheduleStore.update((data) => {
+    for (const [id, change] of Object.entries(changes)) {
+      Object.assign(data.jobs[id], change);
+    }
+    // Forget the oldest finished jobs once there are more than the bound
+    const finished = Object.values(data.jobs).filter((job) => job.status !== "scheduled" && job.status !== "sending");
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_SCHEDULED_MESSAGES))) {
+      delete data.jobs[job.id];
+    }
+  });
+}
+
+async function scheduleOutgoingMessage(message: OutgoingMessage, sendAt: Date, scheduler: McpServer | undefined): Promise<CallToolResult> {
+  if (sendAt.getTime() <= Date.now()) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: sendAt ${sendAt.toISOString()} is in the past. Use send-message to send now.`
+      }],
+      isError: true
+    };
+  }
+  // Checked again for drafts approved after the recipient opted out
+  const optOut = findOptOut(message.to);
+  if (optOut) {
+    return optedOutResult(optOut);
+  }
+
+  try {
+    const { to, country, from, body, mediaUrls, clientKey } = message;
+    const job: ScheduledMessage = {
+      to,
+      country,
+      from,
+      body,
+      mediaUrls,
+      clientKey,
+      id: randomUUID(),
+      sendAt: sendAt.toISOString(),
+      createdAt: new Date().toISOString(),
+      status: "scheduled",
+      scheduler: "local",
+      sid: null,
+      error: null
+    };
+
+    if (provider.canSchedule?.(from, sendAt) && provider.scheduleMessage) {
+      // The provider sends these without us, so they count against the rate limits now
+      const rateLimited = await consumeRateLimits(to, clientKey);
+      if (rateLimited) {
+        return rateLimitedResult(rateLimited);
+      }
+      const statusCallback = statusCallbackUrl();
+      const response = await provider.scheduleMessage({ sender: from, to, body, mediaUrls, statusCallback }, sendAt);
+      job.scheduler = "provider";
+      job.sid = response.sid;
+      if (statusCallback && scheduler) {
+        messageSenders.set(response.sid, scheduler);
+      }
+    } else if (scheduler) {
+      scheduleSenders.set(job.id, scheduler);
+    }
+
+    scheduleStore.update((data) => {
+      data.jobs[job.id] = job;
+    });
+    armScheduler();
+    console.error(`Message ${job.id} to ${to} scheduled for ${job.sendAt} (${job.scheduler} scheduler)`);
+
+    return {
+      content: [{
+        type: "text",
+        text: `Message to ${to}${country ? ` (${country})` : ""} from ${describeSender(from)} scheduled for ${job.sendAt}. ` +
+          `Schedule ID: ${job.id}${job.sid ? ` (held by ${SMS_PROVIDER} as ${job.sid})` : ""}`
+      }],
+      structuredContent: { status: "scheduled", scheduleId: job.id, to, from: from.id, sendAt: job.sendAt, scheduler: job.scheduler, sid: job.sid }
+    };
+  } catch (error) {
+    if (error instanceof RecipientOptedOutError) {
+      return providerOptOutResult(message.to, error);
+    }
+    console.error("Error scheduling message:", error);
+    return {
+      content: [{
+        type: "text",
+        text: `Error scheduling message: ${error instanceof Error ? error.message : "Unknown error"}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function cancelScheduledMessage(id: string): Promise<CallToolResult> {
+  const job = scheduleStore.get().jobs[id];
+  if (!job || job.status !== "scheduled") {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: No scheduled message ${id}. It may have been sent or canceled already.`
+      }],
+      isError: true
+    };
+  }
+
+  if (job.scheduler === "provider" && job.sid) {
+    try {
+      await provider.cancelScheduledMessage?.(job.sid);
+    } catch (error) {
+      console.error(`Error canceling scheduled message ${id}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: `Error canceling scheduled message: ${error instanceof Error ? error.message : "Unknown error"}`
+        }],
+        isError: true
+      };
+    }
+  }
+
+  updateScheduledMessages({ [id]: { status: "canceled" } });
+  scheduleSenders.delete(id);
+  armScheduler();
+  console.error(`Scheduled message ${id} canceled`);
+  return {
+    content: [{
+      type: "text",
+      text: `Scheduled message ${id} to ${job.to} canceled. It will not be sent.`
+    }],
+    structuredContent: { status: "canceled", scheduleId: id, to: job.to }
+  };
+}
+
+// Send the local jobs that have fallen due. Provider-held ones just move to "sent", as the
+// provider sends them itself.
+async function runDueScheduledMessages(): Promise<void> {
+  const now = new Date().toISOString();
+  const due = Object.values(scheduleStore.get().jobs).filter((job) => job.status === "scheduled" && job.sendAt <= now);
+  if (due.length === 0) {
+    return;
+  }
+
+  // Claimed before sending, so an overlapping run or a crash mid-send can't send a job twice
+  updateScheduledMessages(Object.fromEntries(due.map((job) => [
+    job.id,
+    { status: job.scheduler === "provider" ? "sent" : "sending" }
+  ])));
+
+  for (const job of due.filter((job) => job.scheduler === "local")) {
+    const result = await deliverMessage(job, scheduleSenders.get(job.id));
+    const sid = result.structuredContent?.sid;
+    const text = resultText(result);
+    updateScheduledMessages({
+      [job.id]: result.isError
+        ? { status: "failed", error: text }
+        : { status: "sent", sid: typeof sid === "string" ? sid : null }
+    });
+    scheduleSenders.delete(job.id);
+    console.error(`Scheduled message ${job.id} ${result.isError ? `failed: ${text}` : "sent"}`);
+  }
+}
+
+// Sleep until the next job falls due
+function armScheduler(): void {
+  clearTimeout(schedulerTimer);
+  const pending = Object.values(scheduleStore.get().jobs).filter((job) => job.status === "scheduled");
+  if (pending.length === 0) {
+    return;
+  }
+
+  const next = Math.min(...pending.map((job) => new Date(job.sendAt).getTime()));
+  schedulerTimer = setTimeout(() => {
+    runDueScheduledMessages()
+      .catch((error) => console.error("Error sending scheduled messages:", error))
+      .finally(armScheduler);
+  }, Math.min(Math.max(0, next - Date.now()), SCHEDULER_MAX_SLEEP_MS));
+  schedulerTimer.unref();
+}
+
+// A job still "sending" was interrupted by a crash and may or may not have gone out, so it is
+// reported as failed rather than sent again
+const interruptedJobs = Object.values(scheduleStore.get().jobs).filter((job) => job.status === "sending");
+if (interruptedJobs.length > 0) {
+  updateScheduledMessages(Object.fromEntries(interruptedJobs.map((job) => [
+    job.id,
+    { status: "failed", error: "Interrupted by a server restart while sending; it may not have been sent" }
+  ])));
+  console.error(`Marked ${interruptedJobs.length} interrupted scheduled message(s) as failed`);
+}
+armScheduler();
+
+// Bulk sends: send-bulk-messages fills in a message template for each recipient and sends the
+// results through the same checks and delivery as send-message, a few at a time. One bad
+// recipient doesn't stop the rest; the caller gets a report line per recipient.
+const MAX_BULK_RECIPIENTS = 100;
+const BULK_SEND_CONCURRENCY = 5;
+// Placeholders look like {{name}}, optionally with spaces inside the braces
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+// How many messages the inline confirmation prompt previews
+const BULK_CONFIRM_PREVIEW = 10;
+
+interface BulkRecipient {
+  to: string;
+  variables?: Record<string, string>;
+}
+
+interface BulkSendResult {
+  to: string;
+  status: "sent" | "scheduled" | "failed" | "duplicate" | "pending_approval" | "rejected";
+  sid: string | null;
+  draftId: string | null;
+  // Set for messages deferred to the recipient's send window
+  scheduleId: string | null;
+  error: string | null;
+}
+
+type RenderedTemplate = { ok: true; text: string } | { ok: false; missing: string[] };
+
+function renderTemplate(template: string, variables: Record<string, string>): RenderedTemplate {
+  const missing = new Set<string>();
+  const text = template.replace(TEMPLATE_PLACEHOLDER, (placeholder, name: string) => {
+    if (!Object.hasOwn(variables, name)) {
+      missing.add(name);
+      return placeholder;
+    }
+    return variables[name];
+  });
+  return missing.size > 0 ? { ok: false, missing: [...missing] } : { ok: true, text };
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping results in input order
+async function mapWithConcurrency<T, R>(items: T[], limit: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function sendBulkMessages(
+  server: McpServer,
+  request: { recipients: BulkRecipient[]; from?: string; message?: string; mediaUrls?: string[]; urgent?: boolean },
+  clientKey: string,
+  requestId: RequestId
+): Promise<CallToolResult> {
+  const { recipients, from, message, mediaUrls, urgent } = request;
+  const results: BulkSendResult[] = recipients.map((recipient) => ({
+    to: recipient.to,
+    status: "failed",
+    sid: null,
+    draftId: null,
+    scheduleId: null,
+    error: null
+  }));
+
+  // Check every recipient up front, so a batch with mistakes sends the good messages and reports the rest
+  const firstIndexByNumber = new Map<string, number>();
+  const outgoing: { index: number; message: OutgoingMessage; plan: { sendAt: Date | undefined; deferred: boolean } }[] = [];
+  recipients.forEach((recipient, index) => {
+    const resolved = resolveRecipient(recipient.to);
+    const number = resolved.ok ? resolved.phone.number : recipient.to;
+    const first = firstIndexByNumber.get(number);
+    if (first !== undefined) {
+      results[index].status = "duplicate";
+      results[index].error = `Same number as recipient ${first + 1} (${recipients[first].to}); not sent twice`;
+      return;
+    }
+    firstIndexByNumber.set(number, index);
+
+    // A contact's name is there for {{name}} unless the recipient's variables say otherwise
+    const variables = { ...(resolved.ok && resolved.contact ? { name: resolved.contact.name } : {}), ...recipient.variables };
+    const rendered = message === undefined ? undefined : renderTemplate(message, variables);
+    if (rendered && !rendered.ok) {
+      results[index].error = `Error: Missing template variable${rendered.missing.length === 1 ? "" : "s"} ${rendered.missing.join(", ")}`;
+      return;
+    }
+
+    const prepared = prepareOutgoingMessage({ to: recipient.to, from, message: rendered?.text, mediaUrls, urgent }, clientKey);
+    if (!prepared.ok) {
+      results[index].error = resultText(prepared.result);
+      return;
+    }
+    const plan = planSendTime(prepared.message, undefined);
+    if (!plan.ok) {
+      results[index].error = resultText(plan.result);
+      return;
+    }
+    outgoing.push({ index, message: prepared.message, plan });
+  });
+
+  // In approval mode the whole batch is confirmed at once, or left as one draft per message
+  const confirmed = REQUIRE_APPROVAL && outgoing.length > 0
+    ? await elicitApproval(
+      server,
+      requestId,
+      `Send ${outgoing.length} text message${outgoing.length === 1 ? "" : "s"}?\n\n` +
+        outgoing.slice(0, BULK_CONFIRM_PREVIEW).map(({ message, plan }) =>
+          `${message.to}${plan.sendAt ? ` (at ${plan.sendAt.toISOString()})` : ""}: ${message.body ?? ""}`).join("\n") +
+        (outgoing.length > BULK_CONFIRM_PREVIEW ? `\n...and ${outgoing.length - BULK_CONFIRM_PREVIEW} more` : ""),
+      "Send these messages",
+      "Choose true to send all of the messages now"
+    )
+    : true;
+
+  if (confirmed === true) {
+    const delivered = await mapWithConcurrency(outgoing, BULK_SEND_CONCURRENCY, ({ message, plan }) => executeSendPlan(message, plan, server));
+    outgoing.forEach(({ index }, i) => {
+      const { sid, scheduleId } = delivered[i].structuredContent ?? {};
+      if (!delivered[i].isError && typeof scheduleId === "string") {
+        results[index].status = "scheduled";
+        results[index].scheduleId = scheduleId;
+        results[index].sid = typeof sid === "string" ? sid : null;
+      } else if (!delivered[i].isError && typeof sid === "string") {
+        results[index].status = "sent";
+        results[index].sid = sid;
+      } else {
+        results[index].error = resultText(delivered[i]);
+      }
+    });
+  } else {
+    for (const { index, message, plan } of outgoing) {
+      if (confirmed === false) {
+        results[index].status = "rejected";
+        results[index].error = "The user declined to send this batch";
+      } else if (!DRAFTS_ENABLED) {
+        results[index].error = resultText(unconfirmedResult(message.to));
+      } else {
+        results[index].status = "pending_approval";
+        results[index].draftId = createDraft(message, server, plan).id;
+      }
+    }
+  }
+
+  const count = (status: BulkSendResult["status"]) => results.filter((result) => result.status === status).length;
+  const summary = {
+    total: results.length,
+    sent: count("sent"),
+    scheduled: count("scheduled"),
+    failed: count("failed"),
+    duplicates: count("duplicate"),
+    pendingApproval: count("pending_approval"),
+    rejected: count("rejected")
+  };
+  console.error(`Bulk send: ${summary.sent} sent, ${summary.scheduled} scheduled, ${summary.failed} failed, ${summary.duplicates} duplicate(s) ` +
+    `of ${summary.total} recipient(s)`);
+
+  const counts = [
+    `${summary.sent} sent`,
+    ...(summary.scheduled > 0 ? [`${summary.scheduled} deferred to the send window`] : []),
+    `${summary.failed} failed`,
+    ...(summary.duplicates > 0 ? [`${summary.duplicates} duplicate(s) skipped`] : []),
+    ...(summary.pendingApproval > 0 ? [`${summary.pendingApproval} pending approval`] : []),
+    ...(summary.rejected > 0 ? [`${summary.rejected} declined`] : [])
+  ];
+  const rows = results.map((result, index) => {
+    const outcome = result.scheduleId ?? result.sid ?? result.draftId ?? result.error ?? "";
+    return `${index + 1}. ${result.to} | ${result.status} | ${outcome}`;
+  });
+  return {
+    content: [{
+      type: "text",
+      text: [`Bulk send to ${summary.total} recipient(s): ${counts.join(", ")}.`, ...rows].join("\n")
+    }],
+    structuredContent: { ...summary, results }
+  };
+}
+
+// Create an MCP server with all prompts and tools registered.
+// Each session gets its own instance; the SMS provider is shared.
+// When allowedTools is given, every other tool, and the resources of tools left out, are left out of the session.
+function createServer(allowedTools?: ReadonlySet<string>): McpServer {
+  const server = new McpServer({
+    name: "twilio-sms",
+    version: "1.0.0",
+  }, {
+    capabilities: { logging: {} }
+  });
+  const tools = new Map<string, RegisteredTool>();
+
+  connectedServers.set(server, allowedTools);
+  server.server.onclose = () => {
+    connectedServers.delete(server);
+    // Messages that never report a final status, and drafts and scheduled messages released after the
+    // session ends, would otherwise keep the closed server alive and hand it on to messageSenders
+    for (const senders of [messageSenders, draftSenders, scheduleSenders]) {
+      for (const [id, sender] of senders) {
+        if (sender === server) {
+          senders.delete(id);
+        }
+      }
+    }
+  };
+
+  const mayUse = (tool: string) => !allowedTools || allowedTools.has(tool);
+
+  // Received conversations, one resource per sender
+  if (mayUse("list-messages")) {
+    server.registerResource(
+      "conversation",
+      new ResourceTemplate("sms://conversations/{phone}", {
+        list: async () => ({
+          resources: Object.entries(inboundStore.get().conversations).map(([phone, messages]) => ({
+            uri: conversationUri(phone),
+            name: `Conversation with ${phone}`,
+            description: `${messages.length} received message(s), last at ${messages[messages.length - 1]?.receivedAt ?? "unknown"}`,
+            mimeType: "application/json"
+          }))
+        })
+      }),
+      {
+        title: "Received SMS conversation",
+        description: "Messages received from a phone number via the inbound webhook",
+        mimeType: "application/json"
+      },
+      async (uri, { phone }) => {
+        const number = decodeURIComponent(String(phone));
+        const messages = inboundStore.get().conversations[number] ?? [];
+        return {
+          contents: [{
+            uri: uri.href,
+            mimeType: "application/json",
+            text: JSON.stringify({ phone: number, messages }, null, 2)
+          }]
+        };
+      }
+    );
+  }
+
+  // The contact book, one resource per contact
+  if (mayUse("find-contact")) {
+    server.registerResource(
+      "contact",
+      new ResourceTemplate("contacts://{id}", {
+        list: async () => ({
+          resources: allContacts().map((contact) => ({
+            uri: contactUri(contact.id),
+            name: contact.name,
+            description: `${contact.number}${contact.tags.length > 0 ? ` (${contact.tags.join(", ")})` : ""}`,
+            mimeType: "application/json"
+          }))
+        })
+      }),
+      {
+        title: "Contact",
+        description: "A named recipient from the contact book, usable by name in send-message",
+        mimeType: "application/json"
+      },
+      async (uri, { id }) => {
+        const contact = contactStore.get().contacts[String(id)];
+        if (!contact) {
+          throw new McpError(ErrorCode.InvalidParams, `No contact with ID ${id}`);
+        }
+        return {
+          contents: [{
+            uri: uri.href,
+            mimeType: "application/json",
+            text: JSON.stringify(contact, null, 2)
+          }]
+        };
+      }
+    );
+  }
+
+  // In dry runs, everything the mock provider recorded along with its simulated status history
+  if (provider instanceof MockSmsProvider && mayUse("list-messages")) {
+    const mockProvider = provider;
+    server.registerResource(
+      "mock-outbox",
+      MOCK_OUTBOX_URI,
+      {
+        title: "Mock outbox",
+        description: "Messages recorded by the mock SMS provider instead of being sent",
+        mimeType: "application/json"
+      },
+      async (uri) => ({
+        contents: [{
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify({ messages: mockProvider.outbox() }, null, 2)
+        }]
+      })
+    );
+  }
+
+  server.prompt(
+    "send-greeting",
+    {
+      to: recipientSchema.describe("Recipient's phone number in E.164 format (e.g., +11234567890), or a contact's name or tag"),
+      occasion: z.string().describe("The occasion for the greeting (e.g., birthday, holiday)")
+    },
+    ({ to, occasion }) => ({
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: `Please write a warm, personalized greeting for ${occasion} and send it as a text message to ${to}. Make it engaging and friendly.`
+        }
+      }]
+    })
+  );
+
+  server.prompt(
+    "send-haiku",
+    {
+      theme: z.string().describe("The theme of the haiku"),
+      to: recipientSchema.describe("Recipient's phone number in E.164 format (e.g., +11234567890), or a contact's name or tag")
+    },
+    ({ to, theme }) => ({
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: `Please write a warm, personalized greeting for ${theme} and send it as a text message to ${to}. Make it engaging and friendly.`
+        }
+      }]
+    })
+  );
+
 
-// Create MCP server
-const server = new McpServer({
-    name: "twilio-sms",
-    version: "1.0.0",
-});
+  // Add send message tool
+  tools.set("send-message", server.tool(
+    "send-message",
+    "Send an SMS or MMS message",
+    {
+      ...messageArgsShape,
+      to: z.string().describe(`${messageArgsShape.to.description}. A contact tag texts every contact with that tag, filling in {{name}} with each contact's name.`)
+    },
+    async ({ to, from, message, mediaUrls, urgent }, extra) => {
+      try {
+        // A tag texts every contact that has it, reported like send-bulk-messages
+        const tagged = resolveRecipient(to).ok ? [] : contactsWithTag(to);
+        if (tagged.length > MAX_BULK_RECIPIENTS) {
+          return {
+            content: [{
+              type: "text",
+              text: `Error: Tag "${to}" has ${tagged.length} contacts, more than the ${MAX_BULK_RECIPIENTS} a single send can reach`
+            }],
+            isError: true
+          };
+        }
+        if (tagged.length > 0) {
+          const recipients = tagged.map((contact) => ({ to: contact.number }));
+          return await sendBulkMessages(server, { recipients, from, message, mediaUrls, urgent }, clientKeyFor(extra), extra.requestId);
+        }
 
-server.prompt(
-  "send-greeting",
-  {
-    to: z.string().describe("Recipient's phone number in E.164 format (e.g., +11234567890)"),
-    occasion: z.string().describe("The occasion for the greeting (e.g., birthday, holiday)")
-  },
-  ({ to, occasion }) => ({
-    messages: [{
-      role: "user",
-      content: {
-        type: "text",
-        text: `Please write a warm, personalized greeting for ${occasion} and send it as a text message to ${to}. Make it engaging and friendly.`
+        // Validate and normalize the recipient before anything reaches the provider
+        const prepared = prepareOutgoingMessage({ to, from, message, mediaUrls, urgent }, clientKeyFor(extra));
+        if (!prepared.ok) {
+          return prepared.result;
+        }
+        return await releaseMessage(server, prepared.message, extra.requestId, undefined);
+      } catch (error) {
+        console.error("Error sending message:", error);
+        return {
+          content: [{
+            type: "text",
+            text: `Error sending message: ${error instanceof Error ? error.message : "Unknown error"}`
+          }],
+          isError: true
+        };
       }
-    }]
-  })
-);
+    }
+  ));
 
-server.prompt(
-  "send-haiku",
-  {
-    theme: z.string().describe("The theme of the haiku"),
-    to: z.string().describe("Recipient's phone number in E.164 format (e.g., +11234567890)")
-  },
-  ({ to, theme }) => ({
-    messages: [{
-      role: "user",
-      content: {
-        type: "text",
-        text: `Please write a warm, personalized greeting for ${theme} and send it as a text message to ${to}. Make it engaging and friendly.`
+  tools.set("send-bulk-messages", server.registerTool(
+    "send-bulk-messages",
+    {
+      description: "Send a templated SMS or MMS message to several recipients at once. Placeholders like {{name}} in the " +
+        "message are filled in from each recipient's variables. Repeated numbers are sent to once, and one failed " +
+        "recipient doesn't stop the rest; the result reports the outcome for every recipient.",
+      inputSchema: {
+        recipients: z.array(z.object({
+          to: messageArgsShape.to,
+          variables: z.record(z.string()).optional().describe('Values for the placeholders in the message, e.g. { "name": "Ada" }')
+        })).min(1).max(MAX_BULK_RECIPIENTS).describe(`Who to send to, up to ${MAX_BULK_RECIPIENTS} recipients`),
+        from: messageArgsShape.from,
+        message: z.string().optional().describe("Message template, with {{placeholder}} for each recipient's variables (optional when mediaUrls are provided)"),
+        mediaUrls: messageArgsShape.mediaUrls,
+        urgent: messageArgsShape.urgent
+      },
+      outputSchema: {
+        total: z.number(),
+        sent: z.number(),
+        scheduled: z.number(),
+        failed: z.number(),
+        duplicates: z.number(),
+        pendingApproval: z.number(),
+        rejected: z.number(),
+        results: z.array(z.object({
+          to: z.string(),
+          status: z.enum(["sent", "scheduled", "failed", "duplicate", "pending_approval", "rejected"]),
+          sid: z.string().nullable(),
+          draftId: z.string().nullable(),
+          scheduleId: z.string().nullable(),
+          error: z.string().nullable()
+        }))
+      }
+    },
+    async ({ recipients, from, message, mediaUrls, urgent }, extra) =>
+      sendBulkMessages(server, { recipients, from, message, mediaUrls, urgent }, clientKeyFor(extra), extra.requestId)
+  ));
+
+  tools.set("estimate-message", server.registerTool(
+    "estimate-message",
+    {
+      description: "Check how a text message will be sent before sending it: its encoding (GSM-7, or UCS-2 when it " +
+        "has characters such as smart quotes or emoji), how many billed segments it takes, and its estimated cost. " +
+        "Flags each character that forces UCS-2, with a plain replacement where there is one.",
+      inputSchema: {
+        message: z.string().describe("Message content to check"),
+        to: z.string().optional().describe("Recipient phone number or contact name, to price the message for their country")
+      },
+      outputSchema: {
+        encoding: z.enum(["GSM-7", "UCS-2"]),
+        length: z.number(),
+        segments: z.number(),
+        charactersPerSegment: z.number(),
+        ucs2Characters: z.array(z.object({
+          character: z.string(),
+          codePoint: z.string(),
+          replacement: z.string().nullable()
+        })),
+        country: z.string().nullable(),
+        pricePerSegment: z.number().nullable(),
+        estimatedCost: z.number().nullable(),
+        currency: z.string(),
+        maxSegments: z.number().nullable(),
+        withinLimit: z.boolean()
+      }
+    },
+    async ({ message, to }) => {
+      const recipient = to === undefined ? undefined : resolveRecipient(to);
+      if (recipient && !recipient.ok) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: Invalid phone number "${to}": ${recipient.reason}`
+          }],
+          isError: true
+        };
       }
-    }]
-  })
-);
 
+      const country = recipient?.phone.country;
+      const estimate = estimateMessage(message, country);
+      const limits = SEGMENT_LIMITS[estimate.encoding];
+      const charactersPerSegment = estimate.segments > 1 ? limits.multipart : limits.single;
+      const withinLimit = MAX_SEGMENTS === undefined || estimate.segments <= MAX_SEGMENTS;
+      const lines = [
+        `${estimate.encoding}, ${estimate.length} character${estimate.length === 1 ? "" : "s"}, ` +
+          `${estimate.segments} segment${estimate.segments === 1 ? "" : "s"} of up to ${charactersPerSegment}`,
+        ...estimate.ucs2Characters.map(({ character, codePoint, replacement }) =>
+          `Forces UCS-2: ${character} (${codePoint})${replacement !== null ? `, replace with '${replacement}'` : ""}`),
+        estimate.estimatedCost !== null
+          ? `Estimated cost: ${estimate.estimatedCost} ${estimate.currency} (${estimate.pricePerSegment} per segment${country ? ` to ${country}` : ""})`
+          : "Estimated cost: unknown, as SMS_PRICES has no price for this recipient",
+        ...(withinLimit ? [] : [`Over the limit of ${MAX_SEGMENTS} segments: send-message will refuse this message`])
+      ];
+      return {
+        content: [{ type: "text", text: lines.join("\n") }],
+        structuredContent: {
+          encoding: estimate.encoding,
+          length: estimate.length,
+          segments: estimate.segments,
+          charactersPerSegment,
+          ucs2Characters: estimate.ucs2Characters,
+          country: country ?? null,
+          pricePerSegment: estimate.pricePerSegment,
+          estimatedCost: estimate.estimatedCost,
+          currency: estimate.currency,
+          maxSegments: MAX_SEGMENTS ?? null,
+          withinLimit
+        }
+      };
+    }
+  ));
 
-// Add send message tool
-server.tool(
-  "send-message",
-  "Send an SMS message via Twilio",
-  {
-    to: z.string().describe("Recipient phone number in E.164 format (e.g., +11234567890)"),
-    message: z.string().describe("Message content to send")
-  },
-  async ({ to, message }) => {
-    try {
-      // Validate phone number format
-      if (!to.startsWith("+")) {
+  // Add scheduled message tools
+  tools.set("schedule-message", server.registerTool(
+    "schedule-message",
+    {
+      description: "Schedule an SMS or MMS message to be sent at a later time, e.g. for reminders. " +
+        "Takes the same arguments as send-message plus sendAt.",
+      inputSchema: {
+        ...messageArgsShape,
+        sendAt: z.string().datetime({ offset: true }).describe("When to send, as an ISO 8601 date-time with a timezone offset (e.g., 2025-03-01T09:00:00-08:00)")
+      }
+    },
+    async ({ to, from, message, mediaUrls, urgent, sendAt }, extra) => {
+      try {
+        const prepared = prepareOutgoingMessage({ to, from, message, mediaUrls, urgent }, clientKeyFor(extra));
+        if (!prepared.ok) {
+          return prepared.result;
+        }
+        return await releaseMessage(server, prepared.message, extra.requestId, new Date(sendAt));
+      } catch (error) {
+        console.error("Error scheduling message:", error);
         return {
           content: [{
             type: "text",
-            text: "Error: Phone number must be in E.164 format (e.g., +11234567890)"
+            text: `Error scheduling message: ${error instanceof Error ? error.message : "Unknown error"}`
           }],
           isError: true
         };
       }
+    }
+  ));
+
+  tools.set("list-scheduled-messages", server.registerTool(
+    "list-scheduled-messages",
+    {
+      description: "List messages scheduled with schedule-message, soonest first",
+      inputSchema: {
+        status: z.enum(["scheduled", "sent", "failed", "canceled"]).optional().describe("Which messages to list (default: scheduled, i.e. not sent yet)")
+      },
+      outputSchema: {
+        messages: z.array(z.object({
+          scheduleId: z.string(),
+          to: z.string(),
+          from: z.string(),
+          body: z.string(),
+          numMedia: z.number(),
+          sendAt: z.string(),
+          status: z.string(),
+          scheduler: z.enum(["provider", "local"]),
+          sid: z.string().nullable(),
+          error: z.string().nullable()
+        }))
+      }
+    },
+    async ({ status }) => {
+      const wanted = status ?? "scheduled";
+      const messages = Object.values(scheduleStore.get().jobs)
+        // Jobs being sent right now still count as scheduled
+        .filter((job) => job.status === wanted || (wanted === "scheduled" && job.status === "sending"))
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt))
+        .map((job) => ({
+          scheduleId: job.id,
+          to: job.to,
+          from: job.from.id,
+          body: job.body ?? "",
+          numMedia: job.mediaUrls.length,
+          sendAt: job.sendAt,
+          status: job.status,
+          scheduler: job.scheduler,
+          sid: job.sid,
+          error: job.error
+        }));
 
-      // Send message via Twilio
-      const response = await client.messages.create({
-        body: message,
-        from: process.env.FROM_NUMBER,
-        to: to
+      const rows = messages.map((job) => {
+        const preview = job.body.length > 60 ? `${job.body.slice(0, 57)}...` : job.body;
+        const media = job.numMedia > 0 ? ` [${job.numMedia} media]` : "";
+        const outcome = job.error ? ` | ${job.error}` : job.sid ? ` | ${job.sid}` : "";
+        return `${job.sendAt} | ${job.status} | ${job.from} -> ${job.to} | ${JSON.stringify(preview)}${media} | ${job.scheduleId}${outcome}`;
       });
+      return {
+        content: [{
+          type: "text",
+          text: messages.length > 0 ? [`Found ${messages.length} ${wanted} message(s):`, ...rows].join("\n") : `No ${wanted} messages.`
+        }],
+        structuredContent: { messages }
+      };
+    }
+  ));
+
+  tools.set("cancel-scheduled-message", server.registerTool(
+    "cancel-scheduled-message",
+    {
+      description: "Cancel a message scheduled with schedule-message before it is sent",
+      inputSchema: {
+        scheduleId: z.string().uuid().describe("Schedule ID returned by schedule-message")
+      }
+    },
+    async ({ scheduleId }) => cancelScheduledMessage(scheduleId)
+  ));
+
+  // Approval tools release or discard drafts left by the send and schedule tools in approval mode
+  if (REQUIRE_APPROVAL && DRAFTS_ENABLED) {
+    tools.set("approve-message", server.registerTool(
+      "approve-message",
+      {
+        description: "Approve a pending draft created by send-message, send-bulk-messages or schedule-message, sending it now or scheduling it",
+        inputSchema: {
+          draftId: z.string().uuid().describe("Draft ID returned by send-message, send-bulk-messages or schedule-message")
+        }
+      },
+      async ({ draftId }, extra) => approveDraft(draftId, server, clientKeyFor(extra))
+    ));
+
+    tools.set("reject-message", server.registerTool(
+      "reject-message",
+      {
+        description: "Reject a pending draft created by send-message, send-bulk-messages or schedule-message so it is never sent",
+        inputSchema: {
+          draftId: z.string().uuid().describe("Draft ID returned by send-message, send-bulk-messages or schedule-message"),
+          reason: z.string().optional().describe("Why the message was rejected, for the server log")
+        }
+      },
+      async ({ draftId, reason }) => rejectDraft(draftId, reason)
+    ));
+  }
 
+  // Add sender listing tool so the assistant knows which identities it may send from
+  tools.set("list-senders", server.registerTool(
+    "list-senders",
+    {
+      description: "List the phone numbers and Messaging Service this server can send from. " +
+        "send-message uses a sender in the recipient's country unless given one with from.",
+      inputSchema: {},
+      outputSchema: {
+        senders: z.array(z.object({
+          id: z.string(),
+          type: z.enum(["number", "messaging_service"]),
+          country: z.string().nullable(),
+          isDefault: z.boolean()
+        }))
+      }
+    },
+    async () => {
+      const senders = SENDERS.map((sender) => ({
+        id: sender.id,
+        type: sender.type,
+        country: sender.type === "number" ? sender.country ?? null : null,
+        isDefault: sender === DEFAULT_SENDER
+      }));
+      const rows = senders.map((sender) => {
+        const details = [
+          sender.type === "messaging_service" ? "Messaging Service" : sender.country,
+          sender.isDefault ? "default" : null
+        ].filter(Boolean).join(", ");
+        return `${sender.id}${details ? ` (${details})` : ""}`;
+      });
       return {
         content: [{
           type: "text",
-          text: `Message sent successfully! Message SID: ${response.sid}`
-        }]
+          text: [`${senders.length} sender(s):`, ...rows].join("\n")
+        }],
+        structuredContent: { senders }
       };
-    } catch (error) {
-      console.error("Error sending message:", error);
+    }
+  ));
+
+  // Add contact book tools
+  const contactOutputShape = {
+    id: z.string(),
+    name: z.string(),
+    number: z.string(),
+    tags: z.array(z.string()),
+    timezone: z.string().nullable(),
+    preferredSender: z.string().nullable(),
+    uri: z.string()
+  };
+  const contactOutput = (contact: Contact) => ({
+    id: contact.id,
+    name: contact.name,
+    number: contact.number,
+    tags: contact.tags,
+    timezone: contact.timezone,
+    preferredSender: contact.preferredSender,
+    uri: contactUri(contact.id)
+  });
+
+  tools.set("find-contact", server.registerTool(
+    "find-contact",
+    {
+      description: "Search the contact book by name, number or tag. With no query, lists every contact.",
+      inputSchema: {
+        query: z.string().optional().describe("Part of a name or number, or a tag"),
+        tag: z.string().optional().describe("Only contacts with this tag")
+      },
+      outputSchema: {
+        contacts: z.array(z.object(contactOutputShape))
+      }
+    },
+    async ({ query, tag }) => {
+      const needle = query?.trim().toLowerCase() ?? "";
+      const digits = needle.replace(/\D/g, "");
+      const matches = allContacts()
+        .filter((contact) => !tag || contact.tags.includes(tag.trim().toLowerCase()))
+        .filter((contact) => !needle ||
+          contact.name.toLowerCase().includes(needle) ||
+          contact.tags.includes(needle) ||
+          (digits.length > 0 && contact.number.includes(digits)));
+
       return {
         content: [{
           type: "text",
-          text: `Error sending message: ${error instanceof Error ? error.message : "Unknown error"}`
+          text: matches.length > 0
+            ? [`Found ${matches.length} contact(s):`, ...matches.map(describeContact)].join("\n")
+            : "No matching contacts."
         }],
-        isError: true
+        structuredContent: { contacts: matches.map(contactOutput) }
+      };
+    }
+  ));
+
+  tools.set("upsert-contact", server.registerTool(
+    "upsert-contact",
+    {
+      description: "Add a contact, or update the one with the given ID or the same name. " +
+        "Fields left out keep their current values; pass null to clear one.",
+      inputSchema: {
+        id: z.string().uuid().optional().describe("ID of the contact to update, e.g. to rename it"),
+        name: z.string().trim().min(1).describe("Contact's name, unique in the contact book"),
+        number: z.string().optional().describe("Phone number in E.164 format (required for a new contact)"),
+        tags: z.array(z.string()).optional().describe("Tags for texting groups of contacts at once, e.g. [\"family\"]; replaces the current tags"),
+        timezone: z.string().nullable().optional().describe("IANA timezone of the contact, e.g. America/New_York"),
+        preferredSender: z.string().nullable().optional().describe("Sender to text this contact from, one of the numbers or Messaging Service SID from list-senders")
+      },
+      outputSchema: {
+        status: z.enum(["created", "updated"]),
+        contact: z.object(contactOutputShape)
+      }
+    },
+    async (changes) => {
+      const result = upsertContact(changes);
+      if (!result.ok) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${result.error}`
+          }],
+          isError: true
+        };
+      }
+      const status = result.created ? "created" : "updated";
+      return {
+        content: [{
+          type: "text",
+          text: `Contact ${status}: ${describeContact(result.contact)}`
+        }],
+        structuredContent: { status, contact: contactOutput(result.contact) }
+      };
+    }
+  ));
+
+  tools.set("delete-contact", server.registerTool(
+    "delete-contact",
+    {
+      description: "Delete a contact from the contact book",
+      inputSchema: {
+        contact: z.string().describe("ID or name of the contact")
+      }
+    },
+    async ({ contact: idOrName }) => {
+      const contact = contactStore.get().contacts[idOrName] ?? findContactByName(idOrName);
+      if (!contact) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: No contact "${idOrName}". Use find-contact to look it up.`
+          }],
+          isError: true
+        };
+      }
+      deleteContact(contact);
+      return {
+        content: [{
+          type: "text",
+          text: `Contact ${contact.name} (${contact.number}) deleted`
+        }],
+        structuredContent: { status: "deleted", id: contact.id }
+      };
+    }
+  ));
+
+  // Add opt-out audit tool
+  const optOutEventShape = {
+    number: z.string(),
+    optedOut: z.boolean(),
+    source: z.enum(["keyword", "provider"]),
+    detail: z.string(),
+    at: z.string()
+  };
+
+  tools.set("list-opt-outs", server.registerTool(
+    "list-opt-outs",
+    {
+      description: "List the numbers that have opted out of text messages and can't be texted, " +
+        "optionally with the history of opt-outs and opt-ins for auditing",
+      inputSchema: {
+        number: phoneNumberSchema.optional().describe("Only this phone number"),
+        includeHistory: z.boolean().optional().describe("Also list every opt-out and opt-in recorded, newest first (default: false)")
+      },
+      outputSchema: {
+        optOuts: z.array(z.object(optOutEventShape)),
+        history: z.array(z.object(optOutEventShape))
+      }
+    },
+    async ({ number, includeHistory }) => {
+      const { optedOut, events } = optOutStore.get();
+      const optOuts = Object.values(optedOut)
+        .filter((event) => !number || event.number === number)
+        .sort((a, b) => b.at.localeCompare(a.at));
+      const history = includeHistory
+        ? events.filter((event) => !number || event.number === number).slice().reverse()
+        : [];
+
+      const describe = (event: OptOutEvent) =>
+        `${event.at} | ${event.number} | ${event.optedOut ? "opted out" : "opted in"} | ` +
+        `${event.source === "keyword" ? `texted ${event.detail}` : event.detail}`;
+      const lines = [
+        optOuts.length > 0 ? `${optOuts.length} number(s) opted out:` : "No numbers are opted out.",
+        ...optOuts.map(describe),
+        ...(includeHistory ? ["", `History (${history.length} change(s)):`, ...history.map(describe)] : [])
+      ];
+      return {
+        content: [{
+          type: "text",
+          text: lines.join("\n")
+        }],
+        structuredContent: { optOuts, history }
       };
     }
+  ));
+
+  // Add message status lookup tool
+  tools.set("get-message-status", server.registerTool(
+    "get-message-status",
+    {
+      description: "Look up the delivery status of a message previously sent",
+      inputSchema: {
+        sid: provider.messageIdSchema.describe("Message SID returned by send-message (e.g., SM0123... for Twilio)")
+      },
+      outputSchema: {
+        sid: z.string(),
+        status: z.string(),
+        to: z.string(),
+        from: z.string().nullable(),
+        errorCode: z.number().nullable(),
+        errorMessage: z.string().nullable(),
+        price: z.string().nullable(),
+        priceUnit: z.string().nullable(),
+        numSegments: z.number().nullable(),
+        dateSent: z.string().nullable(),
+        dateUpdated: z.string().nullable()
+      }
+    },
+    async ({ sid }) => {
+      try {
+        const status = await provider.fetchMessage(sid);
+
+        const details = [
+          `Message ${status.sid} to ${status.to}: ${status.status}`,
+          status.errorCode !== null ? `Error ${status.errorCode}: ${status.errorMessage ?? "Unknown error"}` : null,
+          status.price !== null ? `Price: ${status.price} ${status.priceUnit ?? ""}`.trim() : null,
+          status.numSegments !== null ? `Segments: ${status.numSegments}` : null,
+          status.dateSent ? `Sent: ${status.dateSent}` : null,
+          status.dateUpdated ? `Updated: ${status.dateUpdated}` : null
+        ].filter(Boolean).join("\n");
+
+        return {
+          content: [{
+            type: "text",
+            text: details
+          }],
+          structuredContent: { ...status }
+        };
+      } catch (error) {
+        console.error("Error fetching message status:", error);
+        return {
+          content: [{
+            type: "text",
+            text: `Error fetching message status: ${error instanceof Error ? error.message : "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  ));
+
+  // Add message history tool
+  tools.set("list-messages", server.registerTool(
+    "list-messages",
+    {
+      description: "List and search sent and received messages. " +
+        "With a single sender number, outbound searches default to messages from it and inbound searches to messages sent to it.",
+      inputSchema: {
+        to: phoneNumberSchema.optional().describe("Only messages sent to this phone number"),
+        from: phoneNumberSchema.optional().describe("Only messages sent from this phone number"),
+        direction: z.enum(["inbound", "outbound"]).optional().describe("Only inbound (received) or outbound (sent) messages"),
+        sentAfter: dateFilterSchema.optional().describe("Only messages sent on or after this ISO 8601 date or date-time"),
+        sentBefore: dateFilterSchema.optional().describe("Only messages sent on or before this ISO 8601 date or date-time"),
+        pageSize: z.number().int().min(1).max(100).optional().describe("Messages per page (default 20, max 100)"),
+        cursor: z.string().optional().describe("Cursor from a previous list-messages result to fetch the next page; other filters are ignored when set")
+      },
+      outputSchema: {
+        messages: z.array(z.object({
+          sid: z.string(),
+          direction: z.string(),
+          from: z.string().nullable(),
+          to: z.string(),
+          status: z.string(),
+          body: z.string(),
+          numMedia: z.number(),
+          dateSent: z.string().nullable()
+        })),
+        nextCursor: z.string().nullable()
+      }
+    },
+    async ({ to, from, direction, sentAfter, sentBefore, pageSize, cursor }) => {
+      try {
+        // Default to this server's number on the side of the conversation it owns
+        const filters = direction === "inbound"
+          ? { to: to ?? SOLE_SENDER_NUMBER, from }
+          : { to, from: from ?? SOLE_SENDER_NUMBER };
+        let page: MessagePage;
+        try {
+          page = await provider.listMessages({
+            ...filters,
+            direction,
+            sentAfter: sentAfter ? new Date(sentAfter) : undefined,
+            sentBefore: sentBefore ? new Date(sentBefore) : undefined,
+            pageSize: pageSize ?? 20
+          }, cursor);
+        } catch (error) {
+          if (!(error instanceof InvalidCursorError)) {
+            throw error;
+          }
+          return {
+            content: [{
+              type: "text",
+              text: "Error: Invalid cursor. Pass the nextCursor value from a previous list-messages result."
+            }],
+            isError: true
+          };
+        }
+        const { messages, nextCursor } = page;
+
+        const rows = messages.map((message) => {
+          const preview = message.body.length > 60 ? `${message.body.slice(0, 57)}...` : message.body;
+          const media = message.numMedia > 0 ? ` [${message.numMedia} media]` : "";
+          return `${message.dateSent ?? "not sent"} | ${message.direction} | ${message.from ?? "?"} -> ${message.to} | ${message.status} | ${JSON.stringify(preview)}${media} | ${message.sid}`;
+        });
+        const text = [
+          messages.length > 0 ? `Found ${messages.length} message(s):` : "No messages found.",
+          ...rows,
+          nextCursor ? `More results available. Pass cursor "${nextCursor}" to fetch the next page.` : null
+        ].filter(Boolean).join("\n");
+
+        return {
+          content: [{
+            type: "text",
+            text
+          }],
+          structuredContent: { messages, nextCursor }
+        };
+      } catch (error) {
+        console.error("Error listing messages:", error);
+        return {
+          content: [{
+            type: "text",
+            text: `Error listing messages: ${error instanceof Error ? error.message : "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  ));
+
+  // Hide tools the authenticated caller is not allowed to use
+  if (allowedTools) {
+    for (const [name, tool] of tools) {
+      if (!allowedTools.has(name)) {
+        tool.remove();
+      }
+    }
   }
-);
 
-// Start server
-async function main() {
+  return server;
+}
+
+interface SSESession {
+  transport: SSEServerTransport;
+  server: McpServer;
+  clientId?: string;
+}
+
+// Active SSE sessions keyed by transport session id, used to route POST /message bodies
+const sessions = new Map<string, SSESession>();
+
+interface StreamableSession {
+  transport: StreamableHTTPServerTransport;
+  server: McpServer;
+  clientId?: string;
+  // Requests still being answered, including open notification streams, and when the last one ended.
+  // A session is idle when it has none and that was over MCP_SESSION_IDLE_MINUTES ago
+  openRequests: number;
+  lastActiveAt: number;
+}
+
+// Active Streamable HTTP sessions keyed by the Mcp-Session-Id header
+const streamableSessions = new Map<string, StreamableSession>();
+
+// Count a request as activity on the session until its response is finished or the client hangs up
+function trackSessionRequest(session: StreamableSession, res: http.ServerResponse): void {
+  session.openRequests++;
+  res.on('close', () => {
+    session.openRequests--;
+    session.lastActiveAt = Date.now();
+  });
+}
+
+// Close idle Streamable HTTP sessions; the transport's onclose then forgets them
+function closeIdleStreamableSessions(): void {
+  const idleSince = Date.now() - MCP_SESSION_IDLE_MINUTES * 60_000;
+  for (const [sessionId, session] of streamableSessions) {
+    if (session.openRequests === 0 && session.lastActiveAt <= idleSince) {
+      console.error(`Streamable HTTP session ${sessionId} idle for ${MCP_SESSION_IDLE_MINUTES} minute(s), closing it`);
+      session.transport.close().catch((error) => {
+        console.error(`Error closing Streamable HTTP session ${sessionId}:`, error);
+      });
+    }
+  }
+}
+
+class RequestBodyTooLargeError extends Error {
+  constructor() {
+    super('Request body too large');
+    this.name = 'RequestBodyTooLargeError';
+  }
+}
+
+// Read a request body as text, rejecting once it grows past maxBodySize
+function readRequestBody(req: http.IncomingMessage, maxBodySize: number): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk.toString();
+      if (body.length > maxBodySize) {
+        reject(new RequestBodyTooLargeError());
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Write a JSON-RPC error response for requests that never reach a transport
+function sendJsonRpcError(res: http.ServerResponse, statusCode: number, code: number, message: string): void {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+// Handle the Streamable HTTP endpoint: POST for client messages, GET for the
+// server notification stream, DELETE for session termination
+async function handleStreamableHttpRequest(req: AuthenticatedRequest, res: http.ServerResponse): Promise<void> {
+  const sessionHeader = req.headers['mcp-session-id'];
+  const sessionId = Array.isArray(sessionHeader) ? sessionHeader[0] : sessionHeader;
+  const session = sessionId ? streamableSessions.get(sessionId) : undefined;
+
+  // A session may only be used by the client that created it
+  if (session && session.clientId !== req.auth?.clientId) {
+    sendJsonRpcError(res, 403, -32000, 'Session belongs to a different client');
+    return;
+  }
+
+  if (req.method === 'POST') {
+    let parsedBody: unknown;
+    try {
+      const body = await readRequestBody(req, 1024 * 1024); // 1MB limit
+      parsedBody = JSON.parse(body);
+    } catch (error) {
+      if (error instanceof RequestBodyTooLargeError) {
+        sendJsonRpcError(res, 413, -32000, 'Request body too large');
+      } else {
+        sendJsonRpcError(res, 400, -32700, 'Parse error: Invalid JSON');
+      }
+      return;
+    }
+
+    if (session) {
+      trackSessionRequest(session, res);
+      await session.transport.handleRequest(req, res, parsedBody);
+      return;
+    }
+
+    if (sessionId) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    if (!isInitializeRequest(parsedBody)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    // New client: create a transport and server pair and register it once the session id is issued
+    const server = createServer(allowedToolsFor(req.auth));
+    const clientId = req.auth?.clientId;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      enableJsonResponse: MCP_JSON_RESPONSE,
+      onsessioninitialized: (newSessionId) => {
+        streamableSessions.set(newSessionId, { transport, server, clientId, openRequests: 0, lastActiveAt: Date.now() });
+        console.error(`Streamable HTTP session ${newSessionId} established`);
+      }
+    });
+
+    transport.onerror = (error) => {
+      console.error('Streamable HTTP transport error:', error);
+    };
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        streamableSessions.delete(transport.sessionId);
+        console.error(`Streamable HTTP session ${transport.sessionId} closed`);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, parsedBody);
+    return;
+  }
+
+  if (req.method === 'GET' || req.method === 'DELETE') {
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: Missing Mcp-Session-Id header');
+      return;
+    }
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    trackSessionRequest(session, res);
+    await session.transport.handleRequest(req, res);
+    return;
+  }
+
+  res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, POST, DELETE' });
+  res.end('Method Not Allowed');
+}
+
+// Serve a single MCP session over stdin/stdout; no port is bound
+async function startStdioServer(): Promise<void> {
+  const server = createServer();
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error("Twilio SMS MCP Server running on stdio");
+}
+
+// Serve MCP sessions over HTTP on PORT
+function startHttpServer(): void {
   // Create HTTP server with request handling
-  const httpServer = http.createServer(async (req, res) => {
+  const httpServer = http.createServer(async (req: AuthenticatedRequest, res) => {
     const url = new URL(req.url || '/', `http://${req.headers.host}`);
     
+    // OAuth clients discover the authorization server from the protected resource metadata
+    if (AUTH_MODE === 'oauth' && req.method === 'GET' &&
+        (url.pathname === '/.well-known/oauth-protected-resource' || url.pathname === '/.well-known/oauth-protected-resource/mcp')) {
+      handleProtectedResourceMetadata(req, res);
+      return;
+    }
+    
+    // Every MCP route and the draft approval routes require a valid credential unless MCP_AUTH_MODE is "none"
+    const isMcpRoute = url.pathname === '/message' || (url.pathname === '/mcp' && TRANSPORT === 'http') ||
+      url.pathname === '/drafts' || url.pathname.startsWith('/drafts/');
+    if (isMcpRoute && !(await authenticateRequest(req, res))) {
+      return;
+    }
+    
     // Handle SSE endpoint for MCP communication
     if (url.pathname === '/message') {
       if (req.method === 'GET') {
@@ -138,13 +4340,25 @@ async function main() {
             console.error('SSE transport error:', error);
           };
           
-          await server.connect(transport);
+          // Each session gets its own MCP server so concurrent clients don't share a transport slot
+          const server = createServer(allowedToolsFor(req.auth));
           
-          // Keep connection alive and handle disconnection
-          req.on('close', () => {
-            console.error('SSE connection closed by client');
+          // Register the session so POST /message?sessionId=... can be routed to it
+          sessions.set(transport.sessionId, { transport, server, clientId: req.auth?.clientId });
+          
+          // Drop the session and tear down its server as soon as the SSE stream closes
+          res.on('close', () => {
+            sessions.delete(transport.sessionId);
+            server.close().catch((error) => {
+              console.error(`Error closing MCP server for session ${transport.sessionId}:`, error);
+            });
+            console.error(`SSE session ${transport.sessionId} closed`);
           });
           
+          await server.connect(transport);
+          
+          console.error(`SSE session ${transport.sessionId} established`);
+          
           req.on('error', (error) => {
             console.error('SSE request error:', error);
           });
@@ -197,24 +4411,47 @@ async function main() {
             // Parse and validate JSON-RPC message
             const jsonRpcMessage = JSON.parse(body);
             
-            // Basic JSON-RPC validation
-            if (!jsonRpcMessage.jsonrpc || !jsonRpcMessage.method || jsonRpcMessage.id === undefined) {
+            // Basic JSON-RPC validation (notifications carry no id, responses carry no method)
+            if (!jsonRpcMessage.jsonrpc || (!jsonRpcMessage.method && jsonRpcMessage.id === undefined)) {
               res.writeHead(400, { 'Content-Type': 'application/json' });
               res.end(JSON.stringify({ error: 'Invalid JSON-RPC message format' }));
               return;
             }
             
-            // Acknowledge the message (full processing handled by SSE transport)
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ status: 'received' }));
+            // Look up the SSE session the client was handed in the endpoint event
+            const sessionId = url.searchParams.get('sessionId');
+            if (!sessionId) {
+              res.writeHead(400, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ error: 'Missing sessionId parameter' }));
+              return;
+            }
+            
+            const session = sessions.get(sessionId);
+            if (!session) {
+              res.writeHead(404, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ error: 'Session not found' }));
+              return;
+            }
+            
+            // A session may only be used by the client that created it
+            if (session.clientId !== req.auth?.clientId) {
+              res.writeHead(403, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ error: 'Session belongs to a different client' }));
+              return;
+            }
+            
+            // Hand the message to the transport; the response is delivered over the SSE stream
+            await session.transport.handlePostMessage(req, res, jsonRpcMessage);
             
           } catch (error) {
             console.error('Error processing POST request:', error);
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ 
-              error: 'Invalid JSON',
-              details: error instanceof Error ? error.message : 'Unknown error'
-            }));
+            if (!res.headersSent) {
+              res.writeHead(400, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ 
+                error: 'Invalid JSON',
+                details: error instanceof Error ? error.message : 'Unknown error'
+              }));
+            }
           }
         });
         
@@ -223,6 +4460,47 @@ async function main() {
         res.writeHead(405, { 'Content-Type': 'text/plain' });
         res.end('Method Not Allowed');
       }
+    } else if (url.pathname === '/mcp' && TRANSPORT === 'http') {
+      // Streamable HTTP endpoint for newer MCP clients
+      try {
+        await handleStreamableHttpRequest(req, res);
+      } catch (error) {
+        console.error('Error handling Streamable HTTP request:', error);
+        if (!res.headersSent) {
+          sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      }
+    } else if (url.pathname === '/drafts' || url.pathname.startsWith('/drafts/')) {
+      // Approval routes for drafts held by approval mode
+      try {
+        await handleDraftsRequest(req, res, url.pathname);
+      } catch (error) {
+        console.error('Error handling draft request:', error);
+        if (!res.headersSent) {
+          res.writeHead(error instanceof RequestBodyTooLargeError ? 413 : 500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Failed to process draft request' }));
+        }
+      }
+    } else if (url.pathname === `/${SMS_PROVIDER}/inbound` || url.pathname === `/${SMS_PROVIDER}/status`) {
+      // The SMS provider's inbound message webhook and delivery status callback
+      if (req.method === 'POST') {
+        try {
+          if (url.pathname === `/${SMS_PROVIDER}/inbound`) {
+            await handleInboundMessage(req, res);
+          } else {
+            await handleStatusCallback(req, res);
+          }
+        } catch (error) {
+          console.error(`Error handling webhook ${url.pathname}:`, error);
+          if (!res.headersSent) {
+            res.writeHead(error instanceof RequestBodyTooLargeError ? 413 : 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to process webhook' }));
+          }
+        }
+      } else {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        res.end('Method Not Allowed');
+      }
     } else {
       // Route not found
       res.writeHead(404, { 'Content-Type': 'text/plain' });
@@ -230,11 +4508,36 @@ async function main() {
     }
   });
   
+  if (TRANSPORT === 'http') {
+    setInterval(closeIdleStreamableSessions, Math.min(60_000, MCP_SESSION_IDLE_MINUTES * 60_000)).unref();
+  }
+
   // Configure server to bind to :: (IPv6) address for Railway compatibility
   httpServer.listen(PORT, "::", () => {
     console.error(`Twilio SMS MCP Server running on HTTP port ${PORT} (IPv6)`);
     console.error(`Server is ready for Railway deployment. Access via your Railway app URL.`);
-    console.error(`MCP endpoint available at: /message`);
+    if (TRANSPORT === 'http') {
+      console.error(`MCP endpoints available at: /mcp (Streamable HTTP) and /message (legacy SSE)`);
+    } else {
+      console.error(`MCP endpoint available at: /message (legacy SSE)`);
+    }
+    console.error(`Webhooks available at: /${SMS_PROVIDER}/inbound (messages) and /${SMS_PROVIDER}/status (delivery status)`);
+    if (REQUIRE_APPROVAL) {
+      console.error(`Approval mode enabled: drafts expire after ${APPROVAL_TTL_MINUTES} minute(s) and can be reviewed at /drafts`);
+    }
+    if (!PUBLIC_BASE_URL) {
+      console.error(`Warning: PUBLIC_BASE_URL is not set - delivery status callbacks are disabled`);
+    }
+    if ((SMS_PROVIDER === 'vonage' || SMS_PROVIDER === 'http') && !SMS_WEBHOOK_SECRET) {
+      console.error(`Warning: SMS_WEBHOOK_SECRET is not set - ${SMS_PROVIDER} webhooks are rejected and delivery status callbacks are disabled`);
+    }
+    if (AUTH_MODE === 'apikey') {
+      console.error(`API key authentication enabled with ${API_KEYS.length} key(s)`);
+    } else if (AUTH_MODE === 'oauth') {
+      console.error(`OAuth authentication enabled for issuer ${OAUTH_ISSUER}`);
+    } else {
+      console.error(`Warning: Authentication disabled - MCP endpoints are unauthenticated`);
+    }
   });
 
   // Handle IPv6 binding failures gracefully
@@ -258,6 +4561,15 @@ async function main() {
   });
 }
 
+// Start server
+async function main() {
+  if (TRANSPORT === "stdio") {
+    await startStdioServer();
+  } else {
+    startHttpServer();
+  }
+}
+
 main().catch((error) => {
   console.error("Fatal error starting server:", error);
   console.error("For Railway deployment, check your environment variables and service configuration.");
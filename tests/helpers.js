@@ -0,0 +1,183 @@
+/**
+ * Helpers shared by the test scripts
+ * Starts and stops the built server and talks to it over the Streamable HTTP transport on /mcp
+ */
+
+import http from 'http';
+import { spawn } from 'child_process';
+
+export const buildPath = process.cwd().endsWith('/tests') ? '../build/index.js' : 'build/index.js';
+
+// Spawns the server with `env` on top of this process's environment and resolves with its process
+// once it listens. `name` labels the log lines, e.g. 'scheduling'
+export async function startTestServer(name, env) {
+  console.log(`🚀 Starting ${name} test server...`);
+
+  const serverProcess = spawn('node', [buildPath], {
+    env: { ...process.env, ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    let resolved = false;
+
+    serverProcess.stderr.on('data', (data) => {
+      output += data.toString();
+      if (!resolved && output.includes('running on HTTP port')) {
+        console.log(`✅ ${name[0].toUpperCase()}${name.slice(1)} test server started`);
+        resolved = true;
+        clearTimeout(timeoutId);
+        resolve(serverProcess);
+      }
+    });
+
+    serverProcess.on('error', (error) => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+
+    serverProcess.on('exit', (code) => {
+      if (!resolved) {
+        clearTimeout(timeoutId);
+        reject(new Error(`Server exited with code ${code} before listening: ${output}`));
+      }
+    });
+
+    const timeoutId = setTimeout(() => {
+      serverProcess.kill('SIGTERM');
+      reject(new Error('Server startup timeout'));
+    }, 15000);
+  });
+}
+
+// Stops a server from startTestServer, waiting up to two seconds for it to exit. Servers that
+// already stopped, or never started, are skipped
+export async function stopTestServer(serverProcess) {
+  if (!serverProcess || serverProcess.exitCode !== null || serverProcess.signalCode !== null) {
+    return;
+  }
+  console.log('🛑 Stopping test server...');
+  const exited = new Promise(resolve => serverProcess.on('exit', resolve));
+  serverProcess.kill('SIGTERM');
+  await Promise.race([exited, new Promise(resolve => setTimeout(resolve, 2000))]);
+}
+
+// Extract the JSON-RPC message from a JSON body or from the data lines of an SSE body
+export function parseMcpBody(headers, body) {
+  if ((headers['content-type'] || '').startsWith('text/event-stream')) {
+    const dataLine = body.split('\n').find((line) => line.startsWith('data: ') && line.length > 6);
+    return dataLine ? JSON.parse(dataLine.slice(6)) : null;
+  }
+  try {
+    return body ? JSON.parse(body) : null;
+  } catch {
+    return null;
+  }
+}
+
+// POST a JSON-RPC message to /mcp. `session` is { port, sessionId, headers }, where the session
+// ID and extra headers are optional. SSE responses are read as they arrive, handing server-to-client
+// requests (such as elicitation) to onServerRequest until the response to `message` shows up
+export async function mcpRequest(session, message, onServerRequest) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(message);
+    const headers = {
+      'Accept': 'application/json, text/event-stream',
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data),
+      ...session.headers
+    };
+    if (session.sessionId) {
+      headers['Mcp-Session-Id'] = session.sessionId;
+    }
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: session.port,
+      path: '/mcp',
+      method: 'POST',
+      headers
+    }, (res) => {
+      const streaming = (res.headers['content-type'] || '').startsWith('text/event-stream');
+      let body = '';
+      let buffer = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+        if (!streaming) {
+          return;
+        }
+        buffer += chunk.toString();
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const dataLine = rawEvent.split('\n').find((line) => line.startsWith('data: ') && line.length > 6);
+          if (!dataLine) {
+            continue;
+          }
+          const event = JSON.parse(dataLine.slice(6));
+          if (event.id === message.id && !event.method) {
+            resolve({ statusCode: res.statusCode, headers: res.headers, message: event });
+            req.destroy();
+          } else if (event.method && event.id !== undefined && onServerRequest) {
+            onServerRequest(event).catch(reject);
+          }
+        }
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, message: parseMcpBody(res.headers, body) });
+      });
+    });
+
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') {
+        reject(error);
+      }
+    });
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    req.write(data);
+    req.end();
+  });
+}
+
+// Initialize an MCP session on the server at `port` and resolve with a session for mcpRequest and
+// callTool. `headers` (such as Authorization) are sent with every request of the session
+export async function openSession(port, clientName, { headers = {}, capabilities = {} } = {}) {
+  const response = await mcpRequest({ port, headers }, {
+    jsonrpc: '2.0',
+    method: 'initialize',
+    params: {
+      protocolVersion: '2025-06-18',
+      capabilities,
+      clientInfo: { name: clientName, version: '1.0.0' }
+    },
+    id: 1
+  });
+  const session = { port, sessionId: response.headers['mcp-session-id'], headers };
+  await mcpRequest(session, { jsonrpc: '2.0', method: 'notifications/initialized' });
+  return session;
+}
+
+// Request IDs for rpc and callTool; initialize always uses 1
+let nextRequestId = 2;
+
+// Send a JSON-RPC request on the session and resolve with the response message
+export async function rpc(session, method, params, onServerRequest) {
+  const response = await mcpRequest(session, { jsonrpc: '2.0', method, params, id: nextRequestId++ }, onServerRequest);
+  return response.message;
+}
+
+// Call a tool and flatten the result; JSON-RPC errors count as tool errors
+export async function callTool(session, name, args, onServerRequest) {
+  const message = await rpc(session, 'tools/call', { name, arguments: args }, onServerRequest);
+  const result = message && message.result;
+  return {
+    isError: Boolean(message && message.error) || Boolean(result && result.isError),
+    text: result && result.content && result.content[0] ? result.content[0].text : '',
+    structured: result && result.structuredContent
+  };
+}
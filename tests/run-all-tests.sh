@@ -47,6 +47,22 @@ echo ""
 run_test "HTTP Server Tests" "node test-http-server.js"
 run_test "SMS HTTP Tests" "node test-sms-http.js" 
 run_test "Twilio Integration Tests" "node test-twilio-integration.js"
+run_test "Streamable HTTP Tests" "node test-streamable-http.js"
+run_test "stdio Transport Tests" "node test-stdio.js"
+run_test "API Key Authentication Tests" "node test-auth.js"
+run_test "OAuth Protected Resource Tests" "node test-oauth.js"
+run_test "Twilio Webhook Tests" "node test-inbound.js"
+run_test "Recipient Policy Tests" "node test-recipient-policy.js"
+run_test "Rate Limit Tests" "node test-rate-limit.js"
+run_test "Approval Mode Tests" "node test-approval.js"
+run_test "SMS Provider Tests" "node test-providers.js"
+run_test "Sender Tests" "node test-senders.js"
+run_test "Scheduling Tests" "node test-scheduling.js"
+run_test "Bulk Send Tests" "node test-bulk.js"
+run_test "Contact Book Tests" "node test-contacts.js"
+run_test "Opt-Out Tests" "node test-opt-out.js"
+run_test "Send Window Tests" "node test-send-window.js"
+run_test "Estimate Tests" "node test-estimate.js"
 run_test "Curl Examples" "./test-curl-examples.sh"
 
 # Print final results
@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for approval mode
+ * Tests pending drafts from send-message, the approve-message and reject-message tools, the
+ * authenticated /drafts HTTP routes, draft expiry, inline confirmation through elicitation and
+ * confirming a send-bulk-messages batch at once
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, mcpRequest, openSession, rpc, callTool } from './helpers.js';
+
+const SERVER_PORT = 3013;
+const AGENT_KEY = 'test-agent-key';
+const REVIEWER_KEY = 'test-reviewer-key';
+// Short enough for the expiry test to wait it out
+const APPROVAL_TTL_SECONDS = 6;
+
+let serverProcess = null;
+let dataDir = null;
+
+async function startServer() {
+  const keysFile = path.join(dataDir, 'keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify([
+    { key: AGENT_KEY, name: 'agent', tools: ['send-message'] },
+    { key: REVIEWER_KEY, name: 'reviewer' }
+  ]));
+
+  serverProcess = await startTestServer('approval', {
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir,
+    MCP_API_KEYS_FILE: keysFile,
+    REQUIRE_APPROVAL: 'true',
+    APPROVAL_TTL_MINUTES: (APPROVAL_TTL_SECONDS / 60).toString()
+  });
+}
+
+async function request(method, requestPath, data, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const requestHeaders = { ...headers };
+    if (data) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(data);
+    }
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: requestPath,
+      method,
+      headers: requestHeaders
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    if (data) {
+      req.write(data);
+    }
+    req.end();
+  });
+}
+
+async function openSessionAs(key, capabilities = {}) {
+  return openSession(SERVER_PORT, 'test-approval', { headers: { 'Authorization': `Bearer ${key}` }, capabilities });
+}
+
+async function draftMessage(message) {
+  return callTool(agentSession, 'send-message', { to: '+14155550123', message });
+}
+
+async function listDrafts(key) {
+  const response = await request('GET', '/drafts', null, { 'Authorization': `Bearer ${key}` });
+  return { statusCode: response.statusCode, drafts: response.statusCode === 200 ? JSON.parse(response.body).drafts : null };
+}
+
+let agentSession = null;
+let reviewerSession = null;
+
+async function testSendCreatesDraft() {
+  const result = await draftMessage('Needs review');
+  if (!result.isError && result.structured.status === 'pending_approval' && result.structured.draftId &&
+      result.text.includes('has not been sent')) {
+    console.log(`✅ send-message left draft ${result.structured.draftId}`);
+    return true;
+  }
+  console.log(`❌ Expected a pending draft: ${JSON.stringify(result)}`);
+  return false;
+}
+
+async function testAgentCannotApprove() {
+  const tools = await rpc(agentSession, 'tools/list', {});
+  const names = tools.result.tools.map((tool) => tool.name);
+  const listing = await listDrafts(AGENT_KEY);
+  const unauthenticated = await request('GET', '/drafts');
+
+  if (!names.includes('approve-message') && listing.statusCode === 403 && unauthenticated.statusCode === 401) {
+    console.log('✅ Drafting key has no approval tools and is refused by /drafts; missing key gets 401');
+    return true;
+  }
+  console.log(`❌ Unexpected access for the drafting key: tools=${names.join(',')} drafts=${listing.statusCode} anonymous=${unauthenticated.statusCode}`);
+  return false;
+}
+
+async function testReviewerListsDrafts() {
+  const listing = await listDrafts(REVIEWER_KEY);
+  if (listing.statusCode === 200 && listing.drafts.some((draft) => draft.body === 'Needs review' && draft.to === '+14155550123')) {
+    console.log('✅ Reviewer sees the pending draft at /drafts');
+    return true;
+  }
+  console.log(`❌ Reviewer could not list the draft: ${JSON.stringify(listing)}`);
+  return false;
+}
+
+async function testRejectMessageTool() {
+  const draft = await draftMessage('Reject me');
+  const draftId = draft.structured.draftId;
+  const rejected = await callTool(reviewerSession, 'reject-message', { draftId, reason: 'Off-brand' });
+  const again = await callTool(reviewerSession, 'approve-message', { draftId });
+  const listing = await listDrafts(REVIEWER_KEY);
+
+  if (!rejected.isError && rejected.structured.status === 'rejected' && again.isError && again.text.includes('No pending draft') &&
+      !listing.drafts.some((pending) => pending.id === draftId)) {
+    console.log('✅ reject-message discarded the draft for good');
+    return true;
+  }
+  console.log(`❌ reject-message did not discard the draft: ${JSON.stringify({ rejected, again })}`);
+  return false;
+}
+
+async function testHttpApprovalKeepsDraftOnFailure() {
+  const draft = await draftMessage('Approve me over HTTP');
+  const draftId = draft.structured.draftId;
+  // Twilio rejects the test credentials, so the send fails and the draft must stay approvable
+  const response = await request('POST', `/drafts/${draftId}/approve`, null, { 'Authorization': `Bearer ${REVIEWER_KEY}` });
+  const body = JSON.parse(response.body);
+  const listing = await listDrafts(REVIEWER_KEY);
+
+  if (response.statusCode === 502 && body.message.startsWith('Error sending message') &&
+      listing.drafts.some((pending) => pending.id === draftId)) {
+    console.log('✅ HTTP approval reached Twilio and kept the draft after the send failed');
+    return true;
+  }
+  console.log(`❌ Unexpected HTTP approval response ${response.statusCode}: ${response.body}`);
+  return false;
+}
+
+async function testHttpRejectAndUnknownDraft() {
+  const draft = await draftMessage('Reject me over HTTP');
+  const draftId = draft.structured.draftId;
+  const rejected = await request('POST', `/drafts/${draftId}/reject`, JSON.stringify({ reason: 'Wrong recipient' }),
+    { 'Authorization': `Bearer ${REVIEWER_KEY}`, 'Content-Type': 'application/json' });
+  const unknown = await request('POST', `/drafts/${draftId}/approve`, null, { 'Authorization': `Bearer ${REVIEWER_KEY}` });
+  const forbidden = await request('POST', `/drafts/${draftId}/approve`, null, { 'Authorization': `Bearer ${AGENT_KEY}` });
+
+  if (rejected.statusCode === 200 && JSON.parse(rejected.body).status === 'rejected' &&
+      unknown.statusCode === 404 && forbidden.statusCode === 403) {
+    console.log('✅ HTTP rejection works, unknown drafts get 404 and the drafting key gets 403');
+    return true;
+  }
+  console.log(`❌ Unexpected responses: reject=${rejected.statusCode} unknown=${unknown.statusCode} forbidden=${forbidden.statusCode}`);
+  return false;
+}
+
+async function answerElicitation(session, content) {
+  return async (serverRequest) => {
+    if (serverRequest.method !== 'elicitation/create') {
+      return;
+    }
+    const result = content === 'cancel' ? { action: 'cancel' }
+      : content === 'decline' ? { action: 'decline' }
+      : { action: 'accept', content };
+    await mcpRequest(session, { jsonrpc: '2.0', id: serverRequest.id, result });
+  };
+}
+
+async function testElicitationDecline() {
+  const session = await openSessionAs(AGENT_KEY, { elicitation: {} });
+  const before = (await listDrafts(REVIEWER_KEY)).drafts.length;
+  const result = await callTool(session, 'send-message', { to: '+14155550123', message: 'Inline decline' },
+    await answerElicitation(session, 'decline'));
+  const after = (await listDrafts(REVIEWER_KEY)).drafts.length;
+
+  if (!result.isError && result.structured.status === 'rejected' && result.text.includes('declined') && after === before) {
+    console.log('✅ Declining the inline confirmation discarded the message');
+    return true;
+  }
+  console.log(`❌ Unexpected result after declining: ${JSON.stringify(result)}`);
+  return false;
+}
+
+async function testElicitationAccept() {
+  const session = await openSessionAs(AGENT_KEY, { elicitation: {} });
+  const result = await callTool(session, 'send-message', { to: '+14155550123', message: 'Inline accept' },
+    await answerElicitation(session, { approve: true }));
+
+  if (result.isError && result.text.startsWith('Error sending message')) {
+    console.log('✅ Accepting the inline confirmation sent the message straight to Twilio');
+    return true;
+  }
+  console.log(`❌ Unexpected result after accepting: ${JSON.stringify(result)}`);
+  return false;
+}
+
+async function testElicitationCancelLeavesDraft() {
+  const session = await openSessionAs(AGENT_KEY, { elicitation: {} });
+  const result = await callTool(session, 'send-message', { to: '+14155550123', message: 'Inline cancel' },
+    await answerElicitation(session, 'cancel'));
+
+  if (!result.isError && result.structured.status === 'pending_approval') {
+    console.log('✅ Dismissing the inline confirmation left a pending draft');
+    return true;
+  }
+  console.log(`❌ Unexpected result after cancelling: ${JSON.stringify(result)}`);
+  return false;
+}
+
+async function testBulkSendAsksOnce() {
+  const session = await openSessionAs(REVIEWER_KEY, { elicitation: {} });
+  const answer = await answerElicitation(session, 'cancel');
+  let prompts = 0;
+  const result = await callTool(session, 'send-bulk-messages', {
+    recipients: [{ to: '+14155550123', variables: { name: 'Ada' } }, { to: '+16135550123', variables: { name: 'Grace' } }],
+    message: 'Hi {{name}}, your order is ready'
+  }, async (serverRequest) => {
+    prompts++;
+    await answer(serverRequest);
+  });
+  const draftIds = (result.structured.results || []).map((recipient) => recipient.draftId);
+  const listing = await listDrafts(REVIEWER_KEY);
+
+  if (!result.isError && prompts === 1 && result.structured.pendingApproval === 2 &&
+      draftIds.every((draftId) => listing.drafts.some((draft) => draft.id === draftId && draft.body.startsWith('Hi '))) &&
+      listing.drafts.some((draft) => draft.body === 'Hi Grace, your order is ready')) {
+    console.log('✅ Bulk send asked once for the batch and left a draft per message when dismissed');
+    return true;
+  }
+  console.log(`❌ Unexpected bulk approval result after ${prompts} prompt(s): ${JSON.stringify(result)}`);
+  return false;
+}
+
+async function testDraftsExpire() {
+  const draft = await draftMessage('Expire me');
+  const draftId = draft.structured.draftId;
+  await new Promise(resolve => setTimeout(resolve, (APPROVAL_TTL_SECONDS + 1) * 1000));
+  const result = await callTool(reviewerSession, 'approve-message', { draftId });
+  const listing = await listDrafts(REVIEWER_KEY);
+
+  if (result.isError && result.text.includes('No pending draft') && listing.drafts.length === 0) {
+    console.log('✅ Drafts expired after the TTL');
+    return true;
+  }
+  console.log(`❌ Draft did not expire: ${JSON.stringify({ result, listing })}`);
+  return false;
+}
+
+async function testCannotApproveOwnDraft() {
+  // The reviewer key may approve drafts, but not ones it wrote itself
+  const draft = await callTool(reviewerSession, 'send-message', { to: '+14155550123', message: 'Self-approved?' });
+  const draftId = draft.structured.draftId;
+  const viaTool = await callTool(reviewerSession, 'approve-message', { draftId });
+  const viaHttp = await request('POST', `/drafts/${draftId}/approve`, null, { 'Authorization': `Bearer ${REVIEWER_KEY}` });
+  const listing = await listDrafts(REVIEWER_KEY);
+
+  if (viaTool.isError && viaTool.structured.error === 'self_approval' && viaHttp.statusCode === 403 &&
+      listing.drafts.some((pending) => pending.id === draftId)) {
+    console.log(`✅ ${viaTool.text}`);
+    return true;
+  }
+  console.log(`❌ Drafting client should not approve its own draft: ${viaTool.text} / HTTP ${viaHttp.statusCode}`);
+  return false;
+}
+
+async function testApprovalRequiresAuthentication() {
+  const child = spawn('node', [buildPath], {
+    env: {
+      ...process.env,
+      PORT: (SERVER_PORT + 100).toString(),
+      ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+      AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+      FROM_NUMBER: '+14155550100',
+      DATA_DIR: dataDir,
+      REQUIRE_APPROVAL: 'true'
+    },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('REQUIRE_APPROVAL=true needs authentication')) {
+    console.log('✅ Server refused to serve unauthenticated drafts');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 without authentication, got ${code}: ${output}`);
+  return false;
+}
+
+async function runApprovalTests() {
+  console.log('✋ Starting Approval Mode Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-approval-'));
+
+  try {
+    await startServer();
+    agentSession = await openSessionAs(AGENT_KEY);
+    reviewerSession = await openSessionAs(REVIEWER_KEY);
+
+    const tests = [
+      { name: 'Send Creates Draft', test: testSendCreatesDraft },
+      { name: 'Drafting Key Cannot Approve', test: testAgentCannotApprove },
+      { name: 'Reviewer Lists Drafts', test: testReviewerListsDrafts },
+      { name: 'Reject Message Tool', test: testRejectMessageTool },
+      { name: 'HTTP Approval Keeps Draft On Failure', test: testHttpApprovalKeepsDraftOnFailure },
+      { name: 'HTTP Reject And Unknown Draft', test: testHttpRejectAndUnknownDraft },
+      { name: 'Cannot Approve Own Draft', test: testCannotApproveOwnDraft },
+      { name: 'Elicitation Decline', test: testElicitationDecline },
+      { name: 'Elicitation Accept', test: testElicitationAccept },
+      { name: 'Elicitation Cancel Leaves Draft', test: testElicitationCancelLeavesDraft },
+      { name: 'Bulk Send Asks Once', test: testBulkSendAsksOnce },
+      { name: 'Drafts Expire', test: testDraftsExpire },
+      { name: 'Approval Requires Authentication', test: testApprovalRequiresAuthentication }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Approval Mode Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All approval mode tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runApprovalTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
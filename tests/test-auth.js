@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for API key authentication on the HTTP endpoints
+ * Tests bearer token checks, WWW-Authenticate challenges, per-key tool limits (for tools and the
+ * resources holding the same data) and session ownership
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestServer, stopTestServer, parseMcpBody, openSession, rpc, callTool } from './helpers.js';
+
+const SERVER_PORT = 3007;
+const FULL_KEY = 'test-full-access-key';
+const READ_ONLY_KEY = 'test-read-only-key';
+const SEND_ONLY_KEY = 'test-send-only-key';
+
+let serverProcess = null;
+let dataDir = null;
+
+async function startServer() {
+  const keysFile = path.join(dataDir, 'keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify([
+    { key: READ_ONLY_KEY, name: 'read-only', tools: [] },
+    { key: SEND_ONLY_KEY, name: 'send-only', tools: ['send-message'] }
+  ]));
+
+  serverProcess = await startTestServer('auth', {
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    MCP_API_KEYS: FULL_KEY,
+    MCP_API_KEYS_FILE: keysFile,
+    DATA_DIR: dataDir
+  });
+}
+
+async function request(method, requestPath, message, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const postData = message ? JSON.stringify(message) : null;
+    const requestHeaders = { 'Accept': 'application/json, text/event-stream', ...headers };
+    if (postData) {
+      requestHeaders['Content-Type'] = 'application/json';
+      requestHeaders['Content-Length'] = Buffer.byteLength(postData);
+    }
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: requestPath,
+      method,
+      headers: requestHeaders
+    }, (res) => {
+      // SSE streams stay open, so only their status and headers matter here
+      if (res.headers['content-type'] === 'text/event-stream' && method === 'GET') {
+        req.destroy();
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: null });
+        return;
+      }
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: parseMcpBody(res.headers, body) });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    if (postData) {
+      req.write(postData);
+    }
+    req.end();
+  });
+}
+
+async function openSessionAs(key) {
+  return openSession(SERVER_PORT, 'test-auth', { headers: { 'Authorization': `Bearer ${key}` } });
+}
+
+async function testMissingToken() {
+  const mcpResponse = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 1 });
+  const sseResponse = await request('GET', '/message', null, { 'Accept': 'text/event-stream' });
+
+  if (mcpResponse.statusCode === 401 && sseResponse.statusCode === 401 &&
+      mcpResponse.headers['www-authenticate'] === 'Bearer realm="twilio-sms"') {
+    console.log('✅ Missing token rejected with 401 and WWW-Authenticate');
+    return true;
+  }
+
+  console.log(`❌ Missing token test failed: /mcp ${mcpResponse.statusCode}, /message ${sseResponse.statusCode}`);
+  return false;
+}
+
+async function testInvalidToken() {
+  const response = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 1 }, {
+    'Authorization': 'Bearer not-a-real-key'
+  });
+
+  if (response.statusCode === 401 && (response.headers['www-authenticate'] || '').includes('error="invalid_token"')) {
+    console.log('✅ Invalid token rejected with 401');
+    return true;
+  }
+
+  console.log(`❌ Invalid token test failed: ${response.statusCode} ${response.headers['www-authenticate']}`);
+  return false;
+}
+
+async function testValidToken() {
+  const session = await openSessionAs(FULL_KEY);
+  if (!session.sessionId) {
+    console.log('❌ Valid token test failed: no session was created');
+    return false;
+  }
+
+  const tools = await rpc(session, 'tools/list', {});
+  const sseResponse = await request('GET', '/message', null, {
+    'Accept': 'text/event-stream',
+    'Authorization': `Bearer ${FULL_KEY}`
+  });
+
+  if (tools && tools.result.tools.some((tool) => tool.name === 'send-message') &&
+      sseResponse.statusCode === 200) {
+    console.log('✅ Valid token accepted on /mcp and /message');
+    return true;
+  }
+
+  console.log(`❌ Valid token test failed: ${JSON.stringify(tools)}, /message ${sseResponse.statusCode}`);
+  return false;
+}
+
+async function testToolRestrictions() {
+  const session = await openSessionAs(READ_ONLY_KEY);
+
+  const tools = await rpc(session, 'tools/list', {});
+  const call = await callTool(session, 'send-message', { to: '+14155550100', message: 'Should not send' });
+
+  const listed = tools && tools.result.tools.some((tool) => tool.name === 'send-message');
+
+  if (!listed && call.isError) {
+    console.log('✅ Restricted key cannot see or call send-message');
+    return true;
+  }
+
+  console.log(`❌ Tool restriction test failed: ${JSON.stringify(tools)} ${JSON.stringify(call)}`);
+  return false;
+}
+
+async function testResourceRestrictions() {
+  const templateNames = async (key) => {
+    const session = await openSessionAs(key);
+    const listing = await rpc(session, 'resources/templates/list', {});
+    const read = await rpc(session, 'resources/read', { uri: 'sms://conversations/%2B14155550123' });
+    const templates = listing && listing.result ? listing.result.resourceTemplates : [];
+    return { names: templates.map((template) => template.name), readError: Boolean(read && read.error) };
+  };
+  const full = await templateNames(FULL_KEY);
+  const sendOnly = await templateNames(SEND_ONLY_KEY);
+
+  if (full.names.includes('conversation') && full.names.includes('contact') && !full.readError &&
+      sendOnly.names.length === 0 && sendOnly.readError) {
+    console.log('✅ Key limited to send-message cannot list or read conversations and contacts');
+    return true;
+  }
+
+  console.log(`❌ Resource restriction test failed: full=${JSON.stringify(full)} send-only=${JSON.stringify(sendOnly)}`);
+  return false;
+}
+
+async function testSessionOwnership() {
+  const session = await openSessionAs(FULL_KEY);
+
+  const response = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 2 }, {
+    'Authorization': `Bearer ${READ_ONLY_KEY}`,
+    'Mcp-Session-Id': session.sessionId
+  });
+
+  if (response.statusCode === 403) {
+    console.log('✅ Session cannot be reused with a different key');
+    return true;
+  }
+
+  console.log(`❌ Session ownership test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function runAuthTests() {
+  console.log('🔐 Starting API Key Authentication Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-auth-'));
+
+  try {
+    await startServer();
+
+    const tests = [
+      { name: 'Missing Token', test: testMissingToken },
+      { name: 'Invalid Token', test: testInvalidToken },
+      { name: 'Valid Token', test: testValidToken },
+      { name: 'Per-Key Tool Restrictions', test: testToolRestrictions },
+      { name: 'Per-Key Resource Restrictions', test: testResourceRestrictions },
+      { name: 'Session Ownership', test: testSessionOwnership }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Auth Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All auth tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runAuthTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for bulk sends
+ * Runs the server against a fake HTTP gateway and tests send-bulk-messages templating, number
+ * deduplication, per-recipient failures and the cap on concurrent sends
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3017;
+const GATEWAY_PORT = 3117;
+// Slow enough for concurrent sends to overlap at the gateway
+const GATEWAY_DELAY_MS = 150;
+const BULK_SEND_CONCURRENCY = 5;
+
+let serverProcess = null;
+let session = null;
+let gateway = null;
+let dataDir = null;
+
+// Requests the fake gateway received, newest last
+const gatewayRequests = [];
+let inFlight = 0;
+let maxInFlight = 0;
+
+// Answers like a generic JSON gateway, failing messages whose body is "fail"
+function startGateway() {
+  gateway = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      gatewayRequests.push(payload);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+
+      setTimeout(() => {
+        inFlight--;
+        if (payload.body === 'fail') {
+          res.writeHead(500);
+          res.end('gateway down');
+        } else {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ id: `gw-${gatewayRequests.indexOf(payload) + 1}` }));
+        }
+      }, GATEWAY_DELAY_MS);
+    });
+  });
+  return new Promise(resolve => gateway.listen(GATEWAY_PORT, resolve));
+}
+
+async function startServer() {
+  serverProcess = await startTestServer('bulk send', {
+    PORT: SERVER_PORT.toString(),
+    SMS_PROVIDER: 'http',
+    HTTP_PROVIDER_URL: `http://localhost:${GATEWAY_PORT}/send`,
+    SMS_WEBHOOK_SECRET: 'test-webhook-secret',
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir
+  });
+}
+
+async function testTemplatedSend() {
+  const before = gatewayRequests.length;
+  const result = await callTool(session, 'send-bulk-messages', {
+    recipients: [
+      { to: '+14155550123', variables: { name: 'Ada', time: '9am' } },
+      { to: '+447400123456', variables: { name: 'Grace', time: '10am' } },
+      { to: '+16135550123', variables: { name: 'Edsger', time: '11am' } }
+    ],
+    message: 'Hi {{name}}, see you at {{ time }}'
+  });
+  const bodies = gatewayRequests.slice(before).map((payload) => `${payload.to}: ${payload.body}`).sort();
+  const results = result.structured ? result.structured.results : [];
+
+  if (!result.isError && result.structured.sent === 3 && results.every((recipient) => recipient.status === 'sent' && recipient.sid) &&
+      bodies.join('\n') === [
+        '+14155550123: Hi Ada, see you at 9am',
+        '+16135550123: Hi Edsger, see you at 11am',
+        '+447400123456: Hi Grace, see you at 10am'
+      ].join('\n')) {
+    console.log(`✅ ${result.text.split('\n')[0]}`);
+    return true;
+  }
+  console.log(`❌ Unexpected templated send: ${result.text} ${JSON.stringify(bodies)}`);
+  return false;
+}
+
+async function testDeduplicates() {
+  const before = gatewayRequests.length;
+  const result = await callTool(session, 'send-bulk-messages', {
+    recipients: [{ to: '+14155550123' }, { to: '+1 (415) 555-0123' }, { to: '+16135550124' }],
+    message: 'Once each'
+  });
+  const results = result.structured ? result.structured.results : [];
+
+  if (!result.isError && result.structured.sent === 2 && result.structured.duplicates === 1 &&
+      results[1].status === 'duplicate' && results[1].error.includes('recipient 1') &&
+      gatewayRequests.length - before === 2) {
+    console.log(`✅ Repeated number sent once: ${results[1].error}`);
+    return true;
+  }
+  console.log(`❌ Duplicate number was not skipped: ${result.text}`);
+  return false;
+}
+
+async function testPartialFailures() {
+  const result = await callTool(session, 'send-bulk-messages', {
+    recipients: [
+      { to: '+14155550123', variables: { text: 'All good' } },
+      { to: '+15551234567', variables: { text: 'Nobody home' } },
+      { to: '+16135550123' },
+      { to: '+447400123456', variables: { text: 'fail' } }
+    ],
+    message: '{{text}}'
+  });
+  const results = result.structured ? result.structured.results : [];
+
+  if (!result.isError && result.structured.sent === 1 && result.structured.failed === 3 &&
+      results[0].status === 'sent' &&
+      results[1].error.startsWith('Error: Invalid phone number') &&
+      results[2].error === 'Error: Missing template variable text' &&
+      results[3].error === 'Error sending message: SMS gateway responded with HTTP 500: gateway down') {
+    console.log(`✅ Failures reported per recipient:\n${result.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected partial failure report: ${result.text}`);
+  return false;
+}
+
+async function testBoundedConcurrency() {
+  const recipients = Array.from({ length: 12 }, (_, i) => ({ to: `+141555501${String(i + 10).padStart(2, '0')}` }));
+  maxInFlight = 0;
+  const result = await callTool(session, 'send-bulk-messages', { recipients, message: 'Concurrency check' });
+
+  if (!result.isError && result.structured.sent === recipients.length && maxInFlight === BULK_SEND_CONCURRENCY) {
+    console.log(`✅ ${recipients.length} messages sent at most ${maxInFlight} at a time`);
+    return true;
+  }
+  console.log(`❌ Expected ${BULK_SEND_CONCURRENCY} concurrent sends, saw ${maxInFlight}: ${result.text}`);
+  return false;
+}
+
+async function testTooManyRecipients() {
+  const recipients = Array.from({ length: 101 }, () => ({ to: '+14155550123' }));
+  const before = gatewayRequests.length;
+  const result = await callTool(session, 'send-bulk-messages', { recipients, message: 'Too many' });
+
+  if (result.isError && gatewayRequests.length === before) {
+    console.log('✅ More than 100 recipients rejected without sending');
+    return true;
+  }
+  console.log(`❌ Oversized batch should be rejected: ${result.text}`);
+  return false;
+}
+
+async function runBulkTests() {
+  console.log('📨 Starting Bulk Send Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-bulk-'));
+
+  try {
+    await startGateway();
+    await startServer();
+    session = await openSession(SERVER_PORT, 'test-bulk');
+
+    const tests = [
+      { name: 'Templated Send', test: testTemplatedSend },
+      { name: 'Deduplicates Numbers', test: testDeduplicates },
+      { name: 'Partial Failures', test: testPartialFailures },
+      { name: 'Bounded Concurrency', test: testBoundedConcurrency },
+      { name: 'Too Many Recipients', test: testTooManyRecipients }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Bulk Send Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All bulk send tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    if (gateway) {
+      gateway.close();
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runBulkTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
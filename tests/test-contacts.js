@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the contact book
+ * Tests upsert-contact, find-contact and delete-contact, contacts:// resources, sending to a
+ * contact by name or tag, preferred senders and contact names in prompts
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestServer, stopTestServer, openSession, rpc, callTool } from './helpers.js';
+
+const SERVER_PORT = 3018;
+const US_SENDER = '+14155550100';
+const GB_SENDER = '+447400123456';
+
+let serverProcess = null;
+let session = null;
+let dataDir = null;
+
+async function startServer() {
+  serverProcess = await startTestServer('contacts', {
+    PORT: SERVER_PORT.toString(),
+    SMS_PROVIDER: 'mock',
+    FROM_NUMBER: US_SENDER,
+    FROM_NUMBERS: GB_SENDER,
+    DATA_DIR: dataDir
+  });
+}
+
+async function readResource(uri) {
+  const message = await rpc(session, 'resources/read', { uri });
+  return message.result ? JSON.parse(message.result.contents[0].text) : null;
+}
+
+const contactIds = {};
+
+async function testCreateContacts() {
+  const ada = await callTool(session, 'upsert-contact', {
+    name: 'Ada', number: '+1 (415) 555-0123', tags: ['Family', 'book club'], timezone: 'America/Los_Angeles'
+  });
+  const grace = await callTool(session, 'upsert-contact', {
+    name: 'Grace', number: '+16135550123', tags: ['family'], preferredSender: '+44 7400 123456'
+  });
+
+  if (!ada.isError && ada.structured.status === 'created' && ada.structured.contact.number === '+14155550123' &&
+      ada.structured.contact.tags.join(',') === 'family,book club' &&
+      !grace.isError && grace.structured.contact.preferredSender === GB_SENDER) {
+    contactIds.ada = ada.structured.contact.id;
+    contactIds.grace = grace.structured.contact.id;
+    console.log(`✅ ${ada.text}`);
+    console.log(`✅ ${grace.text}`);
+    return true;
+  }
+  console.log(`❌ Contacts were not created: ${ada.text} / ${grace.text}`);
+  return false;
+}
+
+async function testUpdateByName() {
+  const result = await callTool(session, 'upsert-contact', { name: 'ada', timezone: 'America/New_York' });
+  const contact = result.structured && result.structured.contact;
+
+  if (!result.isError && result.structured.status === 'updated' && contact.id === contactIds.ada &&
+      contact.number === '+14155550123' && contact.timezone === 'America/New_York' && contact.tags.length === 2) {
+    console.log(`✅ Updated by name, keeping the other fields: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected update: ${result.text}`);
+  return false;
+}
+
+async function testInvalidContacts() {
+  const checks = [
+    [{ name: 'Linus', number: '+14155550124', timezone: 'Mars/Olympus_Mons' }, 'Unknown timezone'],
+    [{ name: 'Linus', number: '+14155550124', preferredSender: '+14155550199' }, 'is not a configured sender'],
+    [{ name: 'Linus', number: '+15551234567' }, 'Invalid phone number'],
+    [{ name: 'Linus' }, 'A number is required'],
+    [{ id: contactIds.grace, name: 'ADA' }, 'Another contact is already named Ada']
+  ];
+
+  for (const [args, expected] of checks) {
+    const result = await callTool(session, 'upsert-contact', args);
+    if (!result.isError || !result.text.includes(expected)) {
+      console.log(`❌ Expected "${expected}" for ${JSON.stringify(args)}: ${result.text}`);
+      return false;
+    }
+  }
+  console.log(`✅ ${checks.length} invalid contacts rejected`);
+  return true;
+}
+
+async function testContactResources() {
+  const listing = await rpc(session, 'resources/list', {});
+  const uris = listing.result.resources.map((resource) => resource.uri);
+  const grace = await readResource(`contacts://${contactIds.grace}`);
+  const missing = await rpc(session, 'resources/read', { uri: 'contacts://00000000-0000-4000-8000-000000000000' });
+
+  if (uris.includes(`contacts://${contactIds.ada}`) && uris.includes(`contacts://${contactIds.grace}`) &&
+      grace && grace.name === 'Grace' && grace.number === '+16135550123' && missing.error) {
+    console.log(`✅ Contacts listed and read as resources: ${uris.filter((uri) => uri.startsWith('contacts://')).join(', ')}`);
+    return true;
+  }
+  console.log(`❌ Unexpected contact resources: ${JSON.stringify({ uris, grace, missing })}`);
+  return false;
+}
+
+async function testFindContact() {
+  const byNumber = await callTool(session, 'find-contact', { query: '415 555' });
+  const byTag = await callTool(session, 'find-contact', { tag: 'Family' });
+  const none = await callTool(session, 'find-contact', { query: 'nobody' });
+  const names = (result) => result.structured.contacts.map((contact) => contact.name).join(',');
+
+  if (names(byNumber) === 'Ada' && names(byTag) === 'Ada,Grace' && none.structured.contacts.length === 0) {
+    console.log(`✅ Found contacts by number and tag:\n${byTag.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected search results: ${byNumber.text} / ${byTag.text} / ${none.text}`);
+  return false;
+}
+
+async function testSendByName() {
+  const ada = await callTool(session, 'send-message', { to: 'ada', message: 'Hello by name' });
+  const grace = await callTool(session, 'send-message', { to: 'Grace', message: 'Hello from London' });
+  const graceOverride = await callTool(session, 'send-message', { to: 'Grace', from: US_SENDER, message: 'Hello from home' });
+
+  if (!ada.isError && ada.structured.to === '+14155550123' && ada.structured.from === US_SENDER &&
+      !grace.isError && grace.structured.to === '+16135550123' && grace.structured.from === GB_SENDER &&
+      !graceOverride.isError && graceOverride.structured.from === US_SENDER) {
+    console.log(`✅ Sent by name, using Grace's preferred sender unless overridden: ${grace.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected sends by name: ${ada.text} / ${grace.text} / ${graceOverride.text}`);
+  return false;
+}
+
+async function testSendToTag() {
+  const result = await callTool(session, 'send-message', { to: 'family', message: 'Hi {{name}}, dinner at 7?' });
+  const outbox = await readResource('sms://mock/outbox');
+  const bodies = outbox.messages.slice(-2).map((message) => `${message.to} ${message.from}: ${message.body}`).sort();
+
+  if (!result.isError && result.structured.sent === 2 && bodies.join('\n') === [
+    `+14155550123 ${US_SENDER}: Hi Ada, dinner at 7?`,
+    `+16135550123 ${GB_SENDER}: Hi Grace, dinner at 7?`
+  ].join('\n')) {
+    console.log(`✅ ${result.text.split('\n')[0]}`);
+    return true;
+  }
+  console.log(`❌ Unexpected send to a tag: ${result.text} ${JSON.stringify(bodies)}`);
+  return false;
+}
+
+async function testPromptTakesContactName() {
+  const named = await rpc(session, 'prompts/get', { name: 'send-greeting', arguments: { to: 'Grace', occasion: 'birthday' } });
+  const unknown = await rpc(session, 'prompts/get', { name: 'send-greeting', arguments: { to: 'Nobody', occasion: 'birthday' } });
+
+  if (named.result && named.result.messages[0].content.text.includes('to Grace') && unknown.error) {
+    console.log('✅ send-greeting accepts a contact name and rejects unknown names');
+    return true;
+  }
+  console.log(`❌ Unexpected prompt results: ${JSON.stringify({ named, unknown })}`);
+  return false;
+}
+
+async function testDeleteContact() {
+  const deleted = await callTool(session, 'delete-contact', { contact: 'Ada' });
+  const again = await callTool(session, 'delete-contact', { contact: contactIds.ada });
+  const send = await callTool(session, 'send-message', { to: 'Ada', message: 'Still there?' });
+
+  if (!deleted.isError && again.isError && send.isError && send.text.startsWith('Error: Invalid phone number "Ada"')) {
+    console.log(`✅ ${deleted.text}; Ada can no longer be texted by name`);
+    return true;
+  }
+  console.log(`❌ Unexpected delete behavior: ${deleted.text} / ${again.text} / ${send.text}`);
+  return false;
+}
+
+async function runContactTests() {
+  console.log('📒 Starting Contact Book Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-contacts-'));
+
+  try {
+    await startServer();
+    session = await openSession(SERVER_PORT, 'test-contacts');
+
+    const tests = [
+      { name: 'Create Contacts', test: testCreateContacts },
+      { name: 'Update By Name', test: testUpdateByName },
+      { name: 'Invalid Contacts', test: testInvalidContacts },
+      { name: 'Contact Resources', test: testContactResources },
+      { name: 'Find Contact', test: testFindContact },
+      { name: 'Send By Name', test: testSendByName },
+      { name: 'Send To Tag', test: testSendToTag },
+      { name: 'Prompt Takes Contact Name', test: testPromptTakesContactName },
+      { name: 'Delete Contact', test: testDeleteContact }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Contact Book Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All contact book tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runContactTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
@@ -10,7 +10,7 @@ echo "=================================="
 export PORT=3004
 export ACCOUNT_SID=ACtest123456789abcdef123456789abcdef
 export AUTH_TOKEN=test_auth_token_123456789abcdef
-export FROM_NUMBER=+15551234567
+export FROM_NUMBER=+14155550100
 
 # Start server in background
 echo "🚀 Starting server on port $PORT..."
@@ -28,49 +28,77 @@ sleep 3
 echo ""
 echo "📡 Testing SSE connection establishment..."
 echo "curl -N -H 'Accept: text/event-stream' http://localhost:$PORT/message"
-timeout 3s curl -N -H "Accept: text/event-stream" "http://localhost:$PORT/message" &
+SSE_LOG=$(mktemp)
+curl -s -N -H "Accept: text/event-stream" "http://localhost:$PORT/message" > "$SSE_LOG" &
 CURL_PID=$!
 sleep 2
-kill $CURL_PID 2>/dev/null
-echo ""
+# The endpoint event tells the client where to POST messages for this session
+ENDPOINT=$(grep -m1 '^data: ' "$SSE_LOG" | sed 's/^data: //')
+echo "Session endpoint: $ENDPOINT"
 echo "✅ SSE connection test completed"
 
 echo ""
 echo "📨 Testing JSON-RPC message handling..."
-echo "curl -X POST -H 'Content-Type: application/json' -d '{\"jsonrpc\":\"2.0\",\"method\":\"tools/list\",\"id\":1}' http://localhost:$PORT/message"
+echo "curl -X POST -H 'Content-Type: application/json' -d '{\"jsonrpc\":\"2.0\",\"method\":\"initialize\",...}' http://localhost:$PORT$ENDPOINT"
+curl -X POST \
+  -H "Content-Type: application/json" \
+  -d '{"jsonrpc":"2.0","method":"initialize","params":{"protocolVersion":"2024-11-05","capabilities":{},"clientInfo":{"name":"curl","version":"1.0.0"}},"id":1}' \
+  "http://localhost:$PORT$ENDPOINT"
+echo ""
 curl -X POST \
   -H "Content-Type: application/json" \
-  -d '{"jsonrpc":"2.0","method":"tools/list","id":1}' \
-  "http://localhost:$PORT/message"
+  -d '{"jsonrpc":"2.0","method":"notifications/initialized"}' \
+  "http://localhost:$PORT$ENDPOINT"
+echo ""
+curl -X POST \
+  -H "Content-Type: application/json" \
+  -d '{"jsonrpc":"2.0","method":"tools/list","id":2}' \
+  "http://localhost:$PORT$ENDPOINT"
 echo ""
 
 echo ""
 echo "📱 Testing send-message tool..."
-echo "curl -X POST -H 'Content-Type: application/json' -d '{\"jsonrpc\":\"2.0\",\"method\":\"tools/call\",\"params\":{\"name\":\"send-message\",\"arguments\":{\"to\":\"+15551234567\",\"message\":\"Test message\"}},\"id\":2}' http://localhost:$PORT/message"
+echo "curl -X POST -H 'Content-Type: application/json' -d '{\"jsonrpc\":\"2.0\",\"method\":\"tools/call\",\"params\":{\"name\":\"send-message\",\"arguments\":{\"to\":\"+14155550100\",\"message\":\"Test message\"}},\"id\":3}' http://localhost:$PORT$ENDPOINT"
 curl -X POST \
   -H "Content-Type: application/json" \
-  -d '{"jsonrpc":"2.0","method":"tools/call","params":{"name":"send-message","arguments":{"to":"+15551234567","message":"Test message"}},"id":2}' \
-  "http://localhost:$PORT/message"
+  -d '{"jsonrpc":"2.0","method":"tools/call","params":{"name":"send-message","arguments":{"to":"+14155550100","message":"Test message"}},"id":3}' \
+  "http://localhost:$PORT$ENDPOINT"
 echo ""
 
 echo ""
 echo "❌ Testing invalid phone number..."
-echo "curl -X POST -H 'Content-Type: application/json' -d '{\"jsonrpc\":\"2.0\",\"method\":\"tools/call\",\"params\":{\"name\":\"send-message\",\"arguments\":{\"to\":\"1234567890\",\"message\":\"Test message\"}},\"id\":3}' http://localhost:$PORT/message"
+echo "curl -X POST -H 'Content-Type: application/json' -d '{\"jsonrpc\":\"2.0\",\"method\":\"tools/call\",\"params\":{\"name\":\"send-message\",\"arguments\":{\"to\":\"1234567890\",\"message\":\"Test message\"}},\"id\":4}' http://localhost:$PORT$ENDPOINT"
 curl -X POST \
   -H "Content-Type: application/json" \
-  -d '{"jsonrpc":"2.0","method":"tools/call","params":{"name":"send-message","arguments":{"to":"1234567890","message":"Test message"}},"id":3}' \
-  "http://localhost:$PORT/message"
+  -d '{"jsonrpc":"2.0","method":"tools/call","params":{"name":"send-message","arguments":{"to":"1234567890","message":"Test message"}},"id":4}' \
+  "http://localhost:$PORT$ENDPOINT"
 echo ""
 
 echo ""
 echo "🚫 Testing invalid JSON..."
-echo "curl -X POST -H 'Content-Type: application/json' -d 'invalid json' http://localhost:$PORT/message"
+echo "curl -X POST -H 'Content-Type: application/json' -d 'invalid json' http://localhost:$PORT$ENDPOINT"
 curl -X POST \
   -H "Content-Type: application/json" \
   -d 'invalid json' \
-  "http://localhost:$PORT/message"
+  "http://localhost:$PORT$ENDPOINT"
 echo ""
 
+echo ""
+echo "🔎 Testing unknown session..."
+echo "curl -X POST -H 'Content-Type: application/json' -d '{\"jsonrpc\":\"2.0\",\"method\":\"tools/list\",\"id\":5}' http://localhost:$PORT/message?sessionId=unknown"
+curl -X POST \
+  -H "Content-Type: application/json" \
+  -d '{"jsonrpc":"2.0","method":"tools/list","id":5}' \
+  "http://localhost:$PORT/message?sessionId=unknown"
+echo ""
+
+echo ""
+echo "📬 Responses delivered over the SSE stream:"
+sleep 3
+cat "$SSE_LOG"
+kill $CURL_PID 2>/dev/null
+rm -f "$SSE_LOG"
+
 echo ""
 echo "🛑 Stopping server..."
 kill $SERVER_PID 2>/dev/null
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for message size and cost estimation
+ * Tests GSM-7 and UCS-2 detection, segment counts, flagging of characters that force UCS-2, prices from
+ * SMS_PRICES, the estimate in send-message results and the MAX_SEGMENTS limit
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, openSession, rpc, callTool } from './helpers.js';
+
+const SERVER_PORT = 3021;
+const MAX_SEGMENTS = 3;
+const RECIPIENT = '+14155550123';
+
+let serverProcess = null;
+let session = null;
+let dataDir = null;
+
+function serverEnv() {
+  return {
+    ...process.env,
+    PORT: SERVER_PORT.toString(),
+    SMS_PROVIDER: 'mock',
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir,
+    SMS_PRICES: 'US=0.0079,GB=0.04,*=0.05',
+    MAX_SEGMENTS: MAX_SEGMENTS.toString()
+  };
+}
+
+async function startServer() {
+  serverProcess = await startTestServer('estimate', serverEnv());
+}
+
+async function estimate(message, to) {
+  const result = await callTool(session, 'estimate-message', to ? { message, to } : { message });
+  return result.structured || {};
+}
+
+async function testGsmSegments() {
+  const cases = [
+    { message: 'Hello there', segments: 1 },
+    { message: 'a'.repeat(160), segments: 1 },
+    { message: 'a'.repeat(161), segments: 2 },
+    { message: 'a'.repeat(306), segments: 2 },
+    { message: 'a'.repeat(307), segments: 3 }
+  ];
+  const results = [];
+  for (const { message } of cases) {
+    results.push(await estimate(message));
+  }
+
+  if (results.every((result, i) => result.encoding === 'GSM-7' && result.segments === cases[i].segments)) {
+    console.log('✅ GSM-7 messages split at 160, then 153 characters per part');
+    return true;
+  }
+  console.log(`❌ Unexpected GSM-7 segment counts: ${results.map((result) => `${result.encoding}/${result.segments}`).join(', ')}`);
+  return false;
+}
+
+async function testExtensionCharacters() {
+  const fits = await estimate('{'.repeat(80));
+  const over = await estimate('{'.repeat(81));
+
+  if (fits.encoding === 'GSM-7' && fits.length === 160 && fits.segments === 1 && over.length === 162 && over.segments === 2) {
+    console.log('✅ GSM-7 extension characters count twice');
+    return true;
+  }
+  console.log(`❌ Unexpected extension character counts: ${JSON.stringify(fits)} / ${JSON.stringify(over)}`);
+  return false;
+}
+
+async function testUcs2Flagged() {
+  const result = await callTool(session, 'estimate-message', { message: 'Thanks “Ada” — see you 😀' });
+  const flagged = result.structured ? result.structured.ucs2Characters : [];
+  const summary = flagged.map(({ character, codePoint, replacement }) => `${character}:${codePoint}:${replacement}`);
+
+  if (result.structured.encoding === 'UCS-2' && result.structured.segments === 1 &&
+      summary.join(',') === '“:U+201C:",”:U+201D:",—:U+2014:-,😀:U+1F600:null') {
+    console.log(`✅ Characters forcing UCS-2 flagged:\n${result.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected UCS-2 flags: ${result.text}`);
+  return false;
+}
+
+async function testUcs2Segments() {
+  const fits = await estimate('é'.repeat(69) + '“');
+  const over = await estimate('😀'.repeat(36));
+
+  // Emoji take two UTF-16 units and can't be split, so 33 fit in each 67-unit part
+  if (fits.encoding === 'UCS-2' && fits.segments === 1 && over.length === 72 && over.segments === 2 &&
+      over.charactersPerSegment === 67) {
+    console.log('✅ UCS-2 messages split at 70, then 67 characters per part');
+    return true;
+  }
+  console.log(`❌ Unexpected UCS-2 segment counts: ${JSON.stringify(fits)} / ${JSON.stringify(over)}`);
+  return false;
+}
+
+async function testPricing() {
+  const twoParts = 'a'.repeat(200);
+  const us = await estimate(twoParts, RECIPIENT);
+  const gb = await estimate(twoParts, '+447400123456');
+  const fr = await estimate(twoParts, '+33612345678');
+  const unknown = await estimate(twoParts);
+
+  if (us.estimatedCost === 0.0158 && gb.estimatedCost === 0.08 && fr.country === 'FR' && fr.estimatedCost === 0.1 &&
+      unknown.estimatedCost === 0.1 && us.currency === 'USD') {
+    console.log('✅ Cost priced per segment by country, with the * price for the rest');
+    return true;
+  }
+  console.log(`❌ Unexpected prices: ${[us, gb, fr, unknown].map((result) => result.estimatedCost).join(', ')}`);
+  return false;
+}
+
+async function testSendResultFields() {
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, message: 'On my way 🚗' });
+  const structured = result.structured || {};
+  const status = structured.sid ? await callTool(session, 'get-message-status', { sid: structured.sid }) : null;
+
+  if (!result.isError && structured.encoding === 'UCS-2' && structured.segments === 1 &&
+      structured.estimatedCost === 0.0079 && structured.currency === 'USD' &&
+      status && status.structured.numSegments === 1 && result.text.includes('Size: 1 segment (UCS-2 because of 🚗)')) {
+    console.log(`✅ ${result.text}`);
+    return true;
+  }
+  console.log(`❌ send-message should report the estimate: ${result.text}`);
+  return false;
+}
+
+async function testMaxSegments() {
+  const message = '“' + 'a'.repeat(250) + '”';
+  const estimated = await estimate(message);
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, message });
+  const outbox = await rpc(session, 'resources/read', { uri: 'sms://mock/outbox' });
+  const recorded = JSON.parse(outbox.result.contents[0].text).messages;
+
+  if (estimated.segments === 4 && estimated.withinLimit === false && result.isError &&
+      result.structured && result.structured.error === 'too_many_segments' && result.structured.maxSegments === MAX_SEGMENTS &&
+      result.text.includes('replace “ with "') && !recorded.some((entry) => entry.body === message)) {
+    console.log(`✅ ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Over-long message should be refused: ${result.text}`);
+  return false;
+}
+
+async function testInvalidPricesRejected() {
+  const child = spawn('node', [buildPath], {
+    env: { ...serverEnv(), PORT: (SERVER_PORT + 100).toString(), SMS_PRICES: 'US=cheap' },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('Invalid SMS_PRICES')) {
+    console.log('✅ Server refused to start with an invalid price table');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 with a price table error, got ${code}: ${output}`);
+  return false;
+}
+
+async function runEstimateTests() {
+  console.log('📏 Starting Estimate Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-estimate-'));
+
+  try {
+    await startServer();
+    session = await openSession(SERVER_PORT, 'test-estimate');
+
+    const tests = [
+      { name: 'GSM-7 Segments', test: testGsmSegments },
+      { name: 'Extension Characters', test: testExtensionCharacters },
+      { name: 'UCS-2 Characters Flagged', test: testUcs2Flagged },
+      { name: 'UCS-2 Segments', test: testUcs2Segments },
+      { name: 'Pricing', test: testPricing },
+      { name: 'Send Result Fields', test: testSendResultFields },
+      { name: 'Max Segments', test: testMaxSegments },
+      { name: 'Invalid Prices Rejected', test: testInvalidPricesRejected }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Estimate Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All estimate tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runEstimateTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
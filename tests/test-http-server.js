@@ -6,7 +6,7 @@
  */
 
 import http from 'http';
-import { spawn } from 'child_process';
+import { startTestServer, stopTestServer } from './helpers.js';
 
 const SERVER_PORT = 3001;
 const SERVER_URL = `http://localhost:${SERVER_PORT}`;
@@ -19,86 +19,22 @@ const tests = [
   { name: 'Server Health Check', test: testServerHealth },
   { name: 'SSE Connection Establishment', test: testSSEConnection },
   { name: 'JSON-RPC Message Handling', test: testJSONRPCMessage },
+  { name: 'Unknown Session Handling', test: testUnknownSession },
+  { name: 'Concurrent Sessions', test: testConcurrentSessions },
   { name: 'Invalid JSON Handling', test: testInvalidJSON },
   { name: 'Empty Request Handling', test: testEmptyRequest },
   { name: 'Method Not Allowed', test: testMethodNotAllowed },
   { name: 'Route Not Found', test: testRouteNotFound }
 ];
 
-async function startTestServer() {
-  console.log('🚀 Starting test server...');
-  
+async function startServer() {
   // Set test environment variables with valid Twilio format
-  const env = {
-    ...process.env,
+  serverProcess = await startTestServer('HTTP transport', {
     PORT: SERVER_PORT.toString(),
     ACCOUNT_SID: 'ACtest1234567890123456789012345678',
     AUTH_TOKEN: 'test_auth_token_1234567890123456789012345678',
-    FROM_NUMBER: '+15551234567'
-  };
-
-  const buildPath = process.cwd().endsWith('/tests') ? '../build/index.js' : 'build/index.js';
-  serverProcess = spawn('node', [buildPath], {
-    env,
-    stdio: ['pipe', 'pipe', 'pipe']
-  });
-
-  // Debug server output
-  serverProcess.stdout.on('data', (data) => {
-    console.log('Server stdout:', data.toString());
+    FROM_NUMBER: '+14155550100'
   });
-
-  // Wait for server to start
-  await new Promise(resolve => setTimeout(resolve, 3000));
-  
-  return new Promise((resolve, reject) => {
-    let output = '';
-    
-    let resolved = false;
-    serverProcess.stderr.on('data', (data) => {
-      const chunk = data.toString();
-      output += chunk;
-      console.log('Server stderr:', chunk);
-      if (!resolved && output.includes('running on HTTP port')) {
-        console.log('✅ Test server started successfully');
-        resolved = true;
-        clearTimeout(timeoutId);
-        resolve();
-      }
-    });
-
-    serverProcess.on('error', (error) => {
-      console.error('❌ Failed to start server:', error.message);
-      clearTimeout(timeoutId);
-      reject(error);
-    });
-
-    serverProcess.on('exit', (code) => {
-      if (code !== 0) {
-        console.error(`❌ Server exited with code ${code}`);
-        clearTimeout(timeoutId);
-        reject(new Error(`Server process exited with code ${code}`));
-      }
-    });
-
-    // Timeout after 15 seconds
-    const timeoutId = setTimeout(() => {
-      console.error('❌ Server startup timeout - no output received');
-      reject(new Error('Server startup timeout'));
-    }, 15000);
-  });
-}
-
-async function stopTestServer() {
-  if (serverProcess) {
-    console.log('🛑 Stopping test server...');
-    serverProcess.kill('SIGTERM');
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    if (!serverProcess.killed) {
-      serverProcess.kill('SIGKILL');
-    }
-    serverProcess = null;
-  }
 }
 
 async function makeRequest(options, data = null, timeout = 5000) {
@@ -201,7 +137,7 @@ async function testSSEConnection() {
 
     if (response.statusCode === 200 && 
         contentType === 'text/event-stream' &&
-        cacheControl === 'no-cache' &&
+        cacheControl.startsWith('no-cache') &&
         connection === 'keep-alive') {
       console.log('✅ SSE connection establishment test passed');
       return true;
@@ -219,40 +155,203 @@ async function testSSEConnection() {
   }
 }
 
+async function openSSESession() {
+  return new Promise((resolve, reject) => {
+    const pending = new Map();
+    let buffer = '';
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: MESSAGE_ENDPOINT,
+      method: 'GET',
+      headers: {
+        'Accept': 'text/event-stream'
+      }
+    }, (res) => {
+      res.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const event = (rawEvent.match(/^event: (.*)$/m) || [])[1];
+          const data = (rawEvent.match(/^data: (.*)$/m) || [])[1];
+
+          if (event === 'endpoint') {
+            const endpoint = new URL(data, SERVER_URL);
+            resolve({
+              endpoint: endpoint.pathname + endpoint.search,
+              sessionId: endpoint.searchParams.get('sessionId'),
+              waitForResponse: (id) => new Promise((resolveResponse) => pending.set(id, resolveResponse)),
+              close: () => req.destroy()
+            });
+          } else if (event === 'message') {
+            const message = JSON.parse(data);
+            const resolveResponse = pending.get(message.id);
+            if (resolveResponse) {
+              pending.delete(message.id);
+              resolveResponse(message);
+            }
+          }
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(5000, () => {
+      req.destroy();
+      reject(new Error('SSE session timeout'));
+    });
+    req.end();
+  });
+}
+
 async function testJSONRPCMessage() {
+  let session = null;
   try {
+    session = await openSSESession();
+
     const jsonRpcMessage = {
       jsonrpc: '2.0',
-      method: 'tools/list',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-http-server', version: '1.0.0' }
+      },
       id: 1
     };
 
+    const responsePromise = session.waitForResponse(1);
     const response = await makeRequest({
       hostname: 'localhost',
       port: SERVER_PORT,
-      path: MESSAGE_ENDPOINT,
+      path: session.endpoint,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       }
     }, JSON.stringify(jsonRpcMessage));
 
-    if (response.statusCode === 200) {
-      const responseBody = JSON.parse(response.body);
-      if (responseBody.status === 'received') {
-        console.log('✅ JSON-RPC message handling test passed');
-        return true;
-      } else {
-        console.log(`❌ JSON-RPC test failed: unexpected response body ${response.body}`);
-        return false;
-      }
-    } else {
+    if (response.statusCode !== 202) {
       console.log(`❌ JSON-RPC test failed: ${response.statusCode} - ${response.body}`);
       return false;
     }
+
+    const sseResponse = await Promise.race([
+      responsePromise,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('No response on SSE stream')), 5000))
+    ]);
+
+    if (sseResponse.result && sseResponse.result.serverInfo && sseResponse.result.serverInfo.name === 'twilio-sms') {
+      console.log('✅ JSON-RPC message handling test passed');
+      return true;
+    } else {
+      console.log(`❌ JSON-RPC test failed: unexpected SSE response ${JSON.stringify(sseResponse)}`);
+      return false;
+    }
   } catch (error) {
     console.log(`❌ JSON-RPC test failed: ${error.message}`);
     return false;
+  } finally {
+    if (session) {
+      session.close();
+    }
+  }
+}
+
+async function testUnknownSession() {
+  try {
+    const response = await makeRequest({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: `${MESSAGE_ENDPOINT}?sessionId=does-not-exist`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 1 }));
+
+    if (response.statusCode === 404) {
+      const responseBody = JSON.parse(response.body);
+      if (responseBody.error === 'Session not found') {
+        console.log('✅ Unknown session handling test passed');
+        return true;
+      }
+    }
+
+    console.log(`❌ Unknown session test failed: ${response.statusCode} - ${response.body}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Unknown session test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function requestOverSession(session, message) {
+  const responsePromise = session.waitForResponse(message.id);
+  const response = await makeRequest({
+    hostname: 'localhost',
+    port: SERVER_PORT,
+    path: session.endpoint,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  }, JSON.stringify(message));
+
+  if (response.statusCode !== 202) {
+    throw new Error(`POST failed: ${response.statusCode} - ${response.body}`);
+  }
+
+  return Promise.race([
+    responsePromise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error('No response on SSE stream')), 5000))
+  ]);
+}
+
+async function testConcurrentSessions() {
+  const openSessions = [];
+  try {
+    const first = await openSSESession();
+    openSessions.push(first);
+    const second = await openSSESession();
+    openSessions.push(second);
+
+    const initialize = (id) => ({
+      jsonrpc: '2.0',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test-http-server', version: '1.0.0' }
+      },
+      id
+    });
+
+    await Promise.all([
+      requestOverSession(first, initialize(1)),
+      requestOverSession(second, initialize(1))
+    ]);
+
+    // Closing one session must not tear down the other one's server
+    first.close();
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const response = await requestOverSession(second, { jsonrpc: '2.0', method: 'tools/list', id: 2 });
+    if (response.result && response.result.tools.some((tool) => tool.name === 'send-message')) {
+      console.log('✅ Concurrent sessions test passed');
+      return true;
+    }
+
+    console.log(`❌ Concurrent sessions test failed: unexpected response ${JSON.stringify(response)}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Concurrent sessions test failed: ${error.message}`);
+    return false;
+  } finally {
+    openSessions.forEach((session) => session.close());
   }
 }
 
@@ -380,7 +479,7 @@ async function runTests() {
     });
 
     // Start the test server
-    await startTestServer();
+    await startServer();
     
     // Run all tests
     let passed = 0;
@@ -411,20 +510,20 @@ async function runTests() {
   } catch (error) {
     console.error('💥 Test execution failed:', error.message);
   } finally {
-    await stopTestServer();
+    await stopTestServer(serverProcess);
   }
 }
 
 // Handle cleanup on exit
 process.on('SIGINT', async () => {
   console.log('\n🛑 Received SIGINT, cleaning up...');
-  await stopTestServer();
+  await stopTestServer(serverProcess);
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Received SIGTERM, cleaning up...');
-  await stopTestServer();
+  await stopTestServer(serverProcess);
   process.exit(0);
 });
 
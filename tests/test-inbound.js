@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Twilio webhook routes
+ * Tests signature validation, inbound message handling, conversation resources, resource update
+ * notifications, delivery status callbacks and persistence across restarts
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { startTestServer, stopTestServer, openSession, rpc } from './helpers.js';
+
+const SERVER_PORT = 3010;
+const AUTH_TOKEN = 'test_auth_token_123456789abcdef';
+// Twilio signs the externally visible URL, which differs from localhost behind a proxy
+const PUBLIC_BASE_URL = 'https://sms.example.com';
+const SENDER = '+14155550123';
+const CONVERSATION_URI = `sms://conversations/${encodeURIComponent(SENDER)}`;
+
+let serverProcess = null;
+let dataDir = null;
+
+async function startServer() {
+  serverProcess = await startTestServer('inbound webhook', {
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: AUTH_TOKEN,
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir,
+    PUBLIC_BASE_URL: PUBLIC_BASE_URL
+  });
+}
+
+async function request(method, requestPath, data, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const requestHeaders = { ...headers };
+    if (data) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(data);
+    }
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: requestPath,
+      method,
+      headers: requestHeaders
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    if (data) {
+      req.write(data);
+    }
+    req.end();
+  });
+}
+
+// Compute X-Twilio-Signature: HMAC-SHA1 over the URL followed by the sorted parameter names and values
+function signTwilioRequest(url, params, authToken = AUTH_TOKEN) {
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+async function postCallback(route, params, signature = signTwilioRequest(`${PUBLIC_BASE_URL}${route}`, params)) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (signature) {
+    headers['X-Twilio-Signature'] = signature;
+  }
+  return request('POST', route, new URLSearchParams(params).toString(), headers);
+}
+
+async function postInbound(params, signature) {
+  return postCallback('/twilio/inbound', params, signature);
+}
+
+async function readConversation(session) {
+  const message = await rpc(session, 'resources/read', { uri: CONVERSATION_URI });
+  return JSON.parse(message.result.contents[0].text);
+}
+
+const FORGED_PARAMS = {
+  MessageSid: 'SM0000000000000000000000000000dead',
+  From: SENDER,
+  To: '+14155550100',
+  Body: 'Forged reply',
+  NumMedia: '0'
+};
+
+async function testUnsignedRequestRejected() {
+  const response = await postInbound(FORGED_PARAMS, null);
+
+  if (response.statusCode === 403) {
+    console.log('✅ Unsigned webhook rejected');
+    return true;
+  }
+
+  console.log(`❌ Unsigned request test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testWrongTokenRejected() {
+  const signature = signTwilioRequest(`${PUBLIC_BASE_URL}/twilio/inbound`, FORGED_PARAMS, 'not_the_auth_token');
+  const response = await postInbound(FORGED_PARAMS, signature);
+
+  if (response.statusCode === 403) {
+    console.log('✅ Webhook signed with the wrong token rejected');
+    return true;
+  }
+
+  console.log(`❌ Wrong token test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testInternalUrlRejected() {
+  // A signature over the internal URL must not validate when PUBLIC_BASE_URL is configured
+  const signature = signTwilioRequest(`http://localhost:${SERVER_PORT}/twilio/inbound`, FORGED_PARAMS);
+  const response = await postInbound(FORGED_PARAMS, signature);
+
+  if (response.statusCode === 403) {
+    console.log('✅ Signature over the internal URL rejected');
+    return true;
+  }
+
+  console.log(`❌ Internal URL test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testWebhookAcceptsMessage() {
+  const response = await postInbound({
+    MessageSid: 'SM00000000000000000000000000000001',
+    From: SENDER,
+    To: '+14155550100',
+    Body: 'Yes, see you at 7!',
+    NumMedia: '0'
+  });
+
+  if (response.statusCode === 200 && response.headers['content-type'] === 'text/xml' &&
+      response.body.includes('<Response></Response>')) {
+    console.log('✅ Inbound webhook answered with empty TwiML');
+    return true;
+  }
+
+  console.log(`❌ Webhook test failed: ${response.statusCode} - ${response.body}`);
+  return false;
+}
+
+async function testWebhookRejectsMissingParams() {
+  const response = await postInbound({ Body: 'No sender' });
+
+  if (response.statusCode === 400) {
+    console.log('✅ Webhook without From/To rejected');
+    return true;
+  }
+
+  console.log(`❌ Missing params test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testConversationResource() {
+  const session = await openSession(SERVER_PORT, 'test-inbound');
+
+  const listing = await rpc(session, 'resources/list', {});
+  const listed = listing.result.resources.some((resource) => resource.uri === CONVERSATION_URI);
+  const conversation = await readConversation(session);
+
+  if (listed && conversation.phone === SENDER && conversation.messages[0].body === 'Yes, see you at 7!') {
+    console.log('✅ Conversation exposed as an MCP resource');
+    return true;
+  }
+
+  console.log(`❌ Conversation resource test failed: ${JSON.stringify(conversation)}`);
+  return false;
+}
+
+async function testResourceUpdatedNotification() {
+  const session = await openSession(SERVER_PORT, 'test-inbound');
+
+  // Listen on the standalone notification stream for this session
+  const notification = new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      req.destroy();
+      reject(new Error('No resources/updated notification received'));
+    }, 5000);
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: '/mcp',
+      method: 'GET',
+      headers: { 'Accept': 'text/event-stream', 'Mcp-Session-Id': session.sessionId }
+    }, (res) => {
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const line = buffer.split('\n').find((l) => l.startsWith('data: ') && l.includes('notifications/resources/updated'));
+        if (line) {
+          clearTimeout(timeoutId);
+          req.destroy();
+          resolve(JSON.parse(line.slice(6)));
+        }
+      });
+    });
+    req.on('error', () => {});
+    req.end();
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 500));
+  await postInbound({
+    MessageSid: 'SM00000000000000000000000000000002',
+    From: SENDER,
+    To: '+14155550100',
+    Body: 'Running 5 minutes late',
+    NumMedia: '1',
+    MediaUrl0: 'https://api.twilio.com/media/photo.jpg'
+  });
+
+  try {
+    const message = await notification;
+    if (message.params.uri === CONVERSATION_URI) {
+      console.log('✅ resources/updated notification pushed to session');
+      return true;
+    }
+    console.log(`❌ Notification test failed: ${JSON.stringify(message)}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Notification test failed: ${error.message}`);
+    return false;
+  }
+}
+
+const STATUS_SID = 'SM00000000000000000000000000000003';
+
+async function testStatusCallbackRecorded() {
+  const sent = await postCallback('/twilio/status', { MessageSid: STATUS_SID, MessageStatus: 'sent', To: SENDER });
+  const failed = await postCallback('/twilio/status', { MessageSid: STATUS_SID, MessageStatus: 'undelivered', ErrorCode: '30003', To: SENDER });
+
+  const store = JSON.parse(fs.readFileSync(path.join(dataDir, 'message-status.json'), 'utf8'));
+  const updates = store.messages[STATUS_SID] || [];
+
+  if (sent.statusCode === 204 && failed.statusCode === 204 && updates.length === 2 &&
+      updates[1].status === 'undelivered' && updates[1].errorCode === '30003') {
+    console.log('✅ Status callbacks recorded per SID');
+    return true;
+  }
+
+  console.log(`❌ Status callback test failed: ${sent.statusCode}/${failed.statusCode} ${JSON.stringify(updates)}`);
+  return false;
+}
+
+async function testStatusCallbackRequiresSignature() {
+  const unsigned = await postCallback('/twilio/status', { MessageSid: STATUS_SID, MessageStatus: 'delivered' }, null);
+  const missingStatus = await postCallback('/twilio/status', { MessageSid: STATUS_SID });
+
+  if (unsigned.statusCode === 403 && missingStatus.statusCode === 400) {
+    console.log('✅ Unsigned and incomplete status callbacks rejected');
+    return true;
+  }
+
+  console.log(`❌ Status callback rejection test failed: ${unsigned.statusCode}/${missingStatus.statusCode}`);
+  return false;
+}
+
+async function testPersistenceAcrossRestart() {
+  await stopTestServer(serverProcess);
+  await startServer();
+
+  const session = await openSession(SERVER_PORT, 'test-inbound');
+  const conversation = await readConversation(session);
+
+  if (conversation.messages.length === 2 && conversation.messages[1].mediaUrls.length === 1) {
+    console.log('✅ Received messages survive a restart');
+    return true;
+  }
+
+  console.log(`❌ Persistence test failed: ${JSON.stringify(conversation)}`);
+  return false;
+}
+
+async function runInboundTests() {
+  console.log('📥 Starting Twilio Webhook Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-inbound-'));
+
+  try {
+    await startServer();
+
+    const tests = [
+      { name: 'Unsigned Request Rejected', test: testUnsignedRequestRejected },
+      { name: 'Wrong Token Rejected', test: testWrongTokenRejected },
+      { name: 'Internal URL Rejected', test: testInternalUrlRejected },
+      { name: 'Webhook Accepts Message', test: testWebhookAcceptsMessage },
+      { name: 'Webhook Rejects Missing Params', test: testWebhookRejectsMissingParams },
+      { name: 'Conversation Resource', test: testConversationResource },
+      { name: 'Resource Updated Notification', test: testResourceUpdatedNotification },
+      { name: 'Status Callback Recorded', test: testStatusCallbackRecorded },
+      { name: 'Status Callback Requires Signature', test: testStatusCallbackRequiresSignature },
+      { name: 'Persistence Across Restart', test: testPersistenceAcrossRestart }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Twilio Webhook Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All Twilio webhook tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runInboundTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for OAuth protected resource mode
+ * Uses a locally generated signing key served as a JWKS, so no external identity provider is needed
+ */
+
+import http from 'http';
+import { spawn } from 'child_process';
+import { generateKeyPair, exportJWK, SignJWT } from 'jose';
+import { buildPath, startTestServer, stopTestServer, parseMcpBody, openSession, rpc } from './helpers.js';
+
+const SERVER_PORT = 3008;
+const ISSUER_PORT = 3009;
+const ISSUER = `http://localhost:${ISSUER_PORT}`;
+const RESOURCE = `http://localhost:${SERVER_PORT}/mcp`;
+
+let serverProcess = null;
+let issuerServer = null;
+let signingKey = null;
+let foreignKey = null;
+
+async function startIssuer() {
+  const keyPair = await generateKeyPair('RS256');
+  signingKey = keyPair.privateKey;
+  foreignKey = (await generateKeyPair('RS256')).privateKey;
+
+  const jwk = await exportJWK(keyPair.publicKey);
+  const jwks = JSON.stringify({ keys: [{ ...jwk, kid: 'test-key', alg: 'RS256', use: 'sig' }] });
+
+  issuerServer = http.createServer((req, res) => {
+    if (req.url === '/.well-known/jwks.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(jwks);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => issuerServer.listen(ISSUER_PORT, resolve));
+  console.log('✅ Local JWKS issuer started');
+}
+
+async function issueToken({ scope, key = signingKey, expiresIn = '5m', audience = RESOURCE }) {
+  return new SignJWT({ scope, client_id: 'test-client' })
+    .setProtectedHeader({ alg: 'RS256', kid: 'test-key' })
+    .setIssuer(ISSUER)
+    .setAudience(audience)
+    .setSubject('user-123')
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(key);
+}
+
+async function startServer() {
+  serverProcess = await startTestServer('OAuth', {
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    MCP_AUTH_MODE: 'oauth',
+    OAUTH_ISSUER: ISSUER,
+    OAUTH_AUDIENCE: RESOURCE
+  });
+}
+
+async function stopServers() {
+  await stopTestServer(serverProcess);
+  if (issuerServer) {
+    await new Promise(resolve => issuerServer.close(resolve));
+    issuerServer = null;
+  }
+}
+
+async function request(method, requestPath, message, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const postData = message ? JSON.stringify(message) : null;
+    const requestHeaders = { 'Accept': 'application/json, text/event-stream', ...headers };
+    if (postData) {
+      requestHeaders['Content-Type'] = 'application/json';
+      requestHeaders['Content-Length'] = Buffer.byteLength(postData);
+    }
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: requestPath,
+      method,
+      headers: requestHeaders
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: parseMcpBody(res.headers, body) });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    if (postData) {
+      req.write(postData);
+    }
+    req.end();
+  });
+}
+
+// Initialize a session with the given token and return the tools it can see
+async function listToolsWithToken(token) {
+  const session = await openSession(SERVER_PORT, 'test-oauth', { headers: { 'Authorization': `Bearer ${token}` } });
+  if (!session.sessionId) {
+    throw new Error('Initialization failed');
+  }
+
+  const tools = await rpc(session, 'tools/list', {});
+  return tools.result.tools.map((tool) => tool.name);
+}
+
+async function testResourceMetadata() {
+  const response = await request('GET', '/.well-known/oauth-protected-resource');
+
+  if (response.statusCode === 200 && response.body.resource === RESOURCE &&
+      response.body.authorization_servers[0] === ISSUER &&
+      response.body.scopes_supported.includes('sms:send')) {
+    console.log('✅ Protected resource metadata served');
+    return true;
+  }
+
+  console.log(`❌ Resource metadata test failed: ${response.statusCode} ${JSON.stringify(response.body)}`);
+  return false;
+}
+
+async function testMissingToken() {
+  const response = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 1 });
+  const challenge = response.headers['www-authenticate'] || '';
+
+  if (response.statusCode === 401 && challenge.includes('resource_metadata="') &&
+      challenge.includes('/.well-known/oauth-protected-resource')) {
+    console.log('✅ Missing token challenged with resource metadata URL');
+    return true;
+  }
+
+  console.log(`❌ Missing token test failed: ${response.statusCode} ${challenge}`);
+  return false;
+}
+
+async function testForeignSignature() {
+  const token = await issueToken({ scope: 'sms:send', key: foreignKey });
+  const response = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 1 }, {
+    'Authorization': `Bearer ${token}`
+  });
+
+  if (response.statusCode === 401 && (response.headers['www-authenticate'] || '').includes('error="invalid_token"')) {
+    console.log('✅ Token signed by an unknown key rejected');
+    return true;
+  }
+
+  console.log(`❌ Foreign signature test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testExpiredToken() {
+  const token = await issueToken({ scope: 'sms:send', expiresIn: Math.floor(Date.now() / 1000) - 60 });
+  const response = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 1 }, {
+    'Authorization': `Bearer ${token}`
+  });
+
+  if (response.statusCode === 401) {
+    console.log('✅ Expired token rejected');
+    return true;
+  }
+
+  console.log(`❌ Expired token test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testWrongAudience() {
+  const token = await issueToken({ scope: 'sms:send', audience: 'https://some-other-resource.example' });
+  const response = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 1 }, {
+    'Authorization': `Bearer ${token}`
+  });
+
+  if (response.statusCode === 401) {
+    console.log('✅ Token for another audience rejected');
+    return true;
+  }
+
+  console.log(`❌ Wrong audience test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testSendScope() {
+  const tools = await listToolsWithToken(await issueToken({ scope: 'sms:send sms:read' }));
+
+  if (tools.includes('send-message')) {
+    console.log('✅ sms:send scope unlocks send-message');
+    return true;
+  }
+
+  console.log(`❌ Send scope test failed: ${tools.join(', ')}`);
+  return false;
+}
+
+async function testReadOnlyScope() {
+  const tools = await listToolsWithToken(await issueToken({ scope: 'sms:read' }));
+
+  if (!tools.includes('send-message') && tools.includes('get-message-status') && tools.includes('list-messages')) {
+    console.log('✅ sms:read scope gets read tools but not send-message');
+    return true;
+  }
+
+  console.log(`❌ Read-only scope test failed: ${tools.join(', ')}`);
+  return false;
+}
+
+async function testInsufficientScope() {
+  const token = await issueToken({ scope: 'profile email' });
+  const response = await request('POST', '/mcp', { jsonrpc: '2.0', method: 'tools/list', id: 1 }, {
+    'Authorization': `Bearer ${token}`
+  });
+
+  if (response.statusCode === 403 && (response.headers['www-authenticate'] || '').includes('error="insufficient_scope"')) {
+    console.log('✅ Token without SMS scopes rejected with insufficient_scope');
+    return true;
+  }
+
+  console.log(`❌ Insufficient scope test failed: ${response.statusCode}`);
+  return false;
+}
+
+async function testAudienceRequired() {
+  const env = {
+    ...process.env,
+    PORT: (SERVER_PORT + 100).toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    MCP_AUTH_MODE: 'oauth',
+    OAUTH_ISSUER: ISSUER
+  };
+  delete env.OAUTH_AUDIENCE;
+  delete env.PUBLIC_BASE_URL;
+  const child = spawn('node', [buildPath], { env, stdio: ['pipe', 'pipe', 'pipe'] });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('requires OAUTH_AUDIENCE or PUBLIC_BASE_URL')) {
+    console.log('✅ Server refused to start without a token audience');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 without an audience, got ${code}: ${output}`);
+  return false;
+}
+
+async function runOAuthTests() {
+  console.log('🔑 Starting OAuth Protected Resource Tests\n');
+
+  try {
+    await startIssuer();
+    await startServer();
+
+    const tests = [
+      { name: 'Protected Resource Metadata', test: testResourceMetadata },
+      { name: 'Missing Token', test: testMissingToken },
+      { name: 'Foreign Signature', test: testForeignSignature },
+      { name: 'Expired Token', test: testExpiredToken },
+      { name: 'Wrong Audience', test: testWrongAudience },
+      { name: 'sms:send Scope', test: testSendScope },
+      { name: 'sms:read Scope', test: testReadOnlyScope },
+      { name: 'Insufficient Scope', test: testInsufficientScope },
+      { name: 'Audience Required', test: testAudienceRequired }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 OAuth Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All OAuth tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopServers();
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopServers();
+  process.exit(0);
+});
+
+runOAuthTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
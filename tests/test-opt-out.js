@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for opt-out tracking
+ * Tests STOP and START keywords from the inbound webhook, refusal of opted-out recipients on every
+ * send path, provider refusals (Twilio error 21610), the list-opt-outs audit tool and servers
+ * sharing one DATA_DIR
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3019;
+// A second server on the same DATA_DIR
+const OTHER_SERVER_PORT = SERVER_PORT + 200;
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const FROM_NUMBER = '+14155550100';
+const RECIPIENT = '+14155550123';
+const OTHER_RECIPIENT = '+16135550123';
+// The mock provider refuses this number as unsubscribed, like Twilio's test credentials
+const UNSUBSCRIBED_NUMBER = '+15005550004';
+
+let serverProcess = null;
+let session = null;
+let dataDir = null;
+
+function serverEnv(port) {
+  return {
+    PORT: port.toString(),
+    SMS_PROVIDER: 'mock',
+    SMS_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    FROM_NUMBER,
+    DATA_DIR: dataDir
+  };
+}
+
+async function startServer() {
+  serverProcess = await startTestServer('opt-out', serverEnv(SERVER_PORT));
+}
+
+async function request(method, requestPath, data, headers = {}, port = SERVER_PORT) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port,
+      path: requestPath,
+      method,
+      headers: data ? { ...headers, 'Content-Length': Buffer.byteLength(data) } : headers
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    if (data) {
+      req.write(data);
+    }
+    req.end();
+  });
+}
+
+// Deliver an inbound text from `from` through the mock provider's webhook
+async function receiveText(from, body, port = SERVER_PORT) {
+  const response = await request('POST', `/mock/inbound?secret=${WEBHOOK_SECRET}`,
+    JSON.stringify({ from, to: FROM_NUMBER, body }), { 'Content-Type': 'application/json' }, port);
+  if (response.statusCode !== 200) {
+    throw new Error(`Inbound webhook answered ${response.statusCode}: ${response.body}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function testStopKeyword() {
+  await receiveText(RECIPIENT, ' stop ');
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, message: 'Are you still there?' });
+
+  if (result.isError && result.text.includes('has opted out') && result.text.includes('texted STOP') &&
+      result.structured && result.structured.error === 'opted_out') {
+    console.log(`✅ ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Opted-out recipient should be refused: ${result.text}`);
+  return false;
+}
+
+async function testEverySendPathRefuses() {
+  await callTool(session, 'upsert-contact', { name: 'Ada', number: RECIPIENT });
+  const results = {
+    scheduled: await callTool(session, 'schedule-message', { to: RECIPIENT, message: 'Later', sendAt: new Date(Date.now() + 3600_000).toISOString() }),
+    bulk: await callTool(session, 'send-bulk-messages', { recipients: [{ to: RECIPIENT }, { to: OTHER_RECIPIENT }], message: 'Hello all' }),
+    byName: await callTool(session, 'send-message', { to: 'Ada', message: 'Hello Ada' })
+  };
+  const bulkResults = results.bulk.structured ? results.bulk.structured.results : [];
+
+  if (results.scheduled.isError && results.scheduled.text.includes('has opted out') &&
+      results.byName.isError && results.byName.text.includes('has opted out') &&
+      bulkResults[0].status === 'failed' && bulkResults[0].error.includes('has opted out') && bulkResults[1].status === 'sent') {
+    console.log('✅ schedule-message, send-bulk-messages and sends by contact name all refuse the opted-out number');
+    return true;
+  }
+  console.log(`❌ A send path let the opted-out number through: ${JSON.stringify(results)}`);
+  return false;
+}
+
+async function testKeywordMustBeWholeMessage() {
+  await receiveText(OTHER_RECIPIENT, 'Stop by at 5?');
+  const result = await callTool(session, 'send-message', { to: OTHER_RECIPIENT, message: 'Sure, see you then' });
+  if (!result.isError) {
+    console.log('✅ A message merely containing "stop" does not opt out');
+    return true;
+  }
+  console.log(`❌ Ordinary reply should not opt out: ${result.text}`);
+  return false;
+}
+
+async function testOptOutBeforeScheduledSend() {
+  const scheduled = await callTool(session, 'schedule-message', {
+    to: OTHER_RECIPIENT, message: 'Reminder', sendAt: new Date(Date.now() + 2000).toISOString()
+  });
+  await receiveText(OTHER_RECIPIENT, 'QUIT');
+  await sleep(3500);
+
+  const failed = await callTool(session, 'list-scheduled-messages', { status: 'failed' });
+  const job = (failed.structured ? failed.structured.messages : [])
+    .find((message) => scheduled.structured && message.scheduleId === scheduled.structured.scheduleId);
+  if (job && job.error.includes('has opted out')) {
+    console.log(`✅ Scheduled message held back after the recipient opted out: ${job.error}`);
+    return true;
+  }
+  console.log(`❌ Scheduled message should have failed: ${JSON.stringify(job)} ${scheduled.text}`);
+  return false;
+}
+
+async function testStartOptsBackIn() {
+  await receiveText(RECIPIENT, 'START');
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, message: 'Welcome back' });
+  if (!result.isError) {
+    console.log(`✅ START opted back in: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Recipient should be textable after START: ${result.text}`);
+  return false;
+}
+
+async function testProviderRefusal() {
+  const first = await callTool(session, 'send-message', { to: UNSUBSCRIBED_NUMBER, message: 'Hello?' });
+  const listing = await callTool(session, 'list-opt-outs', { number: UNSUBSCRIBED_NUMBER });
+  const optOut = listing.structured ? listing.structured.optOuts[0] : null;
+
+  if (first.isError && first.text.includes('has opted out') && first.text.includes('21610') &&
+      optOut && optOut.source === 'provider' && optOut.detail.includes('21610')) {
+    console.log(`✅ Provider refusal recorded: ${first.text}`);
+    return true;
+  }
+  console.log(`❌ Twilio error 21610 should opt the number out: ${first.text} / ${listing.text}`);
+  return false;
+}
+
+async function testListOptOuts() {
+  const result = await callTool(session, 'list-opt-outs', { includeHistory: true });
+  const optedOut = result.structured.optOuts.map((event) => event.number).sort();
+  const history = result.structured.history
+    .filter((event) => event.number === RECIPIENT)
+    .map((event) => `${event.optedOut ? 'out' : 'in'}:${event.detail}`);
+
+  if (optedOut.join(',') === [UNSUBSCRIBED_NUMBER, OTHER_RECIPIENT].sort().join(',') &&
+      history.join(',') === 'in:START,out:STOP') {
+    console.log(`✅ Opt-outs listed with their history:\n${result.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected opt-out listing: ${result.text}`);
+  return false;
+}
+
+async function testSharedDataDir() {
+  const first = '+14155550124';
+  const second = '+14155550125';
+  const otherServer = await startTestServer('second opt-out', serverEnv(OTHER_SERVER_PORT));
+  try {
+    const otherSession = await openSession(OTHER_SERVER_PORT, 'test-opt-out');
+    await receiveText(first, 'STOP');
+    await receiveText(second, 'STOP', OTHER_SERVER_PORT);
+
+    const refused = await callTool(otherSession, 'send-message', { to: first, message: 'Hello?' });
+    const listing = await callTool(session, 'list-opt-outs', {});
+    const optedOut = listing.structured ? listing.structured.optOuts.map((event) => event.number) : [];
+
+    if (refused.isError && refused.text.includes('has opted out') && optedOut.includes(first) && optedOut.includes(second)) {
+      console.log('✅ Servers sharing a DATA_DIR honor and keep each other\'s opt-outs');
+      return true;
+    }
+    console.log(`❌ Opt-outs should be shared between servers: ${refused.text} / ${listing.text}`);
+    return false;
+  } finally {
+    await stopTestServer(otherServer);
+  }
+}
+
+async function testUnreadableStoreRefused() {
+  const corruptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-opt-out-corrupt-'));
+  fs.writeFileSync(path.join(corruptDir, 'opt-outs.json'), '{"optedOut": {');
+  const child = spawn('node', [buildPath], {
+    env: {
+      ...process.env,
+      PORT: (SERVER_PORT + 100).toString(),
+      SMS_PROVIDER: 'mock',
+      FROM_NUMBER,
+      DATA_DIR: corruptDir
+    },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  try {
+    const code = await Promise.race([
+      new Promise(resolve => child.on('exit', resolve)),
+      new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+    ]);
+    if (code === 'timeout') {
+      child.kill('SIGTERM');
+    }
+
+    if (code === 1 && output.includes("Couldn't read") && output.includes('opt-outs.json')) {
+      console.log('✅ Server refused to start with an unreadable opt-out store');
+      return true;
+    }
+    console.log(`❌ Expected exit code 1 with a corrupt opt-outs.json, got ${code}: ${output}`);
+    return false;
+  } finally {
+    fs.rmSync(corruptDir, { recursive: true, force: true });
+  }
+}
+
+async function runOptOutTests() {
+  console.log('🛑 Starting Opt-Out Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-opt-out-'));
+
+  try {
+    await startServer();
+    session = await openSession(SERVER_PORT, 'test-opt-out');
+
+    const tests = [
+      { name: 'STOP Keyword', test: testStopKeyword },
+      { name: 'Every Send Path Refuses', test: testEverySendPathRefuses },
+      { name: 'Keyword Must Be Whole Message', test: testKeywordMustBeWholeMessage },
+      { name: 'Opt-Out Before Scheduled Send', test: testOptOutBeforeScheduledSend },
+      { name: 'START Opts Back In', test: testStartOptsBackIn },
+      { name: 'Provider Refusal', test: testProviderRefusal },
+      { name: 'List Opt-Outs', test: testListOptOuts },
+      { name: 'Shared DATA_DIR', test: testSharedDataDir },
+      { name: 'Unreadable Store Refused', test: testUnreadableStoreRefused }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Opt-Out Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All opt-out tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runOptOutTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
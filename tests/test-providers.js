@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Vonage and generic HTTP SMS providers
+ * Runs the server against a fake gateway and tests sending, provider errors, delivery receipts,
+ * inbound webhooks, webhook secrets and provider configuration checks
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3014;
+const GATEWAY_PORT = 3114;
+const PUBLIC_BASE_URL = `http://localhost:${SERVER_PORT}`;
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const RECIPIENT = '+14155550123';
+
+let serverProcess = null;
+let session = null;
+let gateway = null;
+let dataDir = null;
+
+// Requests the fake gateway received, newest last
+const gatewayRequests = [];
+
+// Answers like Vonage's SMS API on /sms/json and like a generic JSON gateway on /send
+function startGateway() {
+  gateway = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      gatewayRequests.push({ path: req.url, headers: req.headers, payload });
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/sms/json') {
+        if (payload.text === 'reject me') {
+          res.end(JSON.stringify({ 'message-count': '1', messages: [{ status: '4', 'error-text': 'Bad Credentials' }] }));
+        } else {
+          res.end(JSON.stringify({
+            'message-count': '1',
+            messages: [{ to: payload.to, 'message-id': `0A00000000${String(gatewayRequests.length).padStart(6, '0')}`, status: '0' }]
+          }));
+        }
+      } else if (payload.body === 'fail') {
+        res.writeHead(500);
+        res.end('gateway down');
+      } else {
+        res.end(JSON.stringify({ data: { messageId: `gw-${gatewayRequests.length}` } }));
+      }
+    });
+  });
+  return new Promise(resolve => gateway.listen(GATEWAY_PORT, resolve));
+}
+
+function providerEnv(providerSettings) {
+  return {
+    ...process.env,
+    PORT: SERVER_PORT.toString(),
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir,
+    PUBLIC_BASE_URL,
+    SMS_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    ...providerSettings
+  };
+}
+
+const VONAGE_SETTINGS = {
+  SMS_PROVIDER: 'vonage',
+  VONAGE_API_KEY: 'test_key',
+  VONAGE_API_SECRET: 'test_secret',
+  VONAGE_API_URL: `http://localhost:${GATEWAY_PORT}`
+};
+
+const HTTP_SETTINGS = {
+  SMS_PROVIDER: 'http',
+  HTTP_PROVIDER_URL: `http://localhost:${GATEWAY_PORT}/send`,
+  HTTP_PROVIDER_HEADERS: JSON.stringify({ Authorization: 'Bearer gateway-token' }),
+  HTTP_PROVIDER_ID_FIELD: 'data.messageId'
+};
+
+async function startServer(providerSettings) {
+  serverProcess = await startTestServer(`${providerSettings.SMS_PROVIDER} provider`, providerEnv(providerSettings));
+}
+
+async function request(method, requestPath, data, requestHeaders) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: requestPath,
+      method,
+      headers: requestHeaders
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    if (data) {
+      req.write(data);
+    }
+    req.end();
+  });
+}
+
+async function postWebhook(route, payload, secret = WEBHOOK_SECRET) {
+  const query = secret ? `?secret=${encodeURIComponent(secret)}` : '';
+  return request('POST', `${route}${query}`, JSON.stringify(payload), { 'Content-Type': 'application/json' });
+}
+
+async function testVonageSend() {
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, message: 'Hello from Vonage' });
+  const sent = gatewayRequests[gatewayRequests.length - 1];
+  const payload = sent && sent.payload;
+
+  if (!result.isError && payload && sent.path === '/sms/json' &&
+      payload.to === '14155550123' && payload.from === '14155550100' &&
+      payload.api_key === 'test_key' && payload.text === 'Hello from Vonage' &&
+      payload.callback === `${PUBLIC_BASE_URL}/vonage/status?secret=${WEBHOOK_SECRET}` &&
+      result.structured && result.structured.sid.startsWith('0A00000000')) {
+    console.log(`✅ Sent through Vonage as ${result.structured.sid}`);
+    return true;
+  }
+  console.log(`❌ Unexpected Vonage send: ${result.text} ${JSON.stringify(payload)}`);
+  return false;
+}
+
+async function testVonageMessageType() {
+  const gsm = await callTool(session, 'send-message', { to: RECIPIENT, message: '£5 café' });
+  const gsmPayload = gatewayRequests[gatewayRequests.length - 1].payload;
+  const emoji = await callTool(session, 'send-message', { to: RECIPIENT, message: 'Hi 👋' });
+  const emojiPayload = gatewayRequests[gatewayRequests.length - 1].payload;
+
+  if (!gsm.isError && !emoji.isError && gsmPayload.text === '£5 café' && gsmPayload.type === undefined &&
+      emojiPayload.type === 'unicode') {
+    console.log('✅ Only text outside the GSM-7 alphabet sent to Vonage as unicode');
+    return true;
+  }
+  console.log(`❌ Unexpected Vonage message types: ${JSON.stringify(gsmPayload)} ${JSON.stringify(emojiPayload)}`);
+  return false;
+}
+
+async function testVonageRejection() {
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, message: 'reject me' });
+  if (result.isError && result.text === 'Error sending message: Vonage rejected the message: Bad Credentials') {
+    console.log('✅ Vonage error reported to the caller');
+    return true;
+  }
+  console.log(`❌ Expected the Vonage error, got: ${result.text}`);
+  return false;
+}
+
+async function testVonageMediaUnsupported() {
+  const before = gatewayRequests.length;
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, mediaUrls: ['https://example.com/cat.png'] });
+  if (result.isError && result.text.includes('does not support media') && gatewayRequests.length === before) {
+    console.log('✅ MMS refused without calling Vonage');
+    return true;
+  }
+  console.log(`❌ Expected media to be refused, got: ${result.text}`);
+  return false;
+}
+
+async function testVonageDeliveryReceipt() {
+  const sent = await callTool(session, 'send-message', { to: RECIPIENT, message: 'Track me' });
+  const sid = sent.structured && sent.structured.sid;
+  const receipt = { messageId: sid, msisdn: '14155550123', to: '14155550100', status: 'delivered', 'err-code': '0' };
+
+  const forged = await postWebhook('/vonage/status', { ...receipt, status: 'failed' }, 'wrong-secret');
+  const accepted = await postWebhook('/vonage/status', receipt);
+  const status = await callTool(session, 'get-message-status', { sid });
+
+  if (forged.statusCode === 403 && accepted.statusCode === 204 &&
+      status.structured && status.structured.status === 'delivered' && status.structured.errorCode === null) {
+    console.log(`✅ Delivery receipt recorded: ${status.text.split('\n')[0]}`);
+    return true;
+  }
+  console.log(`❌ Unexpected receipt handling: ${forged.statusCode}, ${accepted.statusCode}, ${status.text}`);
+  return false;
+}
+
+async function testVonageInbound() {
+  const response = await postWebhook('/vonage/inbound', {
+    msisdn: '14155550123',
+    to: '14155550100',
+    messageId: '0B00000000000001',
+    text: 'Reply via Vonage',
+    type: 'text'
+  });
+  const listing = await callTool(session, 'list-messages', { direction: 'inbound' });
+  const messages = listing.structured ? listing.structured.messages : [];
+
+  if (response.statusCode === 200 &&
+      messages.some((message) => message.from === RECIPIENT && message.body === 'Reply via Vonage')) {
+    console.log('✅ Inbound Vonage message stored and listed');
+    return true;
+  }
+  console.log(`❌ Inbound message missing: ${response.statusCode} ${listing.text}`);
+  return false;
+}
+
+async function testHttpSend() {
+  const result = await callTool(session, 'send-message', {
+    to: RECIPIENT,
+    message: 'Hello from the gateway',
+    mediaUrls: ['https://example.com/cat.png']
+  });
+  const sent = gatewayRequests[gatewayRequests.length - 1];
+  const payload = sent && sent.payload;
+
+  if (!result.isError && payload && sent.path === '/send' &&
+      sent.headers.authorization === 'Bearer gateway-token' &&
+      payload.to === RECIPIENT && payload.from === '+14155550100' &&
+      payload.body === 'Hello from the gateway' && payload.mediaUrls.length === 1 &&
+      payload.statusCallback === `${PUBLIC_BASE_URL}/http/status?secret=${WEBHOOK_SECRET}` &&
+      result.structured && result.structured.sid === `gw-${gatewayRequests.length}`) {
+    console.log(`✅ Sent through the HTTP gateway as ${result.structured.sid}`);
+    return true;
+  }
+  console.log(`❌ Unexpected gateway send: ${result.text} ${JSON.stringify(sent)}`);
+  return false;
+}
+
+async function testHttpGatewayError() {
+  const result = await callTool(session, 'send-message', { to: RECIPIENT, message: 'fail' });
+  if (result.isError && result.text === 'Error sending message: SMS gateway responded with HTTP 500: gateway down') {
+    console.log('✅ Gateway error reported to the caller');
+    return true;
+  }
+  console.log(`❌ Expected the gateway error, got: ${result.text}`);
+  return false;
+}
+
+async function testHttpStatusWebhook() {
+  const sent = await callTool(session, 'send-message', { to: RECIPIENT, message: 'Track me too' });
+  const sid = sent.structured && sent.structured.sid;
+
+  const malformed = await postWebhook('/http/status', { status: 'delivered' });
+  const accepted = await postWebhook('/http/status', { id: sid, status: 'undelivered', errorCode: 30003 });
+  const status = await callTool(session, 'get-message-status', { sid });
+
+  if (malformed.statusCode === 400 && accepted.statusCode === 204 &&
+      status.structured && status.structured.status === 'undelivered' && status.structured.errorCode === 30003) {
+    console.log(`✅ Gateway status recorded: ${status.text.split('\n').join(' | ')}`);
+    return true;
+  }
+  console.log(`❌ Unexpected status handling: ${malformed.statusCode}, ${accepted.statusCode}, ${status.text}`);
+  return false;
+}
+
+async function testInvalidProviderSettings() {
+  const child = spawn('node', [buildPath], {
+    env: { ...providerEnv({ ...HTTP_SETTINGS, HTTP_PROVIDER_HEADERS: 'Authorization: Bearer x' }), PORT: (SERVER_PORT + 200).toString() },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('Invalid HTTP_PROVIDER_HEADERS')) {
+    console.log('✅ Server refused to start with invalid HTTP_PROVIDER_HEADERS');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 with a settings error, got ${code}: ${output}`);
+  return false;
+}
+
+async function runTests(tests, counts) {
+  for (const test of tests) {
+    console.log(`\n🔍 Running: ${test.name}`);
+    let result = false;
+    try {
+      result = await test.test();
+    } catch (error) {
+      console.log(`❌ ${test.name} failed: ${error.message}`);
+    }
+    if (result) {
+      counts.passed++;
+    } else {
+      counts.failed++;
+    }
+  }
+}
+
+async function runProviderTests() {
+  console.log('🔌 Starting SMS Provider Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-providers-'));
+  const counts = { passed: 0, failed: 0 };
+
+  try {
+    await startGateway();
+
+    await startServer(VONAGE_SETTINGS);
+    session = await openSession(SERVER_PORT, 'test-providers');
+    await runTests([
+      { name: 'Vonage Send', test: testVonageSend },
+      { name: 'Vonage Message Type', test: testVonageMessageType },
+      { name: 'Vonage Rejection', test: testVonageRejection },
+      { name: 'Vonage Media Unsupported', test: testVonageMediaUnsupported },
+      { name: 'Vonage Delivery Receipt', test: testVonageDeliveryReceipt },
+      { name: 'Vonage Inbound', test: testVonageInbound }
+    ], counts);
+    await stopTestServer(serverProcess);
+
+    await startServer(HTTP_SETTINGS);
+    session = await openSession(SERVER_PORT, 'test-providers');
+    await runTests([
+      { name: 'HTTP Send', test: testHttpSend },
+      { name: 'HTTP Gateway Error', test: testHttpGatewayError },
+      { name: 'HTTP Status Webhook', test: testHttpStatusWebhook },
+      { name: 'Invalid Provider Settings', test: testInvalidProviderSettings }
+    ], counts);
+
+    console.log('\n📊 SMS Provider Test Results:');
+    console.log(`✅ Passed: ${counts.passed}`);
+    console.log(`❌ Failed: ${counts.failed}`);
+
+    if (counts.failed === 0) {
+      console.log('\n🎉 All SMS provider tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    if (gateway) {
+      gateway.close();
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runProviderTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
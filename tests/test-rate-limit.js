@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for send-message rate limiting
+ * Tests per-recipient, per-client and global token buckets, the structured retry-after
+ * error, quotas persisted by the file store, and refusal to start with an invalid limit
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3012;
+
+let serverProcess = null;
+let dataDir = null;
+
+function serverEnv() {
+  return {
+    ...process.env,
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir,
+    RATE_LIMIT_RECIPIENT_PER_MINUTE: '2',
+    RATE_LIMIT_CLIENT_PER_MINUTE: '3',
+    RATE_LIMIT_GLOBAL_PER_DAY: '5',
+    RATE_LIMIT_STORE: 'file'
+  };
+}
+
+async function startServer() {
+  serverProcess = await startTestServer('rate limit', serverEnv());
+}
+
+async function sendMessage(session, to) {
+  return callTool(session, 'send-message', { to, message: 'Rate limit test' });
+}
+
+// Sends within quota get past the limiter and fail at Twilio on the test credentials
+function expectSent(result, label) {
+  if (result.isError && result.text.startsWith('Error sending message')) {
+    console.log(`✅ ${label} passed the rate limiter`);
+    return true;
+  }
+  console.log(`❌ ${label} should have passed the rate limiter: ${result.text}`);
+  return false;
+}
+
+function expectLimited(result, label, scope, window, minRetry, maxRetry) {
+  const structured = result.structured || {};
+  if (result.isError && result.text.startsWith('Error: Rate limit exceeded') &&
+      structured.error === 'rate_limited' && structured.scope === scope && structured.window === window &&
+      structured.retryAfterSeconds >= minRetry && structured.retryAfterSeconds <= maxRetry &&
+      !isNaN(Date.parse(structured.retryAt))) {
+    console.log(`✅ ${label} limited: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ ${label} should have hit the ${scope} per ${window} limit: ${JSON.stringify(result)}`);
+  return false;
+}
+
+let firstSession = null;
+let secondSession = null;
+
+async function testRecipientLimit() {
+  const results = [
+    expectSent(await sendMessage(firstSession, '+14155550101'), 'First message to recipient'),
+    expectSent(await sendMessage(firstSession, '+14155550101'), 'Second message to recipient'),
+    // 2 per minute refills one token every 30 seconds
+    expectLimited(await sendMessage(firstSession, '+14155550101'), 'Third message to recipient', 'recipient', 'minute', 25, 30)
+  ];
+  return results.every(Boolean);
+}
+
+async function testClientLimit() {
+  // The rejected call above spent nothing, so this session has one of its three tokens left
+  const results = [
+    expectSent(await sendMessage(firstSession, '+14155550102'), 'Third message from session'),
+    expectLimited(await sendMessage(firstSession, '+14155550103'), 'Fourth message from session', 'client', 'minute', 15, 20)
+  ];
+  return results.every(Boolean);
+}
+
+async function testGlobalLimit() {
+  const results = [
+    expectSent(await sendMessage(secondSession, '+14155550103'), 'Fourth message on the server'),
+    expectSent(await sendMessage(secondSession, '+14155550104'), 'Fifth message on the server'),
+    // 5 per day refills one token every 4.8 hours
+    expectLimited(await sendMessage(secondSession, '+14155550105'), 'Sixth message on the server', 'global', 'day', 17000, 17280)
+  ];
+  return results.every(Boolean);
+}
+
+async function testFileStoreSurvivesRestart() {
+  await stopTestServer(serverProcess);
+  await startServer();
+  const session = await openSession(SERVER_PORT, 'test-rate-limit');
+  return expectLimited(await sendMessage(session, '+14155550106'), 'Message after restart', 'global', 'day', 17000, 17280);
+}
+
+async function testInvalidLimitRejected() {
+  const child = spawn('node', [buildPath], {
+    env: { ...serverEnv(), PORT: (SERVER_PORT + 100).toString(), RATE_LIMIT_GLOBAL_PER_MINUTE: 'ten' },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('Invalid RATE_LIMIT_GLOBAL_PER_MINUTE')) {
+    console.log('✅ Server refused to start with an invalid limit');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 with a limit error, got ${code}: ${output}`);
+  return false;
+}
+
+async function runRateLimitTests() {
+  console.log('🚦 Starting Rate Limit Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-rate-limit-'));
+
+  try {
+    await startServer();
+    firstSession = await openSession(SERVER_PORT, 'test-rate-limit');
+    secondSession = await openSession(SERVER_PORT, 'test-rate-limit');
+
+    const tests = [
+      { name: 'Per-Recipient Limit', test: testRecipientLimit },
+      { name: 'Per-Client Limit', test: testClientLimit },
+      { name: 'Global Daily Limit', test: testGlobalLimit },
+      { name: 'File Store Survives Restart', test: testFileStoreSurvivesRestart },
+      { name: 'Invalid Limit Rejected', test: testInvalidLimitRejected }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Rate Limit Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All rate limit tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runRateLimitTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
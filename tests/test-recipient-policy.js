@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the recipient policy
+ * Tests the denylist, permitted country calling codes, the allowlist, merging of env and
+ * file rules, and refusal to start with an invalid policy file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3011;
+
+let serverProcess = null;
+let session = null;
+let dataDir = null;
+
+function serverEnv(policyFile) {
+  return {
+    ...process.env,
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    SMS_DENYLIST: '+1900*, +14155550199',
+    SMS_ALLOWED_COUNTRY_CODES: '1',
+    SMS_POLICY_FILE: policyFile,
+    DATA_DIR: dataDir
+  };
+}
+
+async function startServer(policyFile) {
+  serverProcess = await startTestServer('recipient policy', serverEnv(policyFile));
+}
+
+async function sendMessage(to) {
+  return callTool(session, 'send-message', { to, message: 'Policy test' });
+}
+
+// Allowed recipients get past the policy and fail at Twilio on the test credentials
+function expectAllowed(result, label) {
+  if (result.isError && result.text.startsWith('Error sending message')) {
+    console.log(`✅ ${label} allowed through to Twilio`);
+    return true;
+  }
+  console.log(`❌ ${label} should have been allowed: ${result.text}`);
+  return false;
+}
+
+function expectBlocked(result, label, rule) {
+  if (result.isError && result.text.includes('blocked by recipient policy') && result.text.includes(rule)) {
+    console.log(`✅ ${label} blocked: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ ${label} should have been blocked by "${rule}": ${result.text}`);
+  return false;
+}
+
+async function testDenylistPrefix() {
+  return expectBlocked(await sendMessage('+19005550100'), 'Premium-rate number', 'denylist rule +1900*');
+}
+
+async function testDenylistWinsOverAllowlist() {
+  return expectBlocked(await sendMessage('+14155550199'), 'Denylisted number inside an allowed prefix', 'denylist rule +14155550199');
+}
+
+async function testCountryCodeRestricted() {
+  return expectBlocked(await sendMessage('+447911123456'), 'International number', 'country calling code +44');
+}
+
+async function testNotOnAllowlist() {
+  return expectBlocked(await sendMessage('+12125550123'), 'Number outside the allowlist', 'allowlist');
+}
+
+async function testAllowlistPrefix() {
+  return expectAllowed(await sendMessage('+14155550123'), 'Number inside the allowed prefix');
+}
+
+async function testAllowlistExactNumber() {
+  return expectAllowed(await sendMessage('+12125550100'), 'Exact allowlisted number');
+}
+
+async function testInvalidPolicyFileRejected() {
+  const badPolicyFile = path.join(dataDir, 'bad-policy.json');
+  fs.writeFileSync(badPolicyFile, JSON.stringify({ allow: ['415-555-0100'] }));
+
+  const child = spawn('node', [buildPath], {
+    env: { ...serverEnv(badPolicyFile), PORT: (SERVER_PORT + 100).toString() },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('Could not load SMS_POLICY_FILE')) {
+    console.log('✅ Server refused to start with an invalid policy file');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 with a policy error, got ${code}: ${output}`);
+  return false;
+}
+
+async function runRecipientPolicyTests() {
+  console.log('🛡️  Starting Recipient Policy Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-recipient-policy-'));
+  const policyFile = path.join(dataDir, 'policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify({ allow: ['+1415*', '+12125550100'] }));
+
+  try {
+    await startServer(policyFile);
+    session = await openSession(SERVER_PORT, 'test-recipient-policy');
+
+    const tests = [
+      { name: 'Denylist Prefix', test: testDenylistPrefix },
+      { name: 'Denylist Wins Over Allowlist', test: testDenylistWinsOverAllowlist },
+      { name: 'Country Code Restricted', test: testCountryCodeRestricted },
+      { name: 'Not On Allowlist', test: testNotOnAllowlist },
+      { name: 'Allowlist Prefix', test: testAllowlistPrefix },
+      { name: 'Allowlist Exact Number', test: testAllowlistExactNumber },
+      { name: 'Invalid Policy File Rejected', test: testInvalidPolicyFileRejected }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Recipient Policy Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All recipient policy tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runRecipientPolicyTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for scheduled messages
+ * Tests schedule-message on the local scheduler, sendAt validation, list-scheduled-messages,
+ * cancel-scheduled-message, and that scheduled messages survive a restart
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3016;
+const RECIPIENT = '+14155550123';
+
+let serverProcess = null;
+let session = null;
+let dataDir = null;
+
+async function startServer() {
+  serverProcess = await startTestServer('scheduling', {
+    PORT: SERVER_PORT.toString(),
+    SMS_PROVIDER: 'mock',
+    MOCK_STATUS_DELAY_MS: '100',
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir
+  });
+}
+
+function inSeconds(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function listScheduled(status) {
+  const result = await callTool(session, 'list-scheduled-messages', status ? { status } : {});
+  return result.structured ? result.structured.messages : [];
+}
+
+async function testScheduleAndSend() {
+  const scheduled = await callTool(session, 'schedule-message', { to: RECIPIENT, message: 'Reminder: dentist at 10', sendAt: inSeconds(2) });
+  const scheduleId = scheduled.structured && scheduled.structured.scheduleId;
+  const pending = await listScheduled();
+
+  if (scheduled.isError || !pending.some((job) => job.scheduleId === scheduleId && job.scheduler === 'local')) {
+    console.log(`❌ Message was not scheduled: ${scheduled.text}`);
+    return false;
+  }
+  console.log(`✅ ${scheduled.text}`);
+
+  await sleep(3500);
+  const sent = (await listScheduled('sent')).find((job) => job.scheduleId === scheduleId);
+  const status = sent && sent.sid ? await callTool(session, 'get-message-status', { sid: sent.sid }) : null;
+
+  if (sent && status && !status.isError && (await listScheduled()).length === 0) {
+    console.log(`✅ Sent on time as ${sent.sid}: ${status.text.split('\n')[0]}`);
+    return true;
+  }
+  console.log(`❌ Scheduled message was not sent: ${JSON.stringify(sent)}`);
+  return false;
+}
+
+async function testRejectPastTime() {
+  const result = await callTool(session, 'schedule-message', { to: RECIPIENT, message: 'Too late', sendAt: inSeconds(-60) });
+  if (result.isError && result.text.includes('is in the past')) {
+    console.log(`✅ Past sendAt rejected: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Past sendAt should be rejected: ${result.text}`);
+  return false;
+}
+
+async function testRejectMissingOffset() {
+  const result = await callTool(session, 'schedule-message', { to: RECIPIENT, message: 'Which timezone?', sendAt: '2030-01-01T09:00:00' });
+  if (result.isError) {
+    console.log('✅ sendAt without a timezone offset rejected');
+    return true;
+  }
+  console.log(`❌ sendAt without an offset should be rejected: ${result.text}`);
+  return false;
+}
+
+async function testSendChecksApply() {
+  const result = await callTool(session, 'schedule-message', { to: '+15551234567', message: 'Nobody home', sendAt: inSeconds(3600) });
+  if (result.isError && result.text.startsWith('Error: Invalid phone number')) {
+    console.log(`✅ Recipient checked like send-message: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Invalid recipient should be rejected: ${result.text}`);
+  return false;
+}
+
+async function testCancel() {
+  const scheduled = await callTool(session, 'schedule-message', { to: RECIPIENT, message: 'Never mind', sendAt: inSeconds(3600) });
+  const scheduleId = scheduled.structured && scheduled.structured.scheduleId;
+  const canceled = await callTool(session, 'cancel-scheduled-message', { scheduleId });
+  const again = await callTool(session, 'cancel-scheduled-message', { scheduleId });
+  const listed = (await listScheduled('canceled')).some((job) => job.scheduleId === scheduleId);
+
+  if (!canceled.isError && again.isError && again.text.includes('No scheduled message') && listed &&
+      !(await listScheduled()).some((job) => job.scheduleId === scheduleId)) {
+    console.log(`✅ ${canceled.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected cancel behavior: ${canceled.text} / ${again.text}`);
+  return false;
+}
+
+async function testSurvivesRestart() {
+  const soon = await callTool(session, 'schedule-message', { to: RECIPIENT, message: 'After the restart', sendAt: inSeconds(4) });
+  const later = await callTool(session, 'schedule-message', { to: RECIPIENT, message: 'Caught mid-send', sendAt: inSeconds(3600) });
+  const soonId = soon.structured && soon.structured.scheduleId;
+  const laterId = later.structured && later.structured.scheduleId;
+
+  await stopTestServer(serverProcess);
+
+  // Pretend the server crashed while sending the second message
+  const storePath = path.join(dataDir, 'scheduled-messages.json');
+  const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  store.jobs[laterId].status = 'sending';
+  fs.writeFileSync(storePath, JSON.stringify(store));
+
+  await startServer();
+  session = await openSession(SERVER_PORT, 'test-scheduling');
+  await sleep(5000);
+
+  const sent = (await listScheduled('sent')).some((job) => job.scheduleId === soonId);
+  const interrupted = (await listScheduled('failed')).find((job) => job.scheduleId === laterId);
+
+  if (sent && interrupted && interrupted.error.includes('Interrupted')) {
+    console.log('✅ Pending message sent after the restart; the interrupted one is reported as failed');
+    return true;
+  }
+  console.log(`❌ Unexpected state after restart: sent=${sent}, interrupted=${JSON.stringify(interrupted)}`);
+  return false;
+}
+
+async function runSchedulingTests() {
+  console.log('⏰ Starting Scheduling Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-scheduling-'));
+
+  try {
+    await startServer();
+    session = await openSession(SERVER_PORT, 'test-scheduling');
+
+    const tests = [
+      { name: 'Schedule And Send', test: testScheduleAndSend },
+      { name: 'Reject Past Time', test: testRejectPastTime },
+      { name: 'Reject Missing Offset', test: testRejectMissingOffset },
+      { name: 'Send Checks Apply', test: testSendChecksApply },
+      { name: 'Cancel', test: testCancel },
+      { name: 'Survives Restart', test: testSurvivesRestart }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Scheduling Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All scheduling tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runSchedulingTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the send window (quiet hours)
+ * Tests refusal of messages outside the recipient's local send window, timezones from contacts and
+ * inferred from numbers, the urgent flag, scheduled and bulk sends, and deferring in defer mode,
+ * including drafts approved after the window has opened
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3020;
+
+// The window opens two hours from now in UTC and closes eight hours later, so it is closed in UTC
+// and open four hours ahead of UTC whatever time the tests run
+const windowOpens = new Date(Math.floor(Date.now() / 60_000) * 60_000 + 2 * 3600_000);
+const windowCloses = new Date(windowOpens.getTime() + 8 * 3600_000);
+const SEND_WINDOW = windowInUtc(windowOpens, windowCloses);
+// The same window three hours earlier, so it is open in UTC now
+const EARLIER_SEND_WINDOW = windowInUtc(new Date(windowOpens.getTime() - 3 * 3600_000), new Date(windowCloses.getTime() - 3 * 3600_000));
+
+const AGENT_KEY = 'send-window-agent-key';
+const REVIEWER_KEY = 'send-window-reviewer-key';
+const APPROVAL_SETTINGS = { SEND_WINDOW_MODE: 'defer', REQUIRE_APPROVAL: 'true', MCP_API_KEYS: `${AGENT_KEY},${REVIEWER_KEY}` };
+
+const NIGHT = { name: 'Night Owl', number: '+14155550111', timezone: 'UTC' };
+const DAY = { name: 'Early Bird', number: '+14155550112', timezone: 'Etc/GMT-4' };
+
+function windowInUtc(opens, closes) {
+  return [opens, closes].map((time) => time.toISOString().slice(11, 16)).join('-');
+}
+
+let serverProcess = null;
+let session = null;
+let dataDir = null;
+
+function serverEnv(settings) {
+  return {
+    ...process.env,
+    PORT: SERVER_PORT.toString(),
+    SMS_PROVIDER: 'mock',
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir,
+    SEND_WINDOW,
+    ...settings
+  };
+}
+
+async function startServer(settings) {
+  const window = settings.SEND_WINDOW ?? SEND_WINDOW;
+  serverProcess = await startTestServer(`send window (${window}, ${settings.SEND_WINDOW_MODE ?? 'reject'} mode)`, serverEnv(settings));
+}
+
+function inHours(hours) {
+  return new Date(Date.now() + hours * 3600_000).toISOString();
+}
+
+async function testOutsideWindowRejected() {
+  const result = await callTool(session, 'send-message', { to: NIGHT.name, message: 'Your order shipped' });
+  const structured = result.structured || {};
+
+  if (result.isError && structured.error === 'outside_send_window' && structured.timezone === 'UTC' &&
+      structured.nextOpening === windowOpens.toISOString() && result.text.includes('urgent')) {
+    console.log(`✅ ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Message outside the window should be refused: ${result.text}`);
+  return false;
+}
+
+async function testInsideWindowSent() {
+  const result = await callTool(session, 'send-message', { to: DAY.name, message: 'Your order shipped' });
+  if (!result.isError && result.structured && result.structured.sid) {
+    console.log(`✅ Sent inside the recipient's window: ${result.text.split('\n')[0]}`);
+    return true;
+  }
+  console.log(`❌ Message inside the window should be sent: ${result.text}`);
+  return false;
+}
+
+async function testUrgentAllowed() {
+  const result = await callTool(session, 'send-message', { to: NIGHT.name, message: 'Your flight is cancelled', urgent: true });
+  if (!result.isError && result.structured && result.structured.sid) {
+    console.log('✅ Urgent message sent outside the window');
+    return true;
+  }
+  console.log(`❌ Urgent message should be sent: ${result.text}`);
+  return false;
+}
+
+async function testTimezoneInferred() {
+  const checks = [
+    { to: '+14155550123', timezone: 'America/Los_Angeles' },
+    { to: '+16135550123', timezone: 'America/New_York' },
+    { to: '+447400123456', timezone: 'Europe/London' }
+  ];
+  const results = await Promise.all(checks.map(({ to }) => callTool(session, 'send-message', { to, message: 'Hello' })));
+  const timezones = results.map((result) => result.structured && result.structured.timezone);
+
+  if (timezones.every((timezone, i) => timezone === checks[i].timezone)) {
+    console.log(`✅ Timezones inferred from area code and country: ${timezones.join(', ')}`);
+    return true;
+  }
+  console.log(`❌ Unexpected inferred timezones: ${results.map((result) => result.text).join(' / ')}`);
+  return false;
+}
+
+async function testScheduledSendChecked() {
+  const inside = await callTool(session, 'schedule-message', { to: NIGHT.name, message: 'Reminder', sendAt: inHours(3) });
+  const outside = await callTool(session, 'schedule-message', { to: NIGHT.name, message: 'Reminder', sendAt: inHours(11) });
+
+  if (!inside.isError && outside.isError && outside.structured && outside.structured.error === 'outside_send_window') {
+    console.log(`✅ sendAt inside the window scheduled, outside refused: ${outside.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected scheduling: ${inside.text} / ${outside.text}`);
+  return false;
+}
+
+async function testBulkPerRecipient() {
+  const result = await callTool(session, 'send-bulk-messages', {
+    recipients: [{ to: NIGHT.name }, { to: DAY.name }],
+    message: 'Hi {{name}}'
+  });
+  const results = result.structured ? result.structured.results : [];
+
+  if (!result.isError && results[0].status === 'failed' && results[0].error.includes('outside the send window') &&
+      results[1].status === 'sent') {
+    console.log(`✅ Window checked per recipient:\n${result.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected bulk send: ${result.text}`);
+  return false;
+}
+
+async function testDeferred() {
+  const result = await callTool(session, 'send-message', { to: NIGHT.name, message: 'Your order shipped' });
+  const scheduled = await callTool(session, 'list-scheduled-messages', {});
+  const job = (scheduled.structured ? scheduled.structured.messages : [])
+    .find((message) => result.structured && message.scheduleId === result.structured.scheduleId);
+
+  if (!result.isError && result.structured.deferred === true && job && job.sendAt === windowOpens.toISOString()) {
+    console.log(`✅ ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Message should be deferred to ${windowOpens.toISOString()}: ${result.text}`);
+  return false;
+}
+
+async function testUrgentNotAllowed() {
+  const result = await callTool(session, 'send-message', { to: NIGHT.name, message: 'Flash sale!', urgent: true });
+  if (!result.isError && result.structured && result.structured.deferred === true) {
+    console.log('✅ urgent ignored where the server does not allow it; the message was deferred');
+    return true;
+  }
+  console.log(`❌ urgent should not skip the window here: ${result.text}`);
+  return false;
+}
+
+async function testDeferredDraftApproved() {
+  const drafted = await callTool(session, 'send-message', { to: NIGHT.name, message: 'Your order shipped' });
+  const draftId = drafted.structured && drafted.structured.draftId;
+  if (!draftId || drafted.structured.deferred !== true || drafted.structured.sendAt !== windowOpens.toISOString()) {
+    console.log(`❌ Message should be left as a draft deferred to ${windowOpens.toISOString()}: ${drafted.text}`);
+    return false;
+  }
+
+  // Approve it the next morning: the opening it was deferred to has passed and the window is open
+  await stopTestServer(serverProcess);
+  const draftsFile = path.join(dataDir, 'drafts.json');
+  const drafts = JSON.parse(fs.readFileSync(draftsFile, 'utf8'));
+  drafts.drafts[draftId].sendAt = new Date(Date.now() - 3600_000).toISOString();
+  fs.writeFileSync(draftsFile, JSON.stringify(drafts));
+  await startServer({ ...APPROVAL_SETTINGS, SEND_WINDOW: EARLIER_SEND_WINDOW });
+
+  const reviewer = await openSession(SERVER_PORT, 'test-send-window', { headers: { 'Authorization': `Bearer ${REVIEWER_KEY}` } });
+  const approved = await callTool(reviewer, 'approve-message', { draftId });
+  if (!approved.isError && approved.structured && approved.structured.sid && !approved.structured.scheduleId) {
+    console.log(`✅ Deferred draft sent once approved inside the window: ${approved.text.split('\n')[0]}`);
+    return true;
+  }
+  console.log(`❌ Deferred draft should be sent now: ${approved.text}`);
+  return false;
+}
+
+async function testInvalidWindowRejected() {
+  const child = spawn('node', [buildPath], {
+    env: { ...serverEnv({}), PORT: (SERVER_PORT + 100).toString(), SEND_WINDOW: '8am-9pm' },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('Invalid SEND_WINDOW')) {
+    console.log('✅ Server refused to start with an invalid send window');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 with a send window error, got ${code}: ${output}`);
+  return false;
+}
+
+async function runSendWindowTests() {
+  console.log('🌙 Starting Send Window Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-send-window-'));
+
+  const stages = [
+    {
+      settings: { SEND_WINDOW_ALLOW_URGENT: 'true' },
+      tests: [
+        { name: 'Outside Window Rejected', test: testOutsideWindowRejected },
+        { name: 'Inside Window Sent', test: testInsideWindowSent },
+        { name: 'Urgent Allowed', test: testUrgentAllowed },
+        { name: 'Timezone Inferred', test: testTimezoneInferred },
+        { name: 'Scheduled Send Checked', test: testScheduledSendChecked },
+        { name: 'Bulk Per Recipient', test: testBulkPerRecipient }
+      ]
+    },
+    {
+      settings: { SEND_WINDOW_MODE: 'defer' },
+      tests: [
+        { name: 'Deferred', test: testDeferred },
+        { name: 'Urgent Not Allowed', test: testUrgentNotAllowed },
+        { name: 'Invalid Window Rejected', test: testInvalidWindowRejected }
+      ]
+    },
+    {
+      settings: APPROVAL_SETTINGS,
+      headers: { 'Authorization': `Bearer ${AGENT_KEY}` },
+      tests: [
+        { name: 'Deferred Draft Approved', test: testDeferredDraftApproved }
+      ]
+    }
+  ];
+
+  try {
+    let passed = 0;
+    let failed = 0;
+
+    for (const stage of stages) {
+      await startServer(stage.settings);
+      session = await openSession(SERVER_PORT, 'test-send-window', { headers: stage.headers });
+      for (const contact of [NIGHT, DAY]) {
+        await callTool(session, 'upsert-contact', contact);
+      }
+
+      for (const test of stage.tests) {
+        console.log(`\n🔍 Running: ${test.name}`);
+        let result = false;
+        try {
+          result = await test.test();
+        } catch (error) {
+          console.log(`❌ ${test.name} failed: ${error.message}`);
+        }
+        if (result) {
+          passed++;
+        } else {
+          failed++;
+        }
+      }
+      await stopTestServer(serverProcess);
+    }
+
+    console.log('\n📊 Send Window Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All send window tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runSendWindowTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
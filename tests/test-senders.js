@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for multiple senders
+ * Tests list-senders, routing by the recipient's country, falling back to the Messaging Service,
+ * the from override of send-message, and refusal of Messaging Services outside Twilio
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildPath, startTestServer, stopTestServer, openSession, callTool } from './helpers.js';
+
+const SERVER_PORT = 3015;
+const US_SENDER = '+14155550100';
+const GB_SENDER = '+447400123456';
+const CA_SENDER = '+16135550123';
+const MESSAGING_SERVICE_SID = 'MG0123456789abcdef0123456789abcdef';
+
+let serverProcess = null;
+let session = null;
+let dataDir = null;
+
+function serverEnv() {
+  return {
+    ...process.env,
+    PORT: SERVER_PORT.toString(),
+    SMS_PROVIDER: 'mock',
+    FROM_NUMBER: US_SENDER,
+    FROM_NUMBERS: `${GB_SENDER}, ${CA_SENDER}`,
+    MESSAGING_SERVICE_SID,
+    DATA_DIR: dataDir
+  };
+}
+
+async function startServer() {
+  serverProcess = await startTestServer('senders', serverEnv());
+}
+
+async function expectSentFrom(args, expectedSender, label) {
+  const result = await callTool(session, 'send-message', { message: 'Sender test', ...args });
+  if (!result.isError && result.structured && result.structured.from === expectedSender) {
+    console.log(`✅ ${label}: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ ${label} should have been sent from ${expectedSender}: ${result.text}`);
+  return false;
+}
+
+async function testListSenders() {
+  const result = await callTool(session, 'list-senders', {});
+  const senders = result.structured ? result.structured.senders : [];
+  const ids = senders.map((sender) => sender.id);
+  const defaults = senders.filter((sender) => sender.isDefault).map((sender) => sender.id);
+  const service = senders.find((sender) => sender.type === 'messaging_service');
+
+  if (ids.join(',') === [US_SENDER, GB_SENDER, CA_SENDER, MESSAGING_SERVICE_SID].join(',') &&
+      defaults.join(',') === US_SENDER && service && service.id === MESSAGING_SERVICE_SID &&
+      senders[1].country === 'GB') {
+    console.log(`✅ Senders listed:\n${result.text}`);
+    return true;
+  }
+  console.log(`❌ Unexpected senders: ${result.text}`);
+  return false;
+}
+
+async function testRouteByCountry() {
+  // Canada shares +1 with the default US sender, but the Canadian number is the closer match
+  return expectSentFrom({ to: '+16135550124' }, CA_SENDER, 'Canadian recipient');
+}
+
+async function testRouteByCallingCode() {
+  // No Guernsey sender, so the GB number sharing +44 is used
+  return expectSentFrom({ to: '+447911123456' }, GB_SENDER, 'Guernsey recipient');
+}
+
+async function testRouteToMessagingService() {
+  return expectSentFrom({ to: '+33612345678' }, MESSAGING_SERVICE_SID, 'French recipient');
+}
+
+async function testFromOverride() {
+  return expectSentFrom({ to: '+14155550123', from: '+44 7400 123456' }, GB_SENDER, 'Explicit GB sender');
+}
+
+async function testUnknownSender() {
+  const result = await callTool(session, 'send-message', { to: '+14155550123', from: '+14155550199', message: 'Sender test' });
+  if (result.isError && result.text.includes('is not a configured sender')) {
+    console.log(`✅ Unknown sender rejected: ${result.text}`);
+    return true;
+  }
+  console.log(`❌ Unknown sender should have been rejected: ${result.text}`);
+  return false;
+}
+
+async function testMessagingServiceNeedsTwilio() {
+  const child = spawn('node', [buildPath], {
+    env: {
+      ...serverEnv(),
+      PORT: (SERVER_PORT + 100).toString(),
+      SMS_PROVIDER: 'http',
+      HTTP_PROVIDER_URL: 'http://localhost:9/send'
+    },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data.toString();
+  });
+
+  const code = await Promise.race([
+    new Promise(resolve => child.on('exit', resolve)),
+    new Promise(resolve => setTimeout(() => resolve('timeout'), 10000))
+  ]);
+  if (code === 'timeout') {
+    child.kill('SIGTERM');
+  }
+
+  if (code === 1 && output.includes('MESSAGING_SERVICE_SID is only supported with SMS_PROVIDER=twilio')) {
+    console.log('✅ Server refused a Messaging Service with the HTTP provider');
+    return true;
+  }
+  console.log(`❌ Expected exit code 1 with a sender error, got ${code}: ${output}`);
+  return false;
+}
+
+async function runSenderTests() {
+  console.log('📇 Starting Sender Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-senders-'));
+
+  try {
+    await startServer();
+    session = await openSession(SERVER_PORT, 'test-senders');
+
+    const tests = [
+      { name: 'List Senders', test: testListSenders },
+      { name: 'Route By Country', test: testRouteByCountry },
+      { name: 'Route By Calling Code', test: testRouteByCallingCode },
+      { name: 'Route To Messaging Service', test: testRouteToMessagingService },
+      { name: 'From Override', test: testFromOverride },
+      { name: 'Unknown Sender', test: testUnknownSender },
+      { name: 'Messaging Service Needs Twilio', test: testMessagingServiceNeedsTwilio }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      let result = false;
+      try {
+        result = await test.test();
+      } catch (error) {
+        console.log(`❌ ${test.name} failed: ${error.message}`);
+      }
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+
+    console.log('\n📊 Sender Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All sender tests passed!');
+    } else {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+runSenderTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
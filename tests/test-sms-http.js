@@ -2,160 +2,183 @@
 
 /**
  * Test script for SMS functionality over HTTP transport
- * Tests send-message tool via HTTP POST and Twilio integration
+ * Tests the tools via HTTP POST against the mock SMS provider, so no network access is needed
  */
 
 import http from 'http';
-import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestServer, stopTestServer } from './helpers.js';
 
 const SERVER_PORT = 3002;
 const SERVER_URL = `http://localhost:${SERVER_PORT}`;
 const MESSAGE_ENDPOINT = '/message';
 
 let serverProcess = null;
+let dataDir = null;
+let session = null;
+let nextRequestId = 1;
+let sentMessageSid = null;
+
+const MOCK_STATUS_DELAY_MS = 200;
 
 // Test configuration
 const tests = [
   { name: 'Send Message Tool - Valid Request', test: testValidSendMessage },
   { name: 'Send Message Tool - Invalid Phone Format', test: testInvalidPhoneFormat },
+  { name: 'Send Message Tool - Unassigned Phone Number', test: testUnassignedPhoneNumber },
+  { name: 'Prompt - Invalid Recipient', test: testPromptInvalidRecipient },
   { name: 'Send Message Tool - Missing Parameters', test: testMissingParameters },
   { name: 'Send Message Tool - Empty Message', test: testEmptyMessage },
-  { name: 'Twilio Error Handling', test: testTwilioErrorHandling }
+  { name: 'Mock Delivery Lifecycle', test: testMockDeliveryLifecycle },
+  { name: 'Send Message Tool - Media Only', test: testMediaOnlyMessage },
+  { name: 'Send Message Tool - Invalid Media URL', test: testInvalidMediaUrl },
+  { name: 'Send Message Tool - Too Many Media URLs', test: testTooManyMediaUrls },
+  { name: 'Message Status Tool - Invalid SID', test: testInvalidMessageSid },
+  { name: 'Message Status Tool - Unknown SID', test: testMessageStatusUnknownSid },
+  { name: 'List Messages Tool - Invalid Cursor', test: testListMessagesInvalidCursor },
+  { name: 'List Messages Tool - Invalid Date Filter', test: testListMessagesInvalidDate },
+  { name: 'List Messages Tool - Paging', test: testListMessagesPaging },
+  { name: 'Mock Outbox Resource', test: testMockOutboxResource }
 ];
 
-async function startTestServer() {
-  console.log('🚀 Starting SMS test server...');
-  
-  // Set test environment variables with mock Twilio credentials
-  const env = {
-    ...process.env,
+async function startServer() {
+  // The mock provider records messages instead of sending them and needs no Twilio credentials
+  serverProcess = await startTestServer('SMS', {
     PORT: SERVER_PORT.toString(),
-    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
-    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
-    FROM_NUMBER: '+15551234567'
-  };
-
-  const buildPath = process.cwd().endsWith('/tests') ? '../build/index.js' : 'build/index.js';
-  serverProcess = spawn('node', [buildPath], {
-    env,
-    stdio: ['pipe', 'pipe', 'pipe']
+    SMS_PROVIDER: 'mock',
+    MOCK_STATUS_DELAY_MS: MOCK_STATUS_DELAY_MS.toString(),
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir
   });
+}
 
-  // Wait for server to start
-  await new Promise(resolve => setTimeout(resolve, 3000));
-  
+async function openSSESession() {
   return new Promise((resolve, reject) => {
-    let output = '';
-    let resolved = false;
-    
-    serverProcess.stderr.on('data', (data) => {
-      const chunk = data.toString();
-      output += chunk;
-      console.log('Server stderr:', chunk);
-      if (!resolved && output.includes('running on HTTP port')) {
-        console.log('✅ SMS test server started successfully');
-        resolved = true;
-        clearTimeout(timeoutId);
-        resolve();
-      }
-    });
+    const pending = new Map();
+    let buffer = '';
 
-    serverProcess.on('error', (error) => {
-      console.error('❌ Failed to start server:', error.message);
-      clearTimeout(timeoutId);
-      reject(error);
-    });
-
-    serverProcess.on('exit', (code) => {
-      if (code !== 0) {
-        console.error(`❌ Server exited with code ${code}`);
-        clearTimeout(timeoutId);
-        reject(new Error(`Server process exited with code ${code}`));
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: MESSAGE_ENDPOINT,
+      method: 'GET',
+      headers: {
+        'Accept': 'text/event-stream'
       }
+    }, (res) => {
+      res.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const event = (rawEvent.match(/^event: (.*)$/m) || [])[1];
+          const data = (rawEvent.match(/^data: (.*)$/m) || [])[1];
+
+          if (event === 'endpoint') {
+            const endpoint = new URL(data, SERVER_URL);
+            resolve({
+              endpoint: endpoint.pathname + endpoint.search,
+              waitForResponse: (id) => new Promise((resolveResponse) => pending.set(id, resolveResponse)),
+              close: () => req.destroy()
+            });
+          } else if (event === 'message') {
+            const message = JSON.parse(data);
+            const resolveResponse = pending.get(message.id);
+            if (resolveResponse) {
+              pending.delete(message.id);
+              resolveResponse(message);
+            }
+          }
+        }
+      });
     });
 
-    // Timeout after 15 seconds
-    const timeoutId = setTimeout(() => {
-      console.error('❌ Server startup timeout - no output received');
-      reject(new Error('Server startup timeout'));
-    }, 15000);
+    req.on('error', reject);
+    req.setTimeout(5000, () => {
+      req.destroy();
+      reject(new Error('SSE session timeout'));
+    });
+    req.end();
   });
 }
 
-async function stopTestServer() {
-  if (serverProcess) {
-    console.log('🛑 Stopping SMS test server...');
-    serverProcess.kill('SIGTERM');
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    if (!serverProcess.killed) {
-      serverProcess.kill('SIGKILL');
-    }
-    serverProcess = null;
-  }
-}
-
-async function makeJSONRPCRequest(method, params, timeout = 10000) {
-  const jsonRpcMessage = {
-    jsonrpc: '2.0',
-    method: method,
-    params: params,
-    id: Math.floor(Math.random() * 1000)
-  };
-
+async function postMessage(message) {
   return new Promise((resolve, reject) => {
-    const postData = JSON.stringify(jsonRpcMessage);
-    
-    const options = {
+    const postData = JSON.stringify(message);
+
+    const req = http.request({
       hostname: 'localhost',
       port: SERVER_PORT,
-      path: MESSAGE_ENDPOINT,
+      path: session.endpoint,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData)
       }
-    };
-
-    const req = http.request(options, (res) => {
+    }, (res) => {
       let body = '';
-      
       res.on('data', (chunk) => {
         body += chunk.toString();
       });
-      
       res.on('end', () => {
-        try {
-          const response = JSON.parse(body);
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            body: response
-          });
-        } catch (error) {
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            body: body,
-            parseError: error.message
-          });
-        }
+        resolve({ statusCode: res.statusCode, body: body });
       });
     });
 
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.setTimeout(timeout, () => {
-      req.destroy();
-      reject(new Error(`Request timeout after ${timeout}ms`));
-    });
-
+    req.on('error', reject);
     req.write(postData);
     req.end();
   });
 }
 
+async function initializeSession() {
+  session = await openSSESession();
+
+  const response = await makeJSONRPCRequest('initialize', {
+    protocolVersion: '2024-11-05',
+    capabilities: {},
+    clientInfo: { name: 'test-sms-http', version: '1.0.0' }
+  });
+  await postMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+  if (!response.body.result) {
+    throw new Error(`Session initialization failed: ${JSON.stringify(response.body)}`);
+  }
+  console.log('✅ MCP session initialized');
+}
+
+async function makeJSONRPCRequest(method, params, timeout = 10000) {
+  const id = nextRequestId++;
+  const responsePromise = session.waitForResponse(id);
+
+  const postResponse = await postMessage({
+    jsonrpc: '2.0',
+    method: method,
+    params: params,
+    id: id
+  });
+
+  if (postResponse.statusCode !== 202) {
+    return { statusCode: postResponse.statusCode, body: postResponse.body };
+  }
+
+  // The JSON-RPC response arrives over the SSE stream, not the POST response
+  const body = await Promise.race([
+    responsePromise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`Request timeout after ${timeout}ms`)), timeout))
+  ]);
+
+  return { statusCode: postResponse.statusCode, body: body };
+}
+
+function toolResultText(response) {
+  const result = response.body.result;
+  return result && result.content && result.content[0] ? result.content[0].text : '';
+}
+
 async function testValidSendMessage() {
   try {
     console.log('  📱 Testing valid send-message request...');
@@ -163,13 +186,16 @@ async function testValidSendMessage() {
     const response = await makeJSONRPCRequest('tools/call', {
       name: 'send-message',
       arguments: {
-        to: '+15551234567',
+        to: '+14155550123',
         message: 'Test message from HTTP transport'
       }
     });
 
-    if (response.statusCode === 200 && response.body.status === 'received') {
-      console.log('✅ Valid send-message test passed - request accepted');
+    const sid = (toolResultText(response).match(/Message SID: (SM[0-9a-f]{32})/) || [])[1];
+    if (response.statusCode === 202 && response.body.result && !response.body.result.isError &&
+        toolResultText(response).startsWith('Message sent successfully to +14155550123 (US)') && sid) {
+      sentMessageSid = sid;
+      console.log(`✅ Valid send-message test passed - mock provider returned ${sid}`);
       return true;
     } else {
       console.log(`❌ Valid send-message test failed:`);
@@ -195,7 +221,8 @@ async function testInvalidPhoneFormat() {
       }
     });
 
-    if (response.statusCode === 200 && response.body.status === 'received') {
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('E.164')) {
       console.log('✅ Invalid phone format test passed - error handling works');
       return true;
     } else {
@@ -210,6 +237,62 @@ async function testInvalidPhoneFormat() {
   }
 }
 
+async function testUnassignedPhoneNumber() {
+  try {
+    console.log('  📱 Testing well-formed but unassigned phone number...');
+    
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'send-message',
+      arguments: {
+        to: '+15551234567', // 555 is not an assigned US area code
+        message: 'Test message'
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('Not a valid number')) {
+      console.log('✅ Unassigned phone number test passed - rejected before Twilio');
+      return true;
+    } else {
+      console.log(`❌ Unassigned phone number test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Unassigned phone number test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testPromptInvalidRecipient() {
+  try {
+    console.log('  📱 Testing prompt with invalid recipient...');
+    
+    const response = await makeJSONRPCRequest('prompts/get', {
+      name: 'send-greeting',
+      arguments: {
+        to: 'not-a-number',
+        occasion: 'birthday'
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.error &&
+        response.body.error.message.includes('Invalid phone number')) {
+      console.log('✅ Prompt invalid recipient test passed');
+      return true;
+    } else {
+      console.log(`❌ Prompt invalid recipient test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Prompt invalid recipient test failed: ${error.message}`);
+    return false;
+  }
+}
+
 async function testMissingParameters() {
   try {
     console.log('  📱 Testing missing parameters...');
@@ -217,12 +300,14 @@ async function testMissingParameters() {
     const response = await makeJSONRPCRequest('tools/call', {
       name: 'send-message',
       arguments: {
-        to: '+15551234567'
+        to: '+14155550100'
         // Missing message parameter
       }
     });
 
-    if (response.statusCode === 200) {
+    // Without a message or media there is nothing to send
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('Provide a message, mediaUrls, or both')) {
       console.log('✅ Missing parameters test passed - validation works');
       return true;
     } else {
@@ -244,12 +329,12 @@ async function testEmptyMessage() {
     const response = await makeJSONRPCRequest('tools/call', {
       name: 'send-message',
       arguments: {
-        to: '+15551234567',
+        to: '+14155550100',
         message: ''
       }
     });
 
-    if (response.statusCode === 200 && response.body.status === 'received') {
+    if (response.statusCode === 202 && response.body.result) {
       console.log('✅ Empty message test passed - request handled');
       return true;
     } else {
@@ -264,30 +349,299 @@ async function testEmptyMessage() {
   }
 }
 
-async function testTwilioErrorHandling() {
+async function testMockDeliveryLifecycle() {
+  try {
+    console.log('  📬 Testing simulated delivery of the sent message...');
+    
+    // The mock moves messages queued -> sent -> delivered, one status delay apart
+    await new Promise(resolve => setTimeout(resolve, MOCK_STATUS_DELAY_MS * 3));
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'get-message-status',
+      arguments: {
+        sid: sentMessageSid
+      }
+    });
+
+    const status = response.body.result && response.body.result.structuredContent;
+    if (response.statusCode === 202 && status && status.status === 'delivered' &&
+        status.to === '+14155550123' && status.from === '+14155550100' && status.dateSent) {
+      console.log('✅ Mock delivery lifecycle test passed - message reported as delivered');
+      return true;
+    } else {
+      console.log(`❌ Mock delivery lifecycle test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Mock delivery lifecycle test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testMediaOnlyMessage() {
+  try {
+    console.log('  🖼️  Testing media-only MMS request...');
+    
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'send-message',
+      arguments: {
+        to: '+14155550100',
+        mediaUrls: ['https://example.com/image.png']
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.result && !response.body.result.isError &&
+        toolResultText(response).includes('(1 media attachment queued)')) {
+      console.log('✅ Media-only message test passed - body-less MMS accepted');
+      return true;
+    } else {
+      console.log(`❌ Media-only message test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Media-only message test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testInvalidMediaUrl() {
   try {
-    console.log('  📱 Testing Twilio error handling...');
+    console.log('  🖼️  Testing non-http media URL...');
     
-    // This will fail because we're using test credentials
     const response = await makeJSONRPCRequest('tools/call', {
       name: 'send-message',
       arguments: {
-        to: '+15551234567',
-        message: 'This should trigger a Twilio authentication error'
+        to: '+14155550100',
+        message: 'Picture attached',
+        mediaUrls: ['ftp://example.com/image.png']
       }
     });
 
-    if (response.statusCode === 200 && response.body.status === 'received') {
-      console.log('✅ Twilio error handling test passed - errors handled gracefully');
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('Media URL must use http or https')) {
+      console.log('✅ Invalid media URL test passed');
       return true;
     } else {
-      console.log(`❌ Twilio error handling test failed:`);
+      console.log(`❌ Invalid media URL test failed:`);
       console.log(`  Status: ${response.statusCode}`);
       console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
       return false;
     }
   } catch (error) {
-    console.log(`❌ Twilio error handling test failed: ${error.message}`);
+    console.log(`❌ Invalid media URL test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testTooManyMediaUrls() {
+  try {
+    console.log('  🖼️  Testing more than 10 media URLs...');
+    
+    const mediaUrls = Array.from({ length: 11 }, (_, i) => `https://example.com/image-${i}.png`);
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'send-message',
+      arguments: {
+        to: '+14155550100',
+        mediaUrls
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('Invalid arguments')) {
+      console.log('✅ Too many media URLs test passed');
+      return true;
+    } else {
+      console.log(`❌ Too many media URLs test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Too many media URLs test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testInvalidMessageSid() {
+  try {
+    console.log('  🔎 Testing get-message-status with a malformed SID...');
+    
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'get-message-status',
+      arguments: {
+        sid: 'not-a-sid'
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('Message SID must look like')) {
+      console.log('✅ Invalid message SID test passed');
+      return true;
+    } else {
+      console.log(`❌ Invalid message SID test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Invalid message SID test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testMessageStatusUnknownSid() {
+  try {
+    console.log('  🔎 Testing get-message-status with an unknown SID...');
+    
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'get-message-status',
+      arguments: {
+        sid: 'SM0123456789abcdef0123456789abcdef'
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).startsWith('Error fetching message status')) {
+      console.log('✅ Unknown SID test passed');
+      return true;
+    } else {
+      console.log(`❌ Unknown SID test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Unknown SID test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testListMessagesInvalidCursor() {
+  try {
+    console.log('  📜 Testing list-messages with a forged cursor...');
+    
+    // Cursors must point back at this account's message list
+    const forgedCursor = Buffer.from('https://attacker.example/steal').toString('base64url');
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'list-messages',
+      arguments: {
+        cursor: forgedCursor
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('Invalid cursor')) {
+      console.log('✅ Invalid cursor test passed');
+      return true;
+    } else {
+      console.log(`❌ Invalid cursor test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Invalid cursor test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testListMessagesInvalidDate() {
+  try {
+    console.log('  📜 Testing list-messages with an invalid date...');
+    
+    const response = await makeJSONRPCRequest('tools/call', {
+      name: 'list-messages',
+      arguments: {
+        sentAfter: 'last tuesday'
+      }
+    });
+
+    if (response.statusCode === 202 && response.body.result && response.body.result.isError &&
+        toolResultText(response).includes('ISO 8601')) {
+      console.log('✅ Invalid date filter test passed');
+      return true;
+    } else {
+      console.log(`❌ Invalid date filter test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Invalid date filter test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testListMessagesPaging() {
+  try {
+    console.log('  📜 Testing list-messages paging over sent messages...');
+    
+    const firstPage = await makeJSONRPCRequest('tools/call', {
+      name: 'list-messages',
+      arguments: {
+        direction: 'outbound',
+        pageSize: 1
+      }
+    });
+    const first = firstPage.body.result && firstPage.body.result.structuredContent;
+    if (!first || first.messages.length !== 1 || !first.nextCursor) {
+      console.log(`❌ List messages paging test failed on the first page:`);
+      console.log(`  Body: ${JSON.stringify(firstPage.body, null, 2)}`);
+      return false;
+    }
+
+    const secondPage = await makeJSONRPCRequest('tools/call', {
+      name: 'list-messages',
+      arguments: {
+        direction: 'outbound',
+        pageSize: 1,
+        cursor: first.nextCursor
+      }
+    });
+    const second = secondPage.body.result && secondPage.body.result.structuredContent;
+    const sids = [first.messages[0].sid, second && second.messages[0] && second.messages[0].sid];
+
+    // Newest first: the media-only MMS, then the text message sent before it
+    if (second && sids[0] !== sentMessageSid && sids[1] === sentMessageSid) {
+      console.log('✅ List messages paging test passed');
+      return true;
+    } else {
+      console.log(`❌ List messages paging test failed on the second page:`);
+      console.log(`  Body: ${JSON.stringify(secondPage.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ List messages paging test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testMockOutboxResource() {
+  try {
+    console.log('  📤 Testing the mock outbox resource...');
+    
+    const response = await makeJSONRPCRequest('resources/read', {
+      uri: 'sms://mock/outbox'
+    });
+
+    const contents = response.body.result && response.body.result.contents;
+    const outbox = contents ? JSON.parse(contents[0].text) : { messages: [] };
+    const sent = outbox.messages.find((message) => message.sid === sentMessageSid);
+    if (response.statusCode === 202 && sent && sent.body === 'Test message from HTTP transport' &&
+        sent.statusHistory.map((entry) => entry.status).join(',') === 'queued,sent,delivered') {
+      console.log('✅ Mock outbox resource test passed');
+      return true;
+    } else {
+      console.log(`❌ Mock outbox resource test failed:`);
+      console.log(`  Status: ${response.statusCode}`);
+      console.log(`  Body: ${JSON.stringify(response.body, null, 2)}`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`❌ Mock outbox resource test failed: ${error.message}`);
     return false;
   }
 }
@@ -298,7 +652,9 @@ async function testToolsList() {
     
     const response = await makeJSONRPCRequest('tools/list', {});
 
-    if (response.statusCode === 200 && response.body.status === 'received') {
+    const tools = response.body.result ? response.body.result.tools : [];
+    if (response.statusCode === 202 && tools.some((tool) => tool.name === 'send-message') &&
+        tools.some((tool) => tool.name === 'get-message-status' && tool.outputSchema)) {
       console.log('✅ Tools list test passed');
       return true;
     } else {
@@ -315,7 +671,9 @@ async function testToolsList() {
 
 async function runSMSTests() {
   console.log('📱 Starting SMS HTTP Transport Tests\n');
-  
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-sms-http-'));
+
   try {
     // Build the project first
     console.log('🔨 Building project...');
@@ -337,7 +695,8 @@ async function runSMSTests() {
     });
 
     // Start the test server
-    await startTestServer();
+    await startServer();
+    await initializeSession();
     
     // Add tools list test
     console.log('\n🔧 Testing MCP tools endpoint first...');
@@ -365,7 +724,7 @@ async function runSMSTests() {
     
     if (failed === 0) {
       console.log('\n🎉 All SMS tests passed! HTTP transport SMS functionality is working correctly.');
-      console.log('📝 Note: Actual SMS sending will fail with test credentials, but error handling is verified.');
+      console.log('📝 Note: Messages were recorded by the mock provider; nothing was sent.');
     } else {
       console.log('\n⚠️  Some SMS tests failed. Please check the implementation.');
     }
@@ -373,20 +732,24 @@ async function runSMSTests() {
   } catch (error) {
     console.error('💥 SMS test execution failed:', error.message);
   } finally {
-    await stopTestServer();
+    if (session) {
+      session.close();
+    }
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
   }
 }
 
 // Handle cleanup on exit
 process.on('SIGINT', async () => {
   console.log('\n🛑 Received SIGINT, cleaning up...');
-  await stopTestServer();
+  await stopTestServer(serverProcess);
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Received SIGTERM, cleaning up...');
-  await stopTestServer();
+  await stopTestServer(serverProcess);
   process.exit(0);
 });
 
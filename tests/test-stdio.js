@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the stdio transport
+ * Tests that --transport stdio (and MCP_TRANSPORT=stdio) speak MCP over stdin/stdout without binding a port,
+ * and that approval mode there refuses messages the client can't confirm rather than leaving drafts
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawn } from 'child_process';
+import { buildPath } from './helpers.js';
+
+const SERVER_PORT = 3006;
+
+// Start the server in stdio mode and collect newline-delimited JSON-RPC responses
+function startStdioServer(args, extraEnv = {}) {
+  const env = {
+    ...process.env,
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    ...extraEnv
+  };
+
+  const serverProcess = spawn('node', [buildPath, ...args], {
+    env,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  const pending = new Map();
+  let buffer = '';
+  serverProcess.stdout.on('data', (data) => {
+    buffer += data.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) {
+        continue;
+      }
+      const message = JSON.parse(line);
+      const resolveResponse = pending.get(message.id);
+      if (resolveResponse) {
+        pending.delete(message.id);
+        resolveResponse(message);
+      }
+    }
+  });
+
+  return {
+    process: serverProcess,
+    request: (message, timeout = 5000) => {
+      const responsePromise = new Promise((resolve, reject) => {
+        pending.set(message.id, resolve);
+        setTimeout(() => reject(new Error(`No response for request ${message.id}`)), timeout);
+      });
+      serverProcess.stdin.write(JSON.stringify(message) + '\n');
+      return responsePromise;
+    },
+    notify: (message) => {
+      serverProcess.stdin.write(JSON.stringify(message) + '\n');
+    },
+    stop: () => serverProcess.kill('SIGTERM')
+  };
+}
+
+async function initialize(server) {
+  const response = await server.request({
+    jsonrpc: '2.0',
+    method: 'initialize',
+    params: {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test-stdio', version: '1.0.0' }
+    },
+    id: 1
+  });
+  server.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  return response;
+}
+
+async function testStdioFlag() {
+  const server = startStdioServer(['--transport', 'stdio']);
+  try {
+    const initResponse = await initialize(server);
+    const toolsResponse = await server.request({ jsonrpc: '2.0', method: 'tools/list', id: 2 });
+
+    if (initResponse.result && initResponse.result.serverInfo.name === 'twilio-sms' &&
+        toolsResponse.result && toolsResponse.result.tools.some((tool) => tool.name === 'send-message')) {
+      console.log('✅ --transport stdio test passed');
+      return true;
+    }
+
+    console.log(`❌ --transport stdio test failed: ${JSON.stringify(toolsResponse)}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ --transport stdio test failed: ${error.message}`);
+    return false;
+  } finally {
+    server.stop();
+  }
+}
+
+async function testStdioEnvVar() {
+  const server = startStdioServer([], { MCP_TRANSPORT: 'stdio' });
+  try {
+    const initResponse = await initialize(server);
+
+    if (initResponse.result && initResponse.result.serverInfo.name === 'twilio-sms') {
+      console.log('✅ MCP_TRANSPORT=stdio test passed');
+      return true;
+    }
+
+    console.log(`❌ MCP_TRANSPORT=stdio test failed: ${JSON.stringify(initResponse)}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ MCP_TRANSPORT=stdio test failed: ${error.message}`);
+    return false;
+  } finally {
+    server.stop();
+  }
+}
+
+async function testNoPortBound() {
+  const server = startStdioServer(['--transport=stdio']);
+  try {
+    await initialize(server);
+
+    const connected = await new Promise((resolve) => {
+      const req = http.request({ hostname: 'localhost', port: SERVER_PORT, path: '/mcp', method: 'GET' }, () => resolve(true));
+      req.on('error', () => resolve(false));
+      req.end();
+    });
+
+    if (!connected) {
+      console.log('✅ No port bound in stdio mode');
+      return true;
+    }
+
+    console.log(`❌ Port ${SERVER_PORT} accepted a connection in stdio mode`);
+    return false;
+  } catch (error) {
+    console.log(`❌ No port bound test failed: ${error.message}`);
+    return false;
+  } finally {
+    server.stop();
+  }
+}
+
+async function testApprovalWithoutElicitation() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-stdio-'));
+  const server = startStdioServer(['--transport', 'stdio'], { SMS_PROVIDER: 'mock', DATA_DIR: dataDir, REQUIRE_APPROVAL: 'true' });
+  try {
+    await initialize(server);
+    const toolsResponse = await server.request({ jsonrpc: '2.0', method: 'tools/list', id: 2 });
+    const sendResponse = await server.request({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'send-message', arguments: { to: '+14155550123', message: 'Needs review' } },
+      id: 3
+    });
+    const names = toolsResponse.result ? toolsResponse.result.tools.map((tool) => tool.name) : [];
+    const result = sendResponse.result || {};
+
+    if (!names.includes('approve-message') && !names.includes('reject-message') && result.isError &&
+        result.structuredContent && result.structuredContent.error === 'confirmation_unavailable' &&
+        !fs.existsSync(path.join(dataDir, 'drafts.json'))) {
+      console.log(`✅ ${result.content[0].text}`);
+      return true;
+    }
+
+    console.log(`❌ Approval mode over stdio should refuse the message without leaving a draft: ${JSON.stringify(sendResponse)}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Approval without elicitation test failed: ${error.message}`);
+    return false;
+  } finally {
+    server.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function testInvalidTransport() {
+  const server = startStdioServer(['--transport', 'carrier-pigeon']);
+  const exitCode = await new Promise((resolve) => server.process.on('exit', resolve));
+
+  if (exitCode === 1) {
+    console.log('✅ Invalid transport rejected at startup');
+    return true;
+  }
+
+  console.log(`❌ Invalid transport test failed: exit code ${exitCode}`);
+  return false;
+}
+
+async function runStdioTests() {
+  console.log('⌨️  Starting stdio Transport Tests\n');
+
+  const tests = [
+    { name: '--transport stdio', test: testStdioFlag },
+    { name: 'MCP_TRANSPORT=stdio', test: testStdioEnvVar },
+    { name: 'No Port Bound', test: testNoPortBound },
+    { name: 'Approval Without Elicitation', test: testApprovalWithoutElicitation },
+    { name: 'Invalid Transport', test: testInvalidTransport }
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    console.log(`\n🔍 Running: ${test.name}`);
+    const result = await test.test();
+    if (result) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n📊 stdio Test Results:');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  if (failed === 0) {
+    console.log('\n🎉 All stdio tests passed!');
+  } else {
+    process.exitCode = 1;
+  }
+}
+
+runStdioTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
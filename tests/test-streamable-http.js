@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Streamable HTTP transport
+ * Tests session initialization, request handling, notification streams, session termination and the
+ * idle session timeout on /mcp
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestServer, stopTestServer, parseMcpBody } from './helpers.js';
+
+const SERVER_PORT = 3005;
+const MCP_ENDPOINT = '/mcp';
+// Three seconds, so the idle session test doesn't take minutes
+const IDLE_MINUTES = 0.05;
+
+let serverProcess = null;
+let dataDir = null;
+let sessionId = null;
+
+// Test configuration
+const tests = [
+  { name: 'Session Initialization', test: testInitialize },
+  { name: 'Tools List Over Session', test: testToolsList },
+  { name: 'Send Message Tool Over Session', test: testSendMessage },
+  { name: 'Notification Stream (GET)', test: testNotificationStream },
+  { name: 'Missing Session Handling', test: testMissingSession },
+  { name: 'Unknown Session Handling', test: testUnknownSession },
+  { name: 'Session Termination (DELETE)', test: testSessionTermination },
+  { name: 'Idle Session Closed', test: testIdleSessionClosed }
+];
+
+async function startServer() {
+  serverProcess = await startTestServer('Streamable HTTP', {
+    PORT: SERVER_PORT.toString(),
+    ACCOUNT_SID: 'ACtest123456789abcdef123456789abcdef',
+    AUTH_TOKEN: 'test_auth_token_123456789abcdef',
+    FROM_NUMBER: '+14155550100',
+    DATA_DIR: dataDir,
+    MCP_SESSION_IDLE_MINUTES: IDLE_MINUTES.toString()
+  });
+}
+
+async function mcpRequest(method, message, extraHeaders = {}, timeout = 15000) {
+  return new Promise((resolve, reject) => {
+    const postData = message ? JSON.stringify(message) : null;
+    const headers = {
+      'Accept': 'application/json, text/event-stream',
+      ...extraHeaders
+    };
+    if (postData) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(postData);
+    }
+
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: MCP_ENDPOINT,
+      method,
+      headers
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk.toString();
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeout, () => {
+      req.destroy();
+      reject(new Error(`Request timeout after ${timeout}ms`));
+    });
+
+    if (postData) {
+      req.write(postData);
+    }
+    req.end();
+  });
+}
+
+async function testInitialize() {
+  try {
+    const response = await mcpRequest('POST', {
+      jsonrpc: '2.0',
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-03-26',
+        capabilities: {},
+        clientInfo: { name: 'test-streamable-http', version: '1.0.0' }
+      },
+      id: 1
+    });
+
+    sessionId = response.headers['mcp-session-id'];
+    const message = parseMcpBody(response.headers, response.body);
+
+    if (response.statusCode === 200 && sessionId && message && message.result &&
+        message.result.serverInfo.name === 'twilio-sms') {
+      await mcpRequest('POST', { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+      console.log(`✅ Session initialization test passed (session ${sessionId})`);
+      return true;
+    }
+
+    console.log(`❌ Session initialization test failed: ${response.statusCode} - ${response.body}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Session initialization test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testToolsList() {
+  try {
+    const response = await mcpRequest('POST', { jsonrpc: '2.0', method: 'tools/list', id: 2 }, { 'Mcp-Session-Id': sessionId });
+    const message = parseMcpBody(response.headers, response.body);
+
+    if (response.statusCode === 200 && message && message.result &&
+        message.result.tools.some((tool) => tool.name === 'send-message')) {
+      console.log('✅ Tools list test passed');
+      return true;
+    }
+
+    console.log(`❌ Tools list test failed: ${response.statusCode} - ${response.body}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Tools list test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testSendMessage() {
+  try {
+    const response = await mcpRequest('POST', {
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: {
+        name: 'send-message',
+        arguments: { to: '1234567890', message: 'Test message' }
+      },
+      id: 3
+    }, { 'Mcp-Session-Id': sessionId });
+    const message = parseMcpBody(response.headers, response.body);
+
+    if (response.statusCode === 200 && message && message.result && message.result.isError &&
+        message.result.content[0].text.includes('E.164')) {
+      console.log('✅ Send message tool test passed');
+      return true;
+    }
+
+    console.log(`❌ Send message tool test failed: ${response.statusCode} - ${response.body}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Send message tool test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testNotificationStream() {
+  return new Promise((resolve) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: SERVER_PORT,
+      path: MCP_ENDPOINT,
+      method: 'GET',
+      headers: {
+        'Accept': 'text/event-stream',
+        'Mcp-Session-Id': sessionId
+      }
+    }, (res) => {
+      const passed = res.statusCode === 200 && res.headers['content-type'] === 'text/event-stream';
+      req.destroy();
+      if (passed) {
+        console.log('✅ Notification stream test passed');
+      } else {
+        console.log(`❌ Notification stream test failed: ${res.statusCode} ${res.headers['content-type']}`);
+      }
+      resolve(passed);
+    });
+
+    req.on('error', (error) => {
+      console.log(`❌ Notification stream test failed: ${error.message}`);
+      resolve(false);
+    });
+    req.end();
+  });
+}
+
+async function testMissingSession() {
+  try {
+    const response = await mcpRequest('POST', { jsonrpc: '2.0', method: 'tools/list', id: 4 });
+
+    if (response.statusCode === 400) {
+      console.log('✅ Missing session test passed');
+      return true;
+    }
+
+    console.log(`❌ Missing session test failed: ${response.statusCode} - ${response.body}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Missing session test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testUnknownSession() {
+  try {
+    const response = await mcpRequest('POST', { jsonrpc: '2.0', method: 'tools/list', id: 5 }, { 'Mcp-Session-Id': 'does-not-exist' });
+
+    if (response.statusCode === 404) {
+      console.log('✅ Unknown session test passed');
+      return true;
+    }
+
+    console.log(`❌ Unknown session test failed: ${response.statusCode} - ${response.body}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Unknown session test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function testSessionTermination() {
+  try {
+    const deleteResponse = await mcpRequest('DELETE', null, { 'Mcp-Session-Id': sessionId });
+    if (deleteResponse.statusCode !== 200) {
+      console.log(`❌ Session termination test failed: DELETE returned ${deleteResponse.statusCode}`);
+      return false;
+    }
+
+    // The terminated session must no longer accept requests
+    const response = await mcpRequest('POST', { jsonrpc: '2.0', method: 'tools/list', id: 6 }, { 'Mcp-Session-Id': sessionId });
+    if (response.statusCode === 404) {
+      console.log('✅ Session termination test passed');
+      return true;
+    }
+
+    console.log(`❌ Session termination test failed: ${response.statusCode} - ${response.body}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Session termination test failed: ${error.message}`);
+    return false;
+  }
+}
+
+async function initializeSession() {
+  const response = await mcpRequest('POST', {
+    jsonrpc: '2.0',
+    method: 'initialize',
+    params: {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'test-streamable-http', version: '1.0.0' }
+    },
+    id: 1
+  });
+  const id = response.headers['mcp-session-id'];
+  await mcpRequest('POST', { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': id });
+  return id;
+}
+
+async function testIdleSessionClosed() {
+  let stream = null;
+  try {
+    const idleSession = await initializeSession();
+    const streamingSession = await initializeSession();
+
+    // A session with an open notification stream is in use even if it sends nothing
+    await new Promise((resolve, reject) => {
+      stream = http.request({
+        hostname: 'localhost',
+        port: SERVER_PORT,
+        path: MCP_ENDPOINT,
+        method: 'GET',
+        headers: { 'Accept': 'text/event-stream', 'Mcp-Session-Id': streamingSession }
+      }, resolve);
+      stream.on('error', reject);
+      stream.end();
+    });
+
+    await new Promise(resolve => setTimeout(resolve, IDLE_MINUTES * 60_000 * 3));
+    const idle = await mcpRequest('POST', { jsonrpc: '2.0', method: 'tools/list', id: 7 }, { 'Mcp-Session-Id': idleSession });
+    const streaming = await mcpRequest('POST', { jsonrpc: '2.0', method: 'tools/list', id: 8 }, { 'Mcp-Session-Id': streamingSession });
+
+    if (idle.statusCode === 404 && streaming.statusCode === 200) {
+      console.log('✅ Idle session closed; the session with an open stream kept');
+      return true;
+    }
+
+    console.log(`❌ Idle session test failed: idle session ${idle.statusCode}, streaming session ${streaming.statusCode}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Idle session test failed: ${error.message}`);
+    return false;
+  } finally {
+    if (stream) {
+      stream.destroy();
+    }
+  }
+}
+
+async function runStreamableHttpTests() {
+  console.log('🌊 Starting Streamable HTTP Transport Tests\n');
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-mcp-streamable-http-'));
+
+  try {
+    await startServer();
+    
+    let passed = 0;
+    let failed = 0;
+    
+    for (const test of tests) {
+      console.log(`\n🔍 Running: ${test.name}`);
+      const result = await test.test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    }
+    
+    console.log('\n📊 Streamable HTTP Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Success Rate: ${((passed / (passed + failed)) * 100).toFixed(1)}%`);
+    
+    if (failed === 0) {
+      console.log('\n🎉 All Streamable HTTP tests passed!');
+    } else {
+      console.log('\n⚠️  Some Streamable HTTP tests failed. Please check the implementation.');
+      process.exitCode = 1;
+    }
+    
+  } catch (error) {
+    console.error('💥 Test execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stopTestServer(serverProcess);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Handle cleanup on exit
+process.on('SIGINT', async () => {
+  await stopTestServer(serverProcess);
+  process.exit(0);
+});
+
+// Run the Streamable HTTP tests
+runStreamableHttpTests().catch((error) => {
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});